@@ -0,0 +1,15 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Connection settings shared by the server and the migration runner, so
+// `npm run migrate` always migrates the database the server checks
+const DATABASE_CONFIG = {
+  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/leave_management',
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+};
+
+function createPool() {
+  return new Pool(DATABASE_CONFIG);
+}
+
+module.exports = { DATABASE_CONFIG, createPool };
@@ -0,0 +1,69 @@
+require('dotenv').config();
+
+// Password policy
+// Complexity rules apply to every password a user picks. Passwords for the
+// roles in expiringRoles must be changed after maxAgeDays, and none of the
+// last historyCount passwords (the current one included) can be reused.
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+  requireComplexity: process.env.PASSWORD_REQUIRE_COMPLEXITY !== 'false',
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5'),
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '90'),
+  expiringRoles: (process.env.PASSWORD_EXPIRY_ROLES || 'hr,admin').split(',').map(role => role.trim()).filter(Boolean)
+};
+
+const LOCKOUT_POLICY = {
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+  baseMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES || '15'),
+  maxMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES || '1440')
+};
+
+function passwordPolicyErrors(password, user) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+    return errors;
+  }
+
+  if (PASSWORD_POLICY.requireComplexity) {
+    if (!/[a-z]/.test(password)) errors.push('Password must contain a lowercase letter');
+    if (!/[A-Z]/.test(password)) errors.push('Password must contain an uppercase letter');
+    if (!/[0-9]/.test(password)) errors.push('Password must contain a number');
+    if (!/[^A-Za-z0-9]/.test(password)) errors.push('Password must contain a symbol');
+  }
+
+  const emailName = user.email && user.email.split('@')[0].toLowerCase();
+  if (emailName && emailName.length >= 3 && password.toLowerCase().includes(emailName)) {
+    errors.push('Password must not contain your email address');
+  }
+
+  return errors;
+}
+
+function passwordChangeReason(user) {
+  if (user.must_change_password) {
+    return 'temporary_password';
+  }
+
+  if (PASSWORD_POLICY.maxAgeDays > 0 && PASSWORD_POLICY.expiringRoles.includes(user.role) && user.password_changed_at) {
+    const ageDays = (Date.now() - new Date(user.password_changed_at).getTime()) / 86400000;
+    if (ageDays > PASSWORD_POLICY.maxAgeDays) {
+      return 'expired';
+    }
+  }
+
+  return null;
+}
+
+function isAccountLocked(user) {
+  return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+module.exports = {
+  LOCKOUT_POLICY,
+  PASSWORD_POLICY,
+  isAccountLocked,
+  passwordChangeReason,
+  passwordPolicyErrors
+};
@@ -0,0 +1,41 @@
+const { hasPermission } = require('./permissions');
+
+// Who may act on leave requests, from the request and the user alone.
+// Delegations are looked up by the caller.
+
+// Keep in step with the stage filter in GET /api/leave-requests/pending-approval
+function canActOnApprovalStage(user, stage, leaveRequest) {
+  if (user.id === leaveRequest.employee_id) {
+    return false;
+  }
+  if (hasPermission(user, 'leave.approve_any', leaveRequest.department_id)) {
+    return true;
+  }
+
+  const hrApprover = hasPermission(user, 'leave.approve', leaveRequest.department_id);
+  switch (stage.approver) {
+    case 'line_manager':
+      return leaveRequest.manager_id === user.id ||
+        (hrApprover && (!leaveRequest.approval_chain_id || !leaveRequest.manager_id));
+    case 'department_head':
+      return leaveRequest.department_head_id === user.id ||
+        (hrApprover && !leaveRequest.department_head_id);
+    case 'hr':
+      return hrApprover;
+    default:
+      return false;
+  }
+}
+
+function isLeaveApprover(user, leaveRequest, delegatedManagerIds = []) {
+  if (user.id === leaveRequest.employee_id) {
+    return false;
+  }
+  if (hasPermission(user, 'leave.approve', leaveRequest.department_id) ||
+      hasPermission(user, 'leave.approve_any', leaveRequest.department_id)) {
+    return true;
+  }
+  return leaveRequest.manager_id === user.id || delegatedManagerIds.includes(leaveRequest.manager_id);
+}
+
+module.exports = { canActOnApprovalStage, isLeaveApprover };
@@ -0,0 +1,15 @@
+// Field-level diff for the audit trail; values are compared as strings so
+// "3" from a form and 3 from the database count as unchanged
+function diffRecordFields(current, updates) {
+  const changes = {};
+  for (const [field, value] of Object.entries(updates)) {
+    const before = current[field] === null || current[field] === undefined ? null : String(current[field]);
+    const after = value === null || value === undefined || value === '' ? null : String(value);
+    if (before !== after) {
+      changes[field] = { from: current[field], to: value === '' ? null : value };
+    }
+  }
+  return changes;
+}
+
+module.exports = { diffRecordFields };
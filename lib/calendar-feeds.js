@@ -0,0 +1,78 @@
+const { parseDateOnly } = require('./leave-days');
+
+// iCalendar (RFC 5545) output for the calendar feeds, and the redaction of
+// feed tokens from logged URLs.
+
+// Calendar feed URLs carry their token, which is as good as a password
+function redactFeedToken(url) {
+  return url.replace(/^(\/api\/calendar\/)[^/?]+/, '$1[redacted]');
+}
+
+function escapeICalText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+function foldICalLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toICalDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function nextDay(date) {
+  const day = parseDateOnly(date);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+// Events are all-day: DTEND is the day after the last day of leave
+function buildICalendar(name, events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Trevi Foundations//Leave Management//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@trevi-leave-management`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toICalDate(event.start_date)}`,
+      `DTEND;VALUE=DATE:${toICalDate(nextDay(event.end_date))}`,
+      `SUMMARY:${escapeICalText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+    }
+    if (event.rrule) {
+      lines.push(`RRULE:${event.rrule}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildICalendar, escapeICalText, foldICalLine, redactFeedToken };
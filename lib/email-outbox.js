@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Email outbox
+// Every message is written to email_outbox first and delivered by
+// processEmailOutbox, so a mail server outage never fails the request that
+// triggered it.
+//
+// The outbox never holds credentials. Messages that give access to an
+// account carry a RESET_LINK placeholder, replaced with a freshly minted
+// password reset link when the message is sent, and bodies are cleared
+// once delivered.
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Trevi Foundations <noreply@trevi.com>';
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_BATCH_SIZE = 20;
+const RESET_LINK = '{{reset_link}}';
+const RESET_LINK_TTL_HOURS = { password_reset: 1, welcome: 72 };
+
+function formatLeavePeriod(data) {
+  return data.start_date === data.end_date
+    ? data.start_date
+    : `${data.start_date} to ${data.end_date}`;
+}
+
+const EMAIL_TEMPLATES = {
+  leave_submitted: (data) => ({
+    subject: `Leave request from ${data.employee_name} awaiting your approval`,
+    body: [
+      `Hello ${data.recipient_name},`,
+      '',
+      `${data.employee_name} has requested ${data.total_days} day(s) of ${data.leave_type} for ${formatLeavePeriod(data)}.`,
+      `Reason: ${data.reason}`,
+      '',
+      `Review it at ${APP_URL}`
+    ].join('\n')
+  }),
+  leave_approved: (data) => ({
+    subject: `Your ${data.leave_type} request has been approved`,
+    body: [
+      `Hello ${data.first_name},`,
+      '',
+      `Your request for ${data.total_days} day(s) of ${data.leave_type} for ${formatLeavePeriod(data)} has been approved.`,
+      '',
+      `View your leave at ${APP_URL}`
+    ].join('\n')
+  }),
+  leave_rejected: (data) => ({
+    subject: `Your ${data.leave_type} request has been rejected`,
+    body: [
+      `Hello ${data.first_name},`,
+      '',
+      `Your request for ${data.total_days} day(s) of ${data.leave_type} for ${formatLeavePeriod(data)} has been rejected.`,
+      `Reason: ${data.rejection_reason}`,
+      '',
+      `View your leave at ${APP_URL}`
+    ].join('\n')
+  }),
+  password_reset: (data) => ({
+    subject: 'Reset your Trevi Leave Management password',
+    body: [
+      `Hello ${data.first_name},`,
+      '',
+      'We received a request to reset your password. Use the link below within the next hour:',
+      RESET_LINK,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  }),
+  welcome: (data) => ({
+    subject: 'Welcome to Trevi Leave Management',
+    body: [
+      `Hello ${data.first_name},`,
+      '',
+      `An account has been created for you (employee ID ${data.employee_id}).`,
+      `Email: ${data.email}`,
+      '',
+      'Choose your password using the link below within the next 3 days:',
+      RESET_LINK,
+      '',
+      `Then sign in at ${APP_URL}.`
+    ].join('\n')
+  })
+};
+
+// Outbox functions bound to a database. Messages are sent through
+// defaultTransporter unless processEmailOutbox is given another; without one
+// they stay queued.
+function createEmailOutbox(db, defaultTransporter) {
+  let emailOutboxRunning = false;
+
+  // Render a template into the outbox. Failures are logged rather than thrown
+  // so notifications never undo the action that triggered them. employeeId is
+  // the account a RESET_LINK in the template is minted for.
+  async function queueEmail(template, recipient, data, employeeId = null) {
+    try {
+      const { subject, body } = EMAIL_TEMPLATES[template](data);
+
+      const result = await db.query(`
+        INSERT INTO email_outbox (template, recipient, subject, body, employee_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [template, recipient, subject, body, employeeId]);
+
+      setImmediate(() => {
+        processEmailOutbox().catch(error => console.error('Email outbox error:', error));
+      });
+
+      return result.rows[0].id;
+    } catch (error) {
+      console.error('Queue email error:', error);
+      return null;
+    }
+  }
+
+  // Replace RESET_LINK with a new password reset link for the message's
+  // account. Each attempt mints a new token, replacing any earlier one.
+  async function insertResetLink(message) {
+    if (!message.body.includes(RESET_LINK)) {
+      return message.body;
+    }
+    if (!message.employee_id) {
+      throw new Error('No account to create a reset link for');
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await db.query(`
+      UPDATE employees 
+      SET password_reset_token = $1,
+          password_reset_expires = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 hour')
+      WHERE id = $3
+    `, [resetToken, RESET_LINK_TTL_HOURS[message.template] || 1, message.employee_id]);
+
+    return message.body.replace(RESET_LINK, `${APP_URL}/reset-password?token=${resetToken}`);
+  }
+
+  // Deliver due messages. Rows are claimed with SKIP LOCKED so several server
+  // instances can share the outbox; a claim older than ten minutes is assumed
+  // to belong to a crashed worker and is picked up again.
+  async function processEmailOutbox(transporter = defaultTransporter) {
+    if (!transporter || emailOutboxRunning) {
+      return { sent: 0, failed: 0 };
+    }
+
+    emailOutboxRunning = true;
+    const summary = { sent: 0, failed: 0 };
+
+    try {
+      const claimed = await db.query(`
+        UPDATE email_outbox
+        SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM email_outbox
+          WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+             OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes')
+          ORDER BY id
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [EMAIL_BATCH_SIZE]);
+
+      for (const message of claimed.rows) {
+        try {
+          await transporter.sendMail({
+            from: EMAIL_FROM,
+            to: message.recipient,
+            subject: message.subject,
+            text: await insertResetLink(message)
+          });
+
+          await db.query(`
+            UPDATE email_outbox
+            SET status = 'sent', sent_at = CURRENT_TIMESTAMP, body = NULL, last_error = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [message.id]);
+          summary.sent++;
+        } catch (error) {
+          // Back off 2, 4, 8, 16 minutes before giving up
+          const giveUp = message.attempts >= EMAIL_MAX_ATTEMPTS;
+          await db.query(`
+            UPDATE email_outbox
+            SET status = $1, last_error = $2,
+                next_attempt_at = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute'),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+          `, [giveUp ? 'failed' : 'pending', error.message, 2 ** message.attempts, message.id]);
+          summary.failed++;
+        }
+      }
+    } finally {
+      emailOutboxRunning = false;
+    }
+
+    return summary;
+  }
+
+  return { processEmailOutbox, queueEmail };
+}
+
+module.exports = { RESET_LINK, createEmailOutbox };
@@ -0,0 +1,90 @@
+// Reading employee CSV imports. Checks against the database happen in
+// validateEmployeeImport in server.js.
+
+const EMPLOYEE_IMPORT_REQUIRED_FIELDS = ['employee_id', 'email', 'first_name', 'last_name', 'hire_date'];
+
+// Minimal RFC 4180 parser: quoted fields may contain commas, doubled quotes
+// and line breaks. Returns an array of rows, each an array of strings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Turn CSV rows into employee records keyed by normalised header names
+// ("Manager Email" -> manager_email). Row numbers match the spreadsheet,
+// counting the header as row 1.
+function readEmployeeImportRows(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\ufeff/, ''));
+  const keys = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+
+  return rows.map((cells, index) => {
+    const record = { row: index + 2 };
+    keys.forEach((key, i) => {
+      record[key] = (cells[i] || '').trim();
+    });
+    record.department = record.department || record.department_name || '';
+    record.role = (record.role || 'employee').toLowerCase();
+    record.email = (record.email || '').toLowerCase();
+    record.manager_email = (record.manager_email || '').toLowerCase();
+    return record;
+  });
+}
+
+// Follow manager emails through the file; existing employees can't report to
+// someone who is only being created now, so a loop can only form in the file
+function importManagerChainLoops(record, fileManagers) {
+  const seen = new Set([record.email]);
+  let current = record.manager_email;
+  while (current && fileManagers.has(current)) {
+    if (seen.has(current)) {
+      return true;
+    }
+    seen.add(current);
+    current = fileManagers.get(current);
+  }
+  return false;
+}
+
+module.exports = {
+  EMPLOYEE_IMPORT_REQUIRED_FIELDS,
+  importManagerChainLoops,
+  parseCsv,
+  readEmployeeImportRows
+};
@@ -0,0 +1,66 @@
+// Error responses
+// Every error body has the shape { error, code, details: [{ field, message }] }.
+// ERROR_CODES gives the code for handlers that only set error.
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  423: 'locked',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+// Database errors that come from bad input rather than a fault: the constraint
+// tells us which field was wrong.
+function databaseErrorResponse(error) {
+  const keyMatch = /^Key \(([^)]+)\)/.exec(error.detail || '');
+  const field = error.column || (keyMatch && keyMatch[1]) || null;
+  const fieldDetails = message => (field ? [{ field, message: `${field} ${message}` }] : []);
+
+  switch (error.code) {
+    case '23505':
+      return [409, { error: 'A record with this value already exists', code: 'duplicate', details: fieldDetails('already exists') }];
+    case '23503':
+      if (/still referenced/.test(error.detail || '')) {
+        return [409, { error: 'This record is still in use', code: 'in_use', details: [] }];
+      }
+      return [400, { error: 'A referenced record does not exist', code: 'invalid_reference', details: fieldDetails('does not match an existing record') }];
+    case '23502':
+      return [400, { error: 'Validation failed', code: 'validation_error', details: fieldDetails('is required') }];
+    case '23514':
+      return [400, {
+        error: 'Validation failed',
+        code: 'validation_error',
+        details: [{ field: error.constraint || null, message: 'Value is not allowed' }]
+      }];
+    case '22001':
+    case '22003':
+    case '22007':
+    case '22008':
+    case '22P02':
+      return [400, { error: 'Invalid input', code: 'invalid_input', details: [{ field, message: error.message }] }];
+    default:
+      return null;
+  }
+}
+
+// Catch-all for route handlers. messages can replace the generic text for
+// a database error code with one that fits the route.
+function respondWithError(res, error, messages = {}) {
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  const mapped = databaseErrorResponse(error);
+  if (mapped) {
+    const [status, body] = mapped;
+    return res.status(status).json({ ...body, error: messages[error.code] || body.error });
+  }
+
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = { ERROR_CODES, databaseErrorResponse, respondWithError };
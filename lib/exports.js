@@ -0,0 +1,59 @@
+// Cell formatting for CSV and Excel exports
+
+const EXCEL_NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm',
+  number: '0.0#'
+};
+
+function padNumber(value) {
+  return String(value).padStart(2, '0');
+}
+
+// pg parses DATE and TIMESTAMP columns as server-local time, so read the
+// local parts back rather than going through toISOString
+function formatExportValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'date':
+      return `${value.getFullYear()}-${padNumber(value.getMonth() + 1)}-${padNumber(value.getDate())}`;
+    case 'datetime':
+      return `${formatExportValue(value, 'date')} ${padNumber(value.getHours())}:${padNumber(value.getMinutes())}`;
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+// Excel stores dates without a timezone, so hand it the local wall-clock time
+function toExcelValue(value, type) {
+  if ((type === 'date' || type === 'datetime') && value instanceof Date) {
+    return new Date(Date.UTC(
+      value.getFullYear(), value.getMonth(), value.getDate(),
+      type === 'datetime' ? value.getHours() : 0,
+      type === 'datetime' ? value.getMinutes() : 0
+    ));
+  }
+  return formatExportValue(value, type);
+}
+
+// Text starting with = + - @, a tab or a carriage return is prefixed with '
+// so spreadsheet apps don't evaluate it as a formula
+function toCsvCell(value) {
+  if (value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { EXCEL_NUMBER_FORMATS, formatExportValue, toCsvCell, toExcelValue };
@@ -0,0 +1,97 @@
+// Accrual
+// 'annual' grants the full entitlement up front. 'pro_rata' and 'monthly'
+// grant entitlement / 12 for each month of service in the year, counting the
+// hire month. 'monthly' types can only be drawn down as the months pass, plus
+// up to max_advance_days borrowed ahead.
+function roundToHalfDay(days) {
+  return Math.round(days * 2) / 2;
+}
+
+// Months of service in `year` from the hire month up to `throughMonth` (1-12)
+function monthsOfServiceInYear(hireDate, year, throughMonth = 12) {
+  const hireYear = parseInt(hireDate.slice(0, 4));
+  const hireMonth = parseInt(hireDate.slice(5, 7));
+  if (hireYear > year) {
+    return 0;
+  }
+  const firstMonth = hireYear === year ? hireMonth : 1;
+  return Math.max(throughMonth - firstMonth + 1, 0);
+}
+
+function calculateAllocatedDays(entitlement, accrualMethod, hireDate, year) {
+  if (accrualMethod !== 'pro_rata' && accrualMethod !== 'monthly') {
+    return entitlement;
+  }
+  return roundToHalfDay(entitlement * monthsOfServiceInYear(hireDate, year) / 12);
+}
+
+function calculateAccruedDays(balance, asOf = new Date()) {
+  const allocatedDays = parseFloat(balance.allocated_days);
+  if (balance.accrual_method !== 'monthly') {
+    return allocatedDays;
+  }
+
+  const asOfYear = asOf.getUTCFullYear();
+  const throughMonth = asOfYear > balance.year ? 12 : asOfYear < balance.year ? 0 : asOf.getUTCMonth() + 1;
+  const serviceMonths = monthsOfServiceInYear(balance.hire_day, balance.year);
+  if (serviceMonths === 0) {
+    return 0;
+  }
+
+  return roundToHalfDay(allocatedDays * monthsOfServiceInYear(balance.hire_day, balance.year, throughMonth) / serviceMonths);
+}
+
+// Days that can be requested now: remaining days less anything not yet
+// accrued, plus the borrowing allowance for monthly accrual
+function getAvailableLeaveDays(balance, asOf = new Date()) {
+  const remainingDays = parseFloat(balance.remaining_days);
+  if (balance.accrual_method !== 'monthly') {
+    return remainingDays;
+  }
+
+  const notYetAccrued = parseFloat(balance.allocated_days) - calculateAccruedDays(balance, asOf);
+  const advanceDays = Math.min(parseFloat(balance.max_advance_days) || 0, notYetAccrued);
+  return remainingDays - notYetAccrued + advanceDays;
+}
+
+// Final settlement of the exit year's balances as of the exit date.
+// Time-based entitlements (pro-rata and monthly) are earned up to the exit
+// month; a negative settlement means more leave was taken than earned.
+function buildFinalLeaveSettlement(balances, exitDate) {
+  const exitMonth = parseInt(exitDate.slice(5, 7));
+
+  return balances.map(balance => {
+    const allocatedDays = parseFloat(balance.allocated_days);
+    const serviceMonths = monthsOfServiceInYear(balance.hire_day, balance.year);
+    const earnedDays = balance.accrual_method === 'annual' || serviceMonths === 0
+      ? allocatedDays
+      : roundToHalfDay(allocatedDays * monthsOfServiceInYear(balance.hire_day, balance.year, exitMonth) / serviceMonths);
+
+    const carriedForwardDays = parseFloat(balance.carried_forward_days || 0);
+    const adjustedDays = parseFloat(balance.adjusted_days || 0);
+    const usedDays = parseFloat(balance.used_days || 0);
+    const expiredDays = parseFloat(balance.expired_days || 0);
+
+    return {
+      leave_type_id: balance.leave_type_id,
+      leave_type: balance.leave_type_name,
+      accrual_method: balance.accrual_method,
+      allocated_days: allocatedDays,
+      earned_days: earnedDays,
+      carried_forward_days: carriedForwardDays,
+      adjusted_days: adjustedDays,
+      used_days: usedDays,
+      expired_days: expiredDays,
+      settlement_days: earnedDays + carriedForwardDays + adjustedDays - usedDays - expiredDays
+    };
+  });
+}
+
+module.exports = {
+  buildFinalLeaveSettlement,
+  calculateAccruedDays,
+  calculateAllocatedDays,
+  getAvailableLeaveDays,
+  monthsOfServiceInYear,
+  roundToHalfDay
+};
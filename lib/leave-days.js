@@ -0,0 +1,95 @@
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parse a YYYY-MM-DD string into a UTC midnight Date, or null if invalid
+function parseDateOnly(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return date;
+}
+
+function isHalfDayDuration(duration) {
+  return duration === 'half-day-morning' || duration === 'half-day-afternoon';
+}
+
+// Build the per-day charge for a leave period. Weekends and holidays are not
+// charged; a recurring holiday applies on its month/day in every year from the
+// year it was first entered.
+function buildLeaveDayBreakdown(startDate, endDate, duration, holidays) {
+  const fixedHolidays = new Map();
+  const recurringHolidays = new Map();
+
+  for (const holiday of holidays) {
+    if (holiday.is_recurring) {
+      const key = holiday.date.slice(5);
+      const existing = recurringHolidays.get(key);
+      if (!existing || holiday.date < existing.date) {
+        recurringHolidays.set(key, holiday);
+      }
+    } else {
+      fixedHolidays.set(holiday.date, holiday);
+    }
+  }
+
+  const perDay = isHalfDayDuration(duration) ? 0.5 : 1;
+  const days = [];
+  let totalDays = 0;
+
+  const current = new Date(startDate.getTime());
+  while (current <= endDate) {
+    const date = current.toISOString().slice(0, 10);
+    const weekday = current.getUTCDay();
+    const recurring = recurringHolidays.get(date.slice(5));
+    const holiday = fixedHolidays.get(date) || (recurring && recurring.date <= date ? recurring : null);
+
+    let chargedDays = 0;
+    let excludedReason = null;
+    if (weekday === 0 || weekday === 6) {
+      excludedReason = 'weekend';
+    } else if (holiday) {
+      excludedReason = 'holiday';
+    } else {
+      chargedDays = perDay;
+    }
+
+    totalDays += chargedDays;
+    days.push({
+      date,
+      weekday: WEEKDAY_NAMES[weekday],
+      charged_days: chargedDays,
+      excluded_reason: excludedReason,
+      holiday_name: excludedReason === 'holiday' ? holiday.name : null
+    });
+
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return { total_days: totalDays, days };
+}
+
+// Split the charged days of a breakdown by calendar year, as [{ year, days }]
+// in date order. Balances are kept per year, so leave over New Year draws on
+// both years. The parts add up to totalDays, what the request was actually
+// charged; any difference from the breakdown (a holiday added since) is
+// settled in the first year.
+function chargedDaysByYear(days, totalDays) {
+  const byYear = new Map();
+  for (const day of days) {
+    if (day.charged_days > 0) {
+      const year = parseInt(day.date.slice(0, 4));
+      byYear.set(year, (byYear.get(year) || 0) + day.charged_days);
+    }
+  }
+
+  const parts = [...byYear].map(([year, charged]) => ({ year, days: charged }));
+  if (parts.length > 0) {
+    parts[0].days += totalDays - parts.reduce((total, part) => total + part.days, 0);
+  }
+  return parts;
+}
+
+module.exports = { WEEKDAY_NAMES, buildLeaveDayBreakdown, chargedDaysByYear, isHalfDayDuration, parseDateOnly };
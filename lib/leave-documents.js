@@ -0,0 +1,11 @@
+// Text shared by the printable leave documents
+
+function formatLetterDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function leaveReferenceNumber(leaveRequest) {
+  return `TLM-${leaveRequest.start_date.slice(0, 4)}-${String(leaveRequest.id).padStart(6, '0')}`;
+}
+
+module.exports = { formatLetterDate, leaveReferenceNumber };
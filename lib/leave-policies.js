@@ -0,0 +1,79 @@
+const { calculateAllocatedDays } = require('./leave-accrual');
+
+// Leave entitlement policies
+// HR defines policies per leave type, optionally narrowed to a department, a
+// role, a service band or a single employee. The most specific policy that
+// matches wins; ties go to the higher service band, then the newest policy.
+// Service is counted in completed years at 1 January of the balance year.
+function completedServiceYears(hireDate, year) {
+  const hireYear = parseInt(hireDate.slice(0, 4));
+  const years = year - hireYear - (hireDate.slice(5) > '01-01' ? 1 : 0);
+  return Math.max(years, 0);
+}
+
+function policyMatches(policy, employee, serviceYears) {
+  return (policy.employee_id === null || policy.employee_id === employee.id) &&
+    (policy.department_id === null || policy.department_id === employee.department_id) &&
+    (policy.role === null || policy.role === employee.role) &&
+    serviceYears >= (policy.min_service_years || 0) &&
+    (policy.max_service_years === null || serviceYears < policy.max_service_years);
+}
+
+function policySpecificity(policy) {
+  return (policy.employee_id !== null ? 4 : 0) +
+    (policy.department_id !== null ? 2 : 0) +
+    (policy.role !== null ? 1 : 0);
+}
+
+function resolveLeavePolicy(policies, employee, serviceYears) {
+  const matching = policies.filter(policy => policyMatches(policy, employee, serviceYears));
+  matching.sort((a, b) =>
+    policySpecificity(b) - policySpecificity(a) ||
+    (b.min_service_years || 0) - (a.min_service_years || 0) ||
+    b.id - a.id
+  );
+  return matching[0] || null;
+}
+
+function calculatePolicyEntitlement(policy, serviceYears) {
+  let days = parseFloat(policy.base_days);
+  if (policy.service_step_years > 0) {
+    days += Math.floor(serviceYears / policy.service_step_years) * (parseFloat(policy.service_step_days) || 0);
+  }
+  if (policy.max_days !== null) {
+    days = Math.min(days, parseFloat(policy.max_days));
+  }
+  return days;
+}
+
+// Entitlement and allocation for each leave type, before any carry-forward
+function buildLeaveEntitlements(employee, leaveTypes, policies, year) {
+  const serviceYears = completedServiceYears(employee.hire_day, year);
+
+  return leaveTypes.map(leaveType => {
+    const policy = resolveLeavePolicy(
+      policies.filter(candidate => candidate.leave_type_id === leaveType.id),
+      employee,
+      serviceYears
+    );
+    const entitledDays = policy ? calculatePolicyEntitlement(policy, serviceYears) : 0;
+
+    return {
+      leave_type_id: leaveType.id,
+      leave_type: leaveType.name,
+      accrual_method: leaveType.accrual_method,
+      policy_id: policy ? policy.id : null,
+      policy_name: policy ? policy.name : null,
+      service_years: serviceYears,
+      entitled_days: entitledDays,
+      allocated_days: calculateAllocatedDays(entitledDays, leaveType.accrual_method, employee.hire_day, year)
+    };
+  });
+}
+
+module.exports = {
+  buildLeaveEntitlements,
+  calculatePolicyEntitlement,
+  completedServiceYears,
+  resolveLeavePolicy
+};
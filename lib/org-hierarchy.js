@@ -0,0 +1,19 @@
+// Nests org chart rows ({ id, manager_id, ... }) under their managers.
+// rootIds and anyone whose manager isn't in rows start a tree of their own.
+function buildOrgTree(rows, rootIds) {
+  const nodes = new Map(rows.map(row => [row.id, { ...row, reports: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.manager_id);
+    if (rootIds.includes(node.id) || !parent) {
+      roots.push(node);
+    } else {
+      parent.reports.push(node);
+    }
+  }
+
+  return roots;
+}
+
+module.exports = { buildOrgTree };
@@ -0,0 +1,83 @@
+// Permissions
+// A role is a named set of permission grants. A grant can be limited to some
+// departments (department_ids); null means every department. Only the
+// permissions marked scopable can be limited, the rest are company-wide.
+// Line managers, department heads and their delegates approve leave through
+// the reporting line, not through a permission.
+const PERMISSIONS = {
+  'employees.view': { description: 'View employee records, ledgers, statements and the org chart', scopable: true },
+  'employees.manage': { description: 'Create, import, update and offboard employees', scopable: true },
+  'leave.view_team': { description: 'View leave across their reporting line and the team calendar', scopable: false },
+  'leave.view_all': { description: 'View everyone\'s leave and the team calendar', scopable: true },
+  'leave.approve': { description: 'Act as HR approver, including requests without a line manager or department head', scopable: true },
+  'leave.approve_any': { description: 'Approve or reject any stage of any leave request', scopable: true },
+  'leave.delegate': { description: 'Delegate their approvals to a colleague', scopable: false },
+  'delegations.manage': { description: 'Set up and revoke approval delegations for other managers', scopable: false },
+  'leave.manage_balances': { description: 'Adjust balances, run year-end rollover and carry-forward expiry', scopable: true },
+  'reports.view': { description: 'View and export leave reports', scopable: true },
+  'departments.manage': { description: 'Manage departments', scopable: false },
+  'leave_types.manage': { description: 'Manage leave types', scopable: false },
+  'leave_policies.manage': { description: 'Manage leave policies, approval chains, staffing rules and blackout periods', scopable: false },
+  'holidays.manage': { description: 'Manage public holidays', scopable: false },
+  'security.manage': { description: 'Manage sessions, lockouts, 2FA and 2FA policies for other users', scopable: false },
+  'roles.manage': { description: 'Create and edit roles and their permissions', scopable: false },
+  'audit.view': { description: 'View, export and verify the audit log', scopable: false },
+  'email.manage': { description: 'View and retry outgoing emails', scopable: false }
+};
+
+// Without a department, true if the user holds the permission at all; with
+// one, only if their grant covers that department.
+function hasPermission(user, permission, departmentId) {
+  if (!user.permissions || !Object.prototype.hasOwnProperty.call(user.permissions, permission)) {
+    return false;
+  }
+  const departments = user.permissions[permission];
+  if (departmentId === undefined || departments === null) {
+    return true;
+  }
+  return departments.includes(Number(departmentId));
+}
+
+// Departments a grant is limited to, or null when it covers all of them
+function permissionScope(user, permission) {
+  return user.permissions ? user.permissions[permission] || null : null;
+}
+
+// True if the user's own grant of permission is at least as wide as a grant
+// limited to departments (null meaning all)
+function coversGrant(user, permission, departments) {
+  if (!hasPermission(user, permission)) {
+    return false;
+  }
+  const scope = permissionScope(user, permission);
+  return !scope || (departments !== null && departments.every(id => scope.includes(id)));
+}
+
+function roleAssignmentError(assignableRoles, role) {
+  if (!assignableRoles.has(role)) {
+    return `Unknown role "${role}"`;
+  }
+  if (!assignableRoles.get(role)) {
+    return `You cannot assign the ${role} role`;
+  }
+  return null;
+}
+
+// Passes if the user holds any of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  coversGrant,
+  hasPermission,
+  permissionScope,
+  requirePermission,
+  roleAssignmentError
+};
@@ -0,0 +1,41 @@
+// Staffing rules
+// A rule covers a department, a manager's team, or both (neither means the
+// whole company). Each working day of a request is checked against pending
+// and approved leave of the other people the rule covers.
+function findStaffingViolations(rule, memberIds, requesterId, absences, days) {
+  const members = new Set(memberIds);
+  members.add(requesterId);
+  const violatingDays = [];
+
+  for (const date of days) {
+    const absentIds = new Set(
+      absences
+        .filter(absence => members.has(absence.employee_id) && absence.start_day <= date && absence.end_day >= date)
+        .map(absence => absence.employee_id)
+    );
+    absentIds.add(requesterId);
+
+    const availableStaff = members.size - absentIds.size;
+    const belowMinimum = rule.min_staff !== null && availableStaff < rule.min_staff;
+    const tooManyAbsent = rule.max_concurrent_absences !== null && absentIds.size > rule.max_concurrent_absences;
+
+    if (belowMinimum || tooManyAbsent) {
+      violatingDays.push({ date, absent_count: absentIds.size, available_staff: availableStaff });
+    }
+  }
+
+  if (violatingDays.length === 0) {
+    return null;
+  }
+
+  return {
+    rule_id: rule.id,
+    rule_name: rule.name,
+    enforcement: rule.enforcement,
+    min_staff: rule.min_staff,
+    max_concurrent_absences: rule.max_concurrent_absences,
+    days: violatingDays
+  };
+}
+
+module.exports = { findStaffingViolations };
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+require('dotenv').config();
+
+// TOTP secrets are stored encrypted with AES-256-GCM as
+// "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts). The key comes from
+// MFA_ENCRYPTION_KEY and is hashed to 32 bytes, so any long random string
+// works.
+const ENCRYPTED_SECRET_PREFIX = 'v1:';
+
+function hasEncryptionKey() {
+  return Boolean(process.env.MFA_ENCRYPTION_KEY);
+}
+
+function encryptionKey() {
+  if (!hasEncryptionKey()) {
+    throw new Error('MFA_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.MFA_ENCRYPTION_KEY).digest();
+}
+
+function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_SECRET_PREFIX);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ENCRYPTED_SECRET_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+// Throws if the value was tampered with or encrypted under another key
+function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) {
+    throw new Error('Secret is not encrypted');
+  }
+  const [iv, authTag, ciphertext] = value.slice(ENCRYPTED_SECRET_PREFIX.length).split(':')
+    .map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Returns the TOTP step the code matched, or null. Codes from the previous or
+// next step are accepted to allow for clock drift, but never a step that was
+// already used.
+function matchTotpStep(code, secret, lastUsedStep) {
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) {
+    return null;
+  }
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  return lastUsedStep !== null && step <= Number(lastUsedStep) ? null : step;
+}
+
+module.exports = { decryptSecret, encryptSecret, hasEncryptionKey, isEncryptedSecret, matchTotpStep };
@@ -0,0 +1,584 @@
+// The schema as the server used to create it on boot, together with the
+// columns and indexes the old one-off migration script added. Every statement
+// is idempotent so databases created before migrations were tracked can run
+// it too.
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS departments (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(20) NOT NULL UNIQUE,
+      description TEXT,
+      is_system BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE,
+      permission VARCHAR(50) NOT NULL,
+      department_ids INTEGER[],
+      PRIMARY KEY (role_id, permission)
+    );
+  `);
+
+  // Built-in roles and the permissions they start with. They can be edited
+  // later, except admin, which starts with every permission and which the
+  // server keeps topped up as permissions are added.
+  await db.query(`
+    INSERT INTO roles (name, description, is_system) VALUES
+    ('employee', 'Self-service leave', true),
+    ('manager', 'Line manager', true),
+    ('hr', 'Human resources', true),
+    ('admin', 'Full access', true)
+    ON CONFLICT (name) DO NOTHING;
+  `);
+
+  await db.query(`
+    INSERT INTO role_permissions (role_id, permission)
+    SELECT r.id, grants.permission
+    FROM (VALUES
+      ('manager', 'leave.view_team'), ('manager', 'leave.delegate'),
+      ('hr', 'employees.view'), ('hr', 'employees.manage'), ('hr', 'leave.view_team'),
+      ('hr', 'leave.view_all'), ('hr', 'leave.approve'), ('hr', 'leave.delegate'),
+      ('hr', 'delegations.manage'), ('hr', 'leave.manage_balances'), ('hr', 'reports.view'),
+      ('hr', 'departments.manage'), ('hr', 'leave_types.manage'), ('hr', 'leave_policies.manage'),
+      ('hr', 'holidays.manage'),
+      ('admin', 'employees.view'), ('admin', 'employees.manage'), ('admin', 'leave.view_team'),
+      ('admin', 'leave.view_all'), ('admin', 'leave.approve'), ('admin', 'leave.approve_any'),
+      ('admin', 'leave.delegate'), ('admin', 'delegations.manage'), ('admin', 'leave.manage_balances'),
+      ('admin', 'reports.view'), ('admin', 'departments.manage'), ('admin', 'leave_types.manage'),
+      ('admin', 'leave_policies.manage'), ('admin', 'holidays.manage'), ('admin', 'security.manage'),
+      ('admin', 'roles.manage'), ('admin', 'audit.view'), ('admin', 'email.manage')
+    ) AS grants(role, permission)
+    JOIN roles r ON r.name = grants.role
+    WHERE NOT EXISTS (SELECT 1 FROM role_permissions rp WHERE rp.role_id = r.id);
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS employees (
+      id SERIAL PRIMARY KEY,
+      employee_id VARCHAR(20) UNIQUE NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      first_name VARCHAR(50) NOT NULL,
+      last_name VARCHAR(50) NOT NULL,
+      role VARCHAR(20) DEFAULT 'employee' REFERENCES roles(name) ON UPDATE CASCADE,
+      department_id INTEGER REFERENCES departments(id),
+      manager_id INTEGER REFERENCES employees(id),
+      hire_date DATE NOT NULL,
+      annual_leave_entitlement INTEGER DEFAULT 21,
+      sick_leave_entitlement INTEGER DEFAULT 10,
+      emergency_leave_entitlement INTEGER DEFAULT 5,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_types (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) NOT NULL UNIQUE,
+      description TEXT,
+      max_days INTEGER,
+      requires_approval BOOLEAN DEFAULT TRUE,
+      requires_document BOOLEAN DEFAULT FALSE,
+      carry_forward_cap DECIMAL(4,1) DEFAULT 0,
+      carry_forward_expiry VARCHAR(5) DEFAULT '03-31',
+      accrual_method VARCHAR(20) CHECK (accrual_method IN ('annual', 'pro_rata', 'monthly')) DEFAULT 'annual',
+      max_advance_days DECIMAL(4,1) DEFAULT 0,
+      is_blackout_exempt BOOLEAN DEFAULT FALSE,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_requests (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) NOT NULL,
+      leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      duration VARCHAR(20) CHECK (duration IN ('full-day', 'half-day-morning', 'half-day-afternoon')) DEFAULT 'full-day',
+      total_days DECIMAL(3,1) NOT NULL,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')) DEFAULT 'pending',
+      applied_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      approved_by INTEGER REFERENCES employees(id),
+      approved_date TIMESTAMP,
+      rejection_reason TEXT,
+      supporting_document VARCHAR(255),
+      cancellation_requested_at TIMESTAMP,
+      cancellation_reason TEXT,
+      cancelled_by INTEGER REFERENCES employees(id),
+      cancelled_date TIMESTAMP,
+      refunded_days DECIMAL(3,1) DEFAULT 0,
+      approval_chain_id INTEGER,
+      current_stage INTEGER DEFAULT 1,
+      staffing_warnings JSONB,
+      leave_type_rules JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_balances (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) NOT NULL,
+      leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
+      allocated_days DECIMAL(4,1) NOT NULL,
+      used_days DECIMAL(3,1) DEFAULT 0,
+      remaining_days DECIMAL(3,1) NOT NULL,
+      year INTEGER NOT NULL,
+      carried_forward_days DECIMAL(3,1) DEFAULT 0,
+      carry_forward_expires_on DATE,
+      carry_forward_expired_at TIMESTAMP,
+      expired_days DECIMAL(3,1) DEFAULT 0,
+      adjusted_days DECIMAL(3,1) DEFAULT 0,
+      rolled_over_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(employee_id, leave_type_id, year)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_ledger_entries (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) NOT NULL,
+      leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
+      year INTEGER NOT NULL,
+      entry_type VARCHAR(30) CHECK (entry_type IN (
+        'allocation', 'accrual', 'approval_deduction', 'cancellation_refund',
+        'carry_forward', 'expiry', 'manual_adjustment'
+      )) NOT NULL,
+      days DECIMAL(4,1) NOT NULL,
+      reason TEXT NOT NULL,
+      leave_request_id INTEGER REFERENCES leave_requests(id),
+      created_by INTEGER REFERENCES employees(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_leave_ledger_balance
+    ON leave_ledger_entries(employee_id, leave_type_id, year);
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_policies (
+      id SERIAL PRIMARY KEY,
+      leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
+      name VARCHAR(100),
+      employee_id INTEGER REFERENCES employees(id),
+      department_id INTEGER REFERENCES departments(id),
+      role VARCHAR(20),
+      min_service_years INTEGER DEFAULT 0,
+      max_service_years INTEGER,
+      base_days DECIMAL(4,1) NOT NULL,
+      service_step_years INTEGER,
+      service_step_days DECIMAL(4,1) DEFAULT 0,
+      max_days DECIMAL(4,1),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INTEGER REFERENCES employees(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      date DATE NOT NULL,
+      is_recurring BOOLEAN DEFAULT FALSE,
+      description TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    ALTER TABLE departments 
+    ADD COLUMN IF NOT EXISTS head_id INTEGER REFERENCES employees(id);
+  `);
+
+  await db.query(`
+    ALTER TABLE departments 
+    ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES departments(id),
+    ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  `);
+
+  await db.query(`
+    ALTER TABLE leave_types 
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS approval_chains (
+      id SERIAL PRIMARY KEY,
+      leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      min_days DECIMAL(4,1) DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_approval_chains_active
+    ON approval_chains(leave_type_id, min_days) WHERE is_active = true;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS approval_chain_stages (
+      id SERIAL PRIMARY KEY,
+      chain_id INTEGER REFERENCES approval_chains(id) ON DELETE CASCADE NOT NULL,
+      stage_order INTEGER NOT NULL,
+      approver VARCHAR(20) CHECK (approver IN ('line_manager', 'department_head', 'hr', 'admin')) NOT NULL,
+      UNIQUE(chain_id, stage_order)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_request_approvals (
+      id SERIAL PRIMARY KEY,
+      leave_request_id INTEGER REFERENCES leave_requests(id) NOT NULL,
+      stage INTEGER NOT NULL,
+      approver VARCHAR(20),
+      decided_by INTEGER REFERENCES employees(id),
+      decision VARCHAR(20) CHECK (decision IN ('approved', 'rejected', 'auto_approved')) NOT NULL,
+      on_behalf_of INTEGER REFERENCES employees(id),
+      comments TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (approver IS NOT NULL OR decision = 'auto_approved')
+    );
+  `);
+
+  await db.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS default_delegate_id INTEGER REFERENCES employees(id);
+  `);
+
+  await db.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS exit_date DATE,
+    ADD COLUMN IF NOT EXISTS exit_reason TEXT;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_settlements (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) NOT NULL,
+      exit_date DATE NOT NULL,
+      year INTEGER NOT NULL,
+      lines JSONB NOT NULL,
+      total_settlement_days DECIMAL(5,1) NOT NULL,
+      created_by INTEGER REFERENCES employees(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS approval_delegations (
+      id SERIAL PRIMARY KEY,
+      manager_id INTEGER REFERENCES employees(id) NOT NULL,
+      delegate_id INTEGER REFERENCES employees(id) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      reason TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INTEGER REFERENCES employees(id),
+      revoked_by INTEGER REFERENCES employees(id),
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (manager_id <> delegate_id),
+      CHECK (start_date <= end_date)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS staffing_rules (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      department_id INTEGER REFERENCES departments(id),
+      manager_id INTEGER REFERENCES employees(id),
+      min_staff INTEGER,
+      max_concurrent_absences INTEGER,
+      enforcement VARCHAR(10) CHECK (enforcement IN ('block', 'warn')) DEFAULT 'warn',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INTEGER REFERENCES employees(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (min_staff IS NOT NULL OR max_concurrent_absences IS NOT NULL)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS blackout_periods (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      reason TEXT,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      department_id INTEGER REFERENCES departments(id),
+      leave_type_id INTEGER REFERENCES leave_types(id),
+      exempt_urgent_leave BOOLEAN DEFAULT TRUE,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INTEGER REFERENCES employees(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (start_date <= end_date)
+    );
+  `);
+
+  // Welcome and password reset emails carry no body: the reset link is minted
+  // for the account in employee_id when the message is sent.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id SERIAL PRIMARY KEY,
+      template VARCHAR(50) NOT NULL,
+      recipient VARCHAR(255) NOT NULL,
+      employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+      subject VARCHAR(255) NOT NULL,
+      body TEXT,
+      status VARCHAR(20) CHECK (status IN ('pending', 'sending', 'sent', 'failed')) DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES employees(id),
+      action VARCHAR(100) NOT NULL,
+      resource VARCHAR(50) NOT NULL,
+      resource_id INTEGER,
+      details JSONB,
+      ip_address INET,
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Tamper-evident audit trail: every new entry gets the next sequence
+  // number and a SHA-256 hash over its contents and the previous entry's
+  // hash. The advisory lock serialises writers so the chain never forks.
+  await db.query(`
+    ALTER TABLE audit_logs 
+    ADD COLUMN IF NOT EXISTS sequence_number BIGINT,
+    ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS hash VARCHAR(64);
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_sequence ON audit_logs(sequence_number);
+
+    CREATE OR REPLACE FUNCTION audit_log_hash(entry audit_logs) RETURNS VARCHAR AS $$
+      SELECT encode(sha256(convert_to(concat_ws('|',
+        entry.sequence_number, entry.id, COALESCE(entry.user_id::TEXT, ''),
+        entry.action, entry.resource, COALESCE(entry.resource_id::TEXT, ''),
+        COALESCE(entry.details::TEXT, ''), COALESCE(entry.ip_address::TEXT, ''),
+        COALESCE(entry.user_agent, ''),
+        to_char(entry.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US'),
+        COALESCE(entry.prev_hash, '')
+      ), 'UTF8')), 'hex')
+    $$ LANGUAGE SQL STABLE;
+
+    CREATE OR REPLACE FUNCTION chain_audit_log() RETURNS TRIGGER AS $$
+    DECLARE
+      last_sequence BIGINT;
+      last_hash VARCHAR(64);
+    BEGIN
+      PERFORM pg_advisory_xact_lock(hashtext('audit_log_chain'));
+
+      SELECT sequence_number, hash INTO last_sequence, last_hash
+      FROM audit_logs
+      WHERE sequence_number IS NOT NULL
+      ORDER BY sequence_number DESC
+      LIMIT 1;
+
+      NEW.sequence_number := COALESCE(last_sequence, 0) + 1;
+      NEW.prev_hash := last_hash;
+      NEW.hash := audit_log_hash(NEW);
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS audit_logs_chain ON audit_logs;
+    CREATE TRIGGER audit_logs_chain BEFORE INSERT ON audit_logs
+      FOR EACH ROW EXECUTE FUNCTION chain_audit_log();
+  `);
+
+  // Login sessions backing refresh tokens. previous_refresh_token_hash lets a
+  // replayed (already rotated) refresh token be detected and the session killed.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+      previous_refresh_token_hash VARCHAR(64),
+      ip_address INET,
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_employee ON user_sessions(employee_id) WHERE revoked_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_refresh_token_hash);
+  `);
+
+  // TOTP two-factor authentication. totp_secret is set, encrypted, at
+  // enrolment and only counts once totp_enabled is true; totp_last_used_step
+  // stops a code being replayed within its 30 second window.
+  await db.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+    ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+    CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_employee ON mfa_recovery_codes(employee_id) WHERE used_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS mfa_role_policies (
+      role VARCHAR(20) PRIMARY KEY REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+      required BOOLEAN NOT NULL DEFAULT FALSE,
+      updated_by INTEGER REFERENCES employees(id),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Per-account lockout and password policy. lockout_count grows with each
+  // lockout so repeated attacks are locked out for longer; it resets on a
+  // successful login.
+  await db.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS lockout_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE;
+
+    CREATE TABLE IF NOT EXISTS password_history (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_password_history_employee ON password_history(employee_id, created_at);
+  `);
+
+  // Roles used to be a fixed CHECK list; they now live in the roles table
+  await db.query(`
+    ALTER TABLE employees DROP CONSTRAINT IF EXISTS employees_role_check;
+    ALTER TABLE mfa_role_policies DROP CONSTRAINT IF EXISTS mfa_role_policies_role_check;
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'employees_role_fkey') THEN
+        ALTER TABLE employees ADD CONSTRAINT employees_role_fkey
+          FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'mfa_role_policies_role_fkey') THEN
+        ALTER TABLE mfa_role_policies ADD CONSTRAINT mfa_role_policies_role_fkey
+          FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE;
+      END IF;
+    END $$;
+  `);
+
+  // Columns added after the tables above were first created. Databases from
+  // before then only get them here.
+  await db.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS password_reset_token VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS password_reset_expires TIMESTAMP;
+
+    ALTER TABLE leave_requests 
+    ADD COLUMN IF NOT EXISTS cancellation_requested_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+    ADD COLUMN IF NOT EXISTS cancelled_by INTEGER REFERENCES employees(id),
+    ADD COLUMN IF NOT EXISTS cancelled_date TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS refunded_days DECIMAL(3,1) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS approval_chain_id INTEGER REFERENCES approval_chains(id),
+    ADD COLUMN IF NOT EXISTS current_stage INTEGER DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS staffing_warnings JSONB,
+    ADD COLUMN IF NOT EXISTS leave_type_rules JSONB;
+
+    ALTER TABLE leave_types 
+    ADD COLUMN IF NOT EXISTS carry_forward_cap DECIMAL(4,1) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS carry_forward_expiry VARCHAR(5) DEFAULT '03-31',
+    ADD COLUMN IF NOT EXISTS accrual_method VARCHAR(20) DEFAULT 'annual'
+      CHECK (accrual_method IN ('annual', 'pro_rata', 'monthly')),
+    ADD COLUMN IF NOT EXISTS max_advance_days DECIMAL(4,1) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS is_blackout_exempt BOOLEAN DEFAULT FALSE;
+
+    ALTER TABLE leave_balances 
+    ADD COLUMN IF NOT EXISTS carried_forward_days DECIMAL(3,1) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS carry_forward_expires_on DATE,
+    ADD COLUMN IF NOT EXISTS carry_forward_expired_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS expired_days DECIMAL(3,1) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS adjusted_days DECIMAL(3,1) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS rolled_over_at TIMESTAMP;
+
+    ALTER TABLE leave_balances 
+    ALTER COLUMN allocated_days TYPE DECIMAL(4,1);
+
+    ALTER TABLE leave_request_approvals 
+    ADD COLUMN IF NOT EXISTS on_behalf_of INTEGER REFERENCES employees(id);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_leave_requests_employee_id ON leave_requests(employee_id);
+    CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+    CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(start_date, end_date);
+    CREATE INDEX IF NOT EXISTS idx_leave_balances_employee_year ON leave_balances(employee_id, year);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_user_action ON audit_logs(user_id, action);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource, resource_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+  `);
+}
+
+// up adopts databases that predate migrations, so reverting it would drop
+// years of leave history along with the tables. Restore from a backup instead.
+async function down() {
+  throw new Error('The initial schema cannot be reverted');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,99 @@
+const bcrypt = require('bcryptjs');
+
+// Starter departments, leave types, policies, approval chains, holidays and
+// the admin account. Each insert skips what is already there, so databases
+// that were seeded on boot before migrations existed are left as they are.
+async function up(db) {
+  // Insert departments
+  await db.query(`
+    INSERT INTO departments (name) VALUES 
+    ('Engineering'), ('HR'), ('Operations'), ('Finance'), ('Marketing')
+    ON CONFLICT (name) DO NOTHING;
+  `);
+
+  // Insert leave types
+  await db.query(`
+    INSERT INTO leave_types (name, description, max_days, requires_document, carry_forward_cap, accrual_method, is_blackout_exempt) VALUES 
+    ('Annual Leave', 'Yearly vacation leave', 21, false, 5, 'pro_rata', false),
+    ('Sick Leave', 'Medical leave', 10, true, 0, 'annual', true),
+    ('Emergency Leave', 'Urgent personal matters', 5, false, 0, 'annual', true),
+    ('Maternity Leave', 'Maternity leave for new mothers', 90, true, 0, 'annual', false),
+    ('Paternity Leave', 'Paternity leave for new fathers', 10, true, 0, 'annual', false),
+    ('Bereavement Leave', 'Leave for family bereavement', 3, false, 0, 'annual', true)
+    ON CONFLICT (name) DO NOTHING;
+  `);
+
+  // Insert default entitlement policies (only for leave types that have none)
+  await db.query(`
+    INSERT INTO leave_policies (leave_type_id, name, base_days, service_step_years, service_step_days, max_days)
+    SELECT lt.id, lt.name || ' default',
+           lt.max_days,
+           CASE WHEN lt.name = 'Annual Leave' THEN 5 END,
+           CASE WHEN lt.name = 'Annual Leave' THEN 1 ELSE 0 END,
+           CASE WHEN lt.name = 'Annual Leave' THEN 30 END
+    FROM leave_types lt
+    WHERE lt.max_days IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM leave_policies lp WHERE lp.leave_type_id = lt.id)
+  `);
+
+  // Insert default approval chains (only for leave types that have none)
+  const defaultChains = [
+    { leaveType: 'Maternity Leave', name: 'Maternity approval', minDays: 0 },
+    { leaveType: 'Paternity Leave', name: 'Paternity approval', minDays: 0 },
+    { leaveType: 'Annual Leave', name: 'Long annual leave approval', minDays: 10 }
+  ];
+  for (const chain of defaultChains) {
+    const chainResult = await db.query(`
+      INSERT INTO approval_chains (leave_type_id, name, min_days)
+      SELECT lt.id, $2, $3 FROM leave_types lt
+      WHERE lt.name = $1
+        AND NOT EXISTS (SELECT 1 FROM approval_chains ac WHERE ac.leave_type_id = lt.id)
+      RETURNING id
+    `, [chain.leaveType, chain.name, chain.minDays]);
+
+    if (chainResult.rows.length > 0) {
+      await db.query(`
+        INSERT INTO approval_chain_stages (chain_id, stage_order, approver) VALUES 
+        ($1, 1, 'line_manager'), ($1, 2, 'department_head'), ($1, 3, 'hr')
+      `, [chainResult.rows[0].id]);
+    }
+  }
+
+  // Insert holidays (only into an empty calendar)
+  const currentYear = new Date().getFullYear();
+  await db.query(`
+    INSERT INTO holidays (name, date, is_recurring, description)
+    SELECT name, date::DATE, true, description FROM (VALUES 
+      ('New Year Day', $1, 'New Year celebration'),
+      ('Independence Day', $2, 'Nigeria Independence Day'),
+      ('Christmas Day', $3, 'Christmas celebration'),
+      ('Boxing Day', $4, 'Boxing Day'),
+      ('Workers Day', $5, 'International Workers Day')
+    ) as defaults (name, date, description)
+    WHERE NOT EXISTS (SELECT 1 FROM holidays);
+  `, [
+    `${currentYear}-01-01`,
+    `${currentYear}-10-01`,
+    `${currentYear}-12-25`,
+    `${currentYear}-12-26`,
+    `${currentYear}-05-01`
+  ]);
+
+  // Insert default admin user
+  const hashedPassword = await bcrypt.hash('admin123', 10);
+  await db.query(`
+    INSERT INTO employees (
+      employee_id, email, password, first_name, last_name, 
+      role, department_id, hire_date
+    ) VALUES (
+      'EMP001', 'admin@trevi.com', $1, 'System', 'Admin', 
+      'admin', (SELECT id FROM departments WHERE name = 'HR'), CURRENT_DATE
+    ) ON CONFLICT (email) DO NOTHING;
+  `, [hashedPassword]);
+}
+
+// Nothing to undo: by now the defaults may have been edited or have leave
+// recorded against them. Reverting 001_initial_schema removes them.
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+// Data fixes the old one-off migration script made for databases that predate
+// leave policies and the balance ledger, plus the blackout exemption for
+// leave types seeded before blackout periods. Each skips rows that already
+// have what it would add, so they do nothing on a fresh database.
+async function up(db) {
+  // Carry custom per-employee entitlements over to employee-scoped policies
+  await db.query(`
+    INSERT INTO leave_policies (leave_type_id, name, employee_id, base_days)
+    SELECT lt.id, 'Individual entitlement', e.id, entitlement.days
+    FROM employees e
+    CROSS JOIN LATERAL (VALUES
+      ('Annual Leave', e.annual_leave_entitlement, 21),
+      ('Sick Leave', e.sick_leave_entitlement, 10),
+      ('Emergency Leave', e.emergency_leave_entitlement, 5)
+    ) AS entitlement(leave_type, days, default_days)
+    JOIN leave_types lt ON lt.name = entitlement.leave_type
+    WHERE entitlement.days IS NOT NULL AND entitlement.days <> entitlement.default_days
+      AND NOT EXISTS (
+        SELECT 1 FROM leave_policies lp
+        WHERE lp.employee_id = e.id AND lp.leave_type_id = lt.id
+      );
+  `);
+
+  // Keep urgent leave bookable during blackout periods
+  await db.query(`
+    UPDATE leave_types SET is_blackout_exempt = true
+    WHERE name IN ('Sick Leave', 'Emergency Leave', 'Bereavement Leave')
+      AND NOT EXISTS (SELECT 1 FROM leave_types WHERE is_blackout_exempt);
+  `);
+
+  // Open the ledger for existing balances
+  await db.query(`
+    INSERT INTO leave_ledger_entries (employee_id, leave_type_id, year, entry_type, days, reason)
+    SELECT lb.employee_id, lb.leave_type_id, lb.year, opening.entry_type, opening.days, 'Opening balance'
+    FROM leave_balances lb
+    CROSS JOIN LATERAL (VALUES
+      ('allocation', lb.allocated_days),
+      ('carry_forward', COALESCE(lb.carried_forward_days, 0)),
+      ('approval_deduction', -COALESCE(lb.used_days, 0)),
+      ('expiry', -COALESCE(lb.expired_days, 0))
+    ) AS opening(entry_type, days)
+    WHERE opening.days <> 0
+      AND NOT EXISTS (
+        SELECT 1 FROM leave_ledger_entries l
+        WHERE l.employee_id = lb.employee_id AND l.leave_type_id = lb.leave_type_id AND l.year = lb.year
+      );
+  `);
+}
+
+// The policies, flags and ledger entries are indistinguishable from ones
+// added since, so they stay
+async function down() {}
+
+module.exports = { up, down };
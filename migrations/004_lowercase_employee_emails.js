@@ -0,0 +1,25 @@
+// Employee emails are stored lowercase and unique regardless of case, so
+// logins, password resets and imports all match them the same way. Accounts
+// whose emails differ only in case have to be merged by hand first.
+async function up(db) {
+  const clashes = await db.query(`
+    SELECT LOWER(email) as email FROM employees
+    GROUP BY LOWER(email) HAVING COUNT(*) > 1
+  `);
+  if (clashes.rows.length > 0) {
+    throw new Error(`Employee emails differ only in case: ${clashes.rows.map(row => row.email).join(', ')}`);
+  }
+
+  await db.query(`
+    UPDATE employees SET email = LOWER(email) WHERE email <> LOWER(email);
+
+    CREATE UNIQUE INDEX IF NOT EXISTS employees_email_lower_key ON employees (LOWER(email));
+  `);
+}
+
+// The original case of the emails is not kept
+async function down(db) {
+  await db.query(`DROP INDEX IF EXISTS employees_email_lower_key`);
+}
+
+module.exports = { up, down };
@@ -1,42 +1,183 @@
-const { Pool } = require('pg');
-require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('../db');
 
-async function migrate() {
-  const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-  });
+// Migrations are files named NNN_description.js in this directory exporting
+// async up(db) and down(db). Each runs in its own transaction together with
+// its row in schema_migrations, so a failure leaves nothing half applied.
+// Applied migrations must not be edited; add a new one instead.
+const MIGRATIONS_DIR = __dirname;
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version]) => ({ version: parseInt(version), name: file.replace(/\.js$/, ''), file }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].file} and ${migrations[i].file} share version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function getAppliedMigrations(db) {
+  const table = await db.query(`SELECT to_regclass('schema_migrations') as name`);
+  if (!table.rows[0].name) {
+    return [];
+  }
+
+  const result = await db.query(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  return result.rows;
+}
+
+// applied and pending are what the database and this directory agree on;
+// unknown lists versions the database has that no file here describes
+// (usually a newer release was deployed and then rolled back).
+async function getMigrationStatus(db) {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(migration => migration.version));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
 
+  return {
+    applied: applied.filter(migration => knownVersions.has(migration.version)),
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(migration => !knownVersions.has(migration.version))
+  };
+}
+
+// A session-level advisory lock held on one connection for the whole run, so
+// a second instance waits and then finds nothing left to do
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
   try {
-    console.log('🔄 Running database migrations...');
-    
-    // Add password reset columns if they don't exist
-    await pool.query(`
-      ALTER TABLE employees 
-      ADD COLUMN IF NOT EXISTS password_reset_token VARCHAR(255),
-      ADD COLUMN IF NOT EXISTS password_reset_expires TIMESTAMP;
-    `);
+    const locked = await client.query(`SELECT pg_try_advisory_lock(hashtext('schema_migrations')) as locked`);
+    if (!locked.rows[0].locked) {
+      console.log('⏳ Another instance is running migrations; waiting for it to finish...');
+      await client.query(`SELECT pg_advisory_lock(hashtext('schema_migrations'))`);
+    }
+
+    try {
+      return await callback(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext('schema_migrations'))`);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  const { up, down } = require(path.join(MIGRATIONS_DIR, migration.file));
 
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_leave_requests_employee_id ON leave_requests(employee_id);
-      CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
-      CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(start_date, end_date);
-      CREATE INDEX IF NOT EXISTS idx_leave_balances_employee_year ON leave_balances(employee_id, year);
-      CREATE INDEX IF NOT EXISTS idx_audit_logs_user_action ON audit_logs(user_id, action);
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await up(client);
+      await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+    } else {
+      await down(client);
+      await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${migration.name} (${direction}): ${error.message}`;
+    throw error;
+  }
+}
+
+async function migrateUp(pool) {
+  return withMigrationLock(pool, async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
     `);
 
-    console.log('✅ Database migrations completed successfully!');
+    const { pending } = await getMigrationStatus(client);
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.name}`);
+      await runMigration(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+// Reverts the most recently applied migrations, newest first
+async function migrateDown(pool, steps = 1) {
+  return withMigrationLock(pool, async (client) => {
+    const { applied, unknown } = await getMigrationStatus(client);
+    const latest = [...applied, ...unknown].sort((a, b) => b.version - a.version).slice(0, steps);
+
+    const missing = latest.find(migration => unknown.includes(migration));
+    if (missing) {
+      throw new Error(`${missing.name} is applied but its file is not in ${MIGRATIONS_DIR}`);
+    }
+
+    for (const migration of latest) {
+      console.log(`⬇️  Reverting ${migration.name}`);
+      await runMigration(client, { ...migration, file: `${migration.name}.js` }, 'down');
+    }
+    return latest;
+  });
+}
+
+async function printStatus(pool) {
+  const { applied, pending, unknown } = await getMigrationStatus(pool);
+
+  for (const migration of applied) {
+    console.log(`  applied  ${migration.name} (${migration.applied_at.toISOString()})`);
+  }
+  for (const migration of unknown) {
+    console.log(`  unknown  ${migration.name} (applied, but no file here)`);
+  }
+  for (const migration of pending) {
+    console.log(`  pending  ${migration.name}`);
+  }
+
+  console.log(`\n${applied.length} applied, ${pending.length} pending${unknown.length > 0 ? `, ${unknown.length} unknown` : ''}`);
+}
+
+async function main([command = 'up', argument]) {
+  const pool = createPool();
+
+  try {
+    if (command === 'up') {
+      console.log('🔄 Running database migrations...');
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = argument === undefined ? 1 : Number(argument);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down takes the number of migrations to revert, e.g. "down 2"');
+      }
+      const reverted = await migrateDown(pool, steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      await printStatus(pool);
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status`);
+    }
   } catch (error) {
     console.error('❌ Migration failed:', error);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     await pool.end();
   }
 }
 
 if (require.main === module) {
-  migrate();
+  main(process.argv.slice(2));
 }
 
-module.exports = migrate;
\ No newline at end of file
+module.exports = { loadMigrations, getMigrationStatus, migrateUp, migrateDown };
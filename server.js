@@ -6,20 +6,41 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { authenticator } = require('otplib');
 const multer = require('multer');
+const Joi = require('joi');
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const { createPool } = require('./db');
+const { LOCKOUT_POLICY, PASSWORD_POLICY, isAccountLocked, passwordChangeReason, passwordPolicyErrors } = require('./lib/account-security');
+const { canActOnApprovalStage, isLeaveApprover } = require('./lib/approval-chains');
+const { diffRecordFields } = require('./lib/audit');
+const { buildICalendar, redactFeedToken } = require('./lib/calendar-feeds');
+const { createEmailOutbox } = require('./lib/email-outbox');
+const { EMPLOYEE_IMPORT_REQUIRED_FIELDS, importManagerChainLoops, readEmployeeImportRows } = require('./lib/employee-import');
+const { ERROR_CODES, respondWithError } = require('./lib/errors');
+const { EXCEL_NUMBER_FORMATS, formatExportValue, toCsvCell, toExcelValue } = require('./lib/exports');
+const { buildFinalLeaveSettlement, calculateAccruedDays, getAvailableLeaveDays } = require('./lib/leave-accrual');
+const { buildLeaveDayBreakdown, chargedDaysByYear, isHalfDayDuration, parseDateOnly } = require('./lib/leave-days');
+const { formatLetterDate, leaveReferenceNumber } = require('./lib/leave-documents');
+const { buildLeaveEntitlements } = require('./lib/leave-policies');
+const { buildOrgTree } = require('./lib/org-hierarchy');
+const { PERMISSIONS, coversGrant, hasPermission, permissionScope, requirePermission, roleAssignmentError } = require('./lib/permissions');
+const { findStaffingViolations } = require('./lib/staffing-rules');
+const { decryptSecret, encryptSecret, hasEncryptionKey, matchTotpStep } = require('./lib/two-factor');
+const { getMigrationStatus } = require('./migrations/migrate');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/leave_management',
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+const pool = createPool();
 
 // Middleware
 app.use(helmet());
@@ -29,15 +50,89 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Calendar feed URLs carry their token, which is as good as a password
+morgan.token('url', req => redactFeedToken(req.originalUrl || req.url));
 app.use(morgan('combined'));
 
+// Error responses
+// Every error body has the shape { error, code, details: [{ field, message }] }.
+// Handlers that only set error get a code derived from the status.
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+      body = { ...body, code: body.code || ERROR_CODES[res.statusCode] || 'error', details: body.details || [] };
+    }
+    return json(body);
+  };
+  next();
+});
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: { error: 'Too many requests, please try again later' }
 });
 app.use('/api', limiter);
 
+// Request validation
+// Routes declare Joi schemas for params, query and body. Values are converted
+// (ids to numbers, flags to booleans) and replace the raw input, so handlers
+// can trust types. Keys a schema doesn't list are rejected.
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  convert: true,
+  errors: { wrap: { label: false } },
+  messages: {
+    'object.missing': 'One of {{#peersWithLabels}} is required',
+    'string.pattern.base': '{{#label}} has an invalid format'
+  }
+};
+
+const validate = (schemas) => {
+  return (req, res, next) => {
+    const details = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+
+      const { error, value } = schemas[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+      if (error) {
+        details.push(...error.details.map(detail => ({ field: detail.path.join('.') || location, message: detail.message })));
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      if (req.file && req.file.path) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
+      return res.status(400).json({ error: 'Validation failed', code: 'validation_error', details });
+    }
+    next();
+  };
+};
+
+// Schema building blocks
+const id = () => Joi.number().integer().positive();
+const dateOnly = () => Joi.string().custom((value, helpers) => (
+  parseDateOnly(value) ? value : helpers.message('{{#label}} must be a date in YYYY-MM-DD format')
+));
+const year = () => Joi.number().integer().min(2000).max(2100);
+const idParams = Joi.object({ id: id().required() });
+const paginationQuery = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(10)
+};
+const formatQuery = Joi.string().valid('json', 'csv', 'xlsx').default('json');
+const depthQuery = Joi.number().integer().min(1);
+
+// Partial updates must change something
+const updateBody = fields => Joi.object(fields).min(1)
+  .messages({ 'object.min': 'At least one field must be provided' });
+
 // File upload configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -66,11 +161,156 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only images, PDF, and Word documents are allowed.'));
+      cb(Object.assign(new Error('Invalid file type. Only images, PDF, and Word documents are allowed.'), { status: 400, field: file.fieldname }));
     }
   }
 });
 
+// Access tokens are short-lived JWTs tied to a server-side session; the
+// refresh token that renews them is only ever stored as a hash.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { 
+      id: user.id, 
+      email: user.email, 
+      role: user.role,
+      employee_id: user.employee_id,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createSession(user, req, db = pool) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await db.query(`
+    INSERT INTO user_sessions (employee_id, refresh_token_hash, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 day')
+    RETURNING id, expires_at
+  `, [user.id, hashRefreshToken(refreshToken), req.ip, req.get('User-Agent'), REFRESH_TOKEN_TTL_DAYS]);
+
+  return {
+    token: signAccessToken(user, session.rows[0].id),
+    refresh_token: refreshToken,
+    refresh_token_expires_at: session.rows[0].expires_at
+  };
+}
+
+async function revokeSessions(employeeId, reason, { exceptSessionId = null } = {}, db = pool) {
+  const result = await db.query(`
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE employee_id = $1 AND revoked_at IS NULL
+      AND ($3::INTEGER IS NULL OR id <> $3)
+  `, [employeeId, reason, exceptSessionId]);
+
+  return result.rowCount;
+}
+
+// Login steps
+// A login that can't finish straight away (2FA code, 2FA enrolment, forced
+// password change) hands out a short-lived token naming the step. It has no
+// session id, so authenticateToken never accepts it.
+const LOGIN_STEP_TOKEN_TTL = '10m';
+
+function signLoginStepToken(user, purpose) {
+  return jwt.sign(
+    { id: user.id, purpose },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: LOGIN_STEP_TOKEN_TTL }
+  );
+}
+
+function verifyLoginStepToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Two-factor authentication
+// Logging in with 2FA is two steps: the password check returns an mfa_token
+// instead of a session, and /api/auth/login/verify trades it plus a TOTP or
+// recovery code for real tokens. Users whose role requires 2FA but who haven't
+// enrolled get an enrolment mfa_token that only works on the 2FA setup
+// endpoints. TOTP secrets are encrypted at rest with MFA_ENCRYPTION_KEY (see
+// lib/two-factor.js).
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Trevi Leave Management';
+const RECOVERY_CODE_COUNT = 10;
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+async function isMfaRequiredForRole(role, db = pool) {
+  const result = await db.query(`SELECT required FROM mfa_role_policies WHERE role = $1`, [role]);
+  return result.rows.length > 0 && result.rows[0].required;
+}
+
+// Checks a TOTP code or, failing that, an unused recovery code, and records a
+// failed attempt in the audit log. Recovery codes are burnt on use.
+async function verifySecondFactor(employee, { code, recovery_code }, req, db = pool) {
+  if (code) {
+    const step = matchTotpStep(code, decryptSecret(employee.totp_secret), employee.totp_last_used_step);
+    if (step !== null) {
+      // Conditional so two requests racing with the same code can't both pass
+      const claimed = await db.query(`
+        UPDATE employees SET totp_last_used_step = $1
+        WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+        RETURNING id
+      `, [step, employee.id]);
+      if (claimed.rows.length > 0) {
+        return { method: 'totp' };
+      }
+    }
+  } else if (recovery_code) {
+    const used = await db.query(`
+      UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE employee_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [employee.id, hashRecoveryCode(recovery_code)]);
+    if (used.rows.length > 0) {
+      return { method: 'recovery_code' };
+    }
+  }
+
+  await db.query(`
+    INSERT INTO audit_logs (user_id, action, resource, details, ip_address, user_agent)
+    VALUES ($1, 'MFA_FAILED', 'auth', $2, $3, $4)
+  `, [employee.id, JSON.stringify({ method: code ? 'totp' : 'recovery_code' }), req.ip, req.get('User-Agent')]);
+
+  return null;
+}
+
+async function replaceRecoveryCodes(employeeId, db = pool) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query(`DELETE FROM mfa_recovery_codes WHERE employee_id = $1`, [employeeId]);
+  await db.query(`
+    INSERT INTO mfa_recovery_codes (employee_id, code_hash)
+    SELECT $1, UNNEST($2::VARCHAR[])
+  `, [employeeId, codes.map(hashRecoveryCode)]);
+
+  return codes;
+}
+
 // JWT Authentication Middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -80,198 +320,103 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', async (err, user) => {
+    if (err || !user.sid) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+
+    try {
+      // A valid signature isn't enough: the account must still be active and
+      // the session must not have been revoked (logout, password change, admin).
+      // Role and permissions are read fresh so changes apply immediately.
+      const result = await pool.query(`
+        SELECT e.role, e.is_active, e.department_id, ${ROLE_PERMISSIONS_SQL} as permissions
+        FROM user_sessions s
+        JOIN employees e ON s.employee_id = e.id
+        WHERE s.id = $1 AND s.employee_id = $2
+          AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+      `, [user.sid, user.id]);
+
+      if (result.rows.length === 0 || !result.rows[0].is_active) {
+        return res.status(401).json({ error: 'Session is no longer valid' });
+      }
+
+      const { role, department_id, permissions } = result.rows[0];
+      req.user = { ...user, role, department_id, permissions, session_id: user.sid };
+      next();
+    } catch (error) {
+      console.error('Authenticate token error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
 };
 
-// Role-based authorization middleware
-const authorize = (roles) => {
+// For endpoints that also serve an unfinished login: 2FA enrolment when the
+// role makes it mandatory, and a forced password change. The login step token
+// is read from the named body field; otherwise a normal access token is needed.
+const authenticateTokenOrLoginStep = (field, purpose) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (!req.body || !req.body[field]) {
+      return authenticateToken(req, res, next);
+    }
+
+    const payload = verifyLoginStepToken(req.body[field], purpose);
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired login token' });
     }
+
+    req.user = { id: payload.id };
+    req.loginStep = purpose;
     next();
   };
 };
 
-// Database initialization
-async function initDatabase() {
-  try {
-    // Create tables
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS departments (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL UNIQUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS employees (
-        id SERIAL PRIMARY KEY,
-        employee_id VARCHAR(20) UNIQUE NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        first_name VARCHAR(50) NOT NULL,
-        last_name VARCHAR(50) NOT NULL,
-        role VARCHAR(20) CHECK (role IN ('employee', 'manager', 'hr', 'admin')) DEFAULT 'employee',
-        department_id INTEGER REFERENCES departments(id),
-        manager_id INTEGER REFERENCES employees(id),
-        hire_date DATE NOT NULL,
-        annual_leave_entitlement INTEGER DEFAULT 21,
-        sick_leave_entitlement INTEGER DEFAULT 10,
-        emergency_leave_entitlement INTEGER DEFAULT 5,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS leave_types (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(50) NOT NULL UNIQUE,
-        description TEXT,
-        max_days INTEGER,
-        requires_approval BOOLEAN DEFAULT TRUE,
-        requires_document BOOLEAN DEFAULT FALSE,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS leave_requests (
-        id SERIAL PRIMARY KEY,
-        employee_id INTEGER REFERENCES employees(id) NOT NULL,
-        leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
-        start_date DATE NOT NULL,
-        end_date DATE NOT NULL,
-        duration VARCHAR(20) CHECK (duration IN ('full-day', 'half-day-morning', 'half-day-afternoon')) DEFAULT 'full-day',
-        total_days DECIMAL(3,1) NOT NULL,
-        reason TEXT NOT NULL,
-        status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')) DEFAULT 'pending',
-        applied_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        approved_by INTEGER REFERENCES employees(id),
-        approved_date TIMESTAMP,
-        rejection_reason TEXT,
-        supporting_document VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS leave_balances (
-        id SERIAL PRIMARY KEY,
-        employee_id INTEGER REFERENCES employees(id) NOT NULL,
-        leave_type_id INTEGER REFERENCES leave_types(id) NOT NULL,
-        allocated_days INTEGER NOT NULL,
-        used_days DECIMAL(3,1) DEFAULT 0,
-        remaining_days DECIMAL(3,1) NOT NULL,
-        year INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(employee_id, leave_type_id, year)
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS holidays (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        date DATE NOT NULL,
-        is_recurring BOOLEAN DEFAULT FALSE,
-        description TEXT,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS audit_logs (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES employees(id),
-        action VARCHAR(100) NOT NULL,
-        resource VARCHAR(50) NOT NULL,
-        resource_id INTEGER,
-        details JSONB,
-        ip_address INET,
-        user_agent TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Insert default data
-    await insertDefaultData();
-    
-    console.log('Database initialized successfully');
-  } catch (error) {
-    console.error('Database initialization error:', error);
+// Permissions
+// Permission map ({ permission: department_ids }) for e.role, for use in a
+// query on employees e
+const ROLE_PERMISSIONS_SQL = `(
+  SELECT COALESCE(json_object_agg(rp.permission, rp.department_ids), '{}'::JSON)
+  FROM roles r JOIN role_permissions rp ON rp.role_id = r.id
+  WHERE r.name = e.role
+)`;
+
+async function employeeInPermissionScope(user, permission, employeeId, db = pool) {
+  const scope = permissionScope(user, permission);
+  if (!scope) {
+    return true;
   }
+  const result = await db.query(`SELECT department_id FROM employees WHERE id = $1`, [employeeId]);
+  return result.rows.length > 0 && scope.includes(result.rows[0].department_id);
 }
 
-// Insert default data
-async function insertDefaultData() {
-  try {
-    // Insert departments
-    const deptResult = await pool.query(`
-      INSERT INTO departments (name) VALUES 
-      ('Engineering'), ('HR'), ('Operations'), ('Finance'), ('Marketing')
-      ON CONFLICT (name) DO NOTHING
-      RETURNING id, name;
-    `);
-
-    // Insert leave types
-    await pool.query(`
-      INSERT INTO leave_types (name, description, max_days, requires_document) VALUES 
-      ('Annual Leave', 'Yearly vacation leave', 21, false),
-      ('Sick Leave', 'Medical leave', 10, true),
-      ('Emergency Leave', 'Urgent personal matters', 5, false),
-      ('Maternity Leave', 'Maternity leave for new mothers', 90, true),
-      ('Paternity Leave', 'Paternity leave for new fathers', 10, true),
-      ('Bereavement Leave', 'Leave for family bereavement', 3, false)
-      ON CONFLICT (name) DO NOTHING;
-    `);
-
-    // Insert holidays
-    const currentYear = new Date().getFullYear();
-    await pool.query(`
-      INSERT INTO holidays (name, date, is_recurring, description) VALUES 
-      ('New Year Day', $1, true, 'New Year celebration'),
-      ('Independence Day', $2, true, 'Nigeria Independence Day'),
-      ('Christmas Day', $3, true, 'Christmas celebration'),
-      ('Boxing Day', $4, true, 'Boxing Day'),
-      ('Workers Day', $5, true, 'International Workers Day')
-      ON CONFLICT DO NOTHING;
-    `, [
-      `${currentYear}-01-01`,
-      `${currentYear}-10-01`,
-      `${currentYear}-12-25`,
-      `${currentYear}-12-26`,
-      `${currentYear}-05-01`
-    ]);
-
-    // Insert default admin user
-    const hashedPassword = await bcrypt.hash('admin123', 10);
-    await pool.query(`
-      INSERT INTO employees (
-        employee_id, email, password, first_name, last_name, 
-        role, department_id, hire_date
-      ) VALUES (
-        'EMP001', 'admin@trevi.com', $1, 'System', 'Admin', 
-        'admin', 1, CURRENT_DATE
-      ) ON CONFLICT (email) DO NOTHING;
-    `, [hashedPassword]);
+// Map of role name to whether the user may give that role to someone. With
+// roles.manage any role can be assigned; otherwise only roles that grant
+// nothing beyond the user's own permissions, so nobody can escalate.
+async function getAssignableRoles(user, db = pool) {
+  const result = await db.query(`
+    SELECT r.name,
+           COALESCE(json_object_agg(rp.permission, rp.department_ids)
+                    FILTER (WHERE rp.permission IS NOT NULL), '{}'::JSON) as permissions
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    GROUP BY r.id
+  `);
+
+  const canManageRoles = hasPermission(user, 'roles.manage');
+  return new Map(result.rows.map(role => [
+    role.name,
+    canManageRoles || Object.entries(role.permissions).every(([permission, departments]) => coversGrant(user, permission, departments))
+  ]));
+}
 
-  } catch (error) {
-    console.error('Error inserting default data:', error);
-  }
+// admin always holds every permission, including ones added since the
+// database was migrated
+async function syncAdminPermissions() {
+  await pool.query(`
+    INSERT INTO role_permissions (role_id, permission)
+    SELECT r.id, UNNEST($1::VARCHAR[]) FROM roles r WHERE r.name = 'admin'
+    ON CONFLICT DO NOTHING
+  `, [Object.keys(PERMISSIONS)]);
 }
 
 // API Routes
@@ -282,14 +427,26 @@ app.get('/api/health', (req, res) => {
 });
 
 // Authentication Routes
-app.post('/api/auth/login', async (req, res) => {
+const otpCode = () => Joi.string().trim().max(32);
+const secondFactor = {
+  code: otpCode(),
+  recovery_code: otpCode()
+};
+
+const LOGIN_SCHEMA = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().max(255).required(),
+    password: Joi.string().max(1024).required()
+  })
+};
+
+// Compared against when the email is unknown so those logins aren't faster
+const UNKNOWN_USER_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+app.post('/api/auth/login', validate(LOGIN_SCHEMA), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
     const result = await pool.query(`
       SELECT e.*, d.name as department_name 
       FROM employees e 
@@ -297,537 +454,3009 @@ app.post('/api/auth/login', async (req, res) => {
       WHERE e.email = $1 AND e.is_active = true
     `, [email]);
 
-    if (result.rows.length === 0) {
+    // Unknown emails, locked accounts and wrong passwords get the same answer
+    // after the same bcrypt work, so responses don't reveal which accounts
+    // exist or are locked
+    const user = result.rows[0];
+    const isValidPassword = await bcrypt.compare(password, user ? user.password : UNKNOWN_USER_PASSWORD_HASH);
+
+    if (!user || isAccountLocked(user)) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const user = result.rows[0];
-    const isValidPassword = await bcrypt.compare(password, user.password);
-
     if (!isValidPassword) {
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
+        VALUES ($1, 'LOGIN_FAILED', 'auth', $2, $3)
+      `, [user.id, req.ip, req.get('User-Agent')]);
+
+      await recordFailedLogin(user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role,
-        employee_id: user.employee_id
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    if (user.totp_enabled) {
+      return res.json({ mfa_required: true, mfa_token: signLoginStepToken(user, 'mfa_login') });
+    }
 
-    // Log authentication
-    await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
-      VALUES ($1, 'LOGIN', 'auth', $2, $3)
-    `, [user.id, req.ip, req.get('User-Agent')]);
+    await clearFailedLogins(user.id);
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        employee_id: user.employee_id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role,
-        department: user.department_name
-      }
-    });
+    res.json(await completeLogin(user, req));
 
   } catch (error) {
     console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
   }
 });
 
-app.post('/api/auth/logout', authenticateToken, async (req, res) => {
-  try {
-    // Log logout
-    await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
-      VALUES ($1, 'LOGOUT', 'auth', $2, $3)
-    `, [req.user.id, req.ip, req.get('User-Agent')]);
+// Once the password (and 2FA code, if enabled) checks out, the login still
+// stops for a forced password change or mandatory 2FA enrolment before a
+// session is created.
+async function completeLogin(user, req, details = null) {
+  const passwordChange = passwordChangeReason(user);
+  if (passwordChange) {
+    return {
+      password_change_required: true,
+      reason: passwordChange,
+      password_change_token: signLoginStepToken(user, 'password_change')
+    };
+  }
 
-    res.json({ message: 'Logged out successfully' });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  if (!user.totp_enabled && await isMfaRequiredForRole(user.role)) {
+    return { mfa_enrollment_required: true, mfa_token: signLoginStepToken(user, 'mfa_enroll') };
   }
-});
 
-// Employee Routes
-app.get('/api/employees/profile', authenticateToken, async (req, res) => {
+  const session = await createSession(user, req);
+
+  // Log authentication
+  await pool.query(`
+    INSERT INTO audit_logs (user_id, action, resource, details, ip_address, user_agent)
+    VALUES ($1, 'LOGIN', 'auth', $2, $3, $4)
+  `, [user.id, details && JSON.stringify(details), req.ip, req.get('User-Agent')]);
+
+  return { ...session, user: loginUserSummary(user) };
+}
+
+function loginUserSummary(user) {
+  return {
+    id: user.id,
+    employee_id: user.employee_id,
+    email: user.email,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    role: user.role,
+    department: user.department_name
+  };
+}
+
+// Second login step for users with 2FA enabled
+const LOGIN_VERIFY_SCHEMA = {
+  body: Joi.object({
+    mfa_token: Joi.string().required(),
+    ...secondFactor
+  }).or('code', 'recovery_code')
+};
+
+app.post('/api/auth/login/verify', validate(LOGIN_VERIFY_SCHEMA), async (req, res) => {
   try {
+    const { mfa_token, code, recovery_code } = req.body;
+
+    const payload = verifyLoginStepToken(mfa_token, 'mfa_login');
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired 2FA token' });
+    }
+
     const result = await pool.query(`
-      SELECT e.*, d.name as department_name,
-             m.first_name || ' ' || m.last_name as manager_name
+      SELECT e.*, d.name as department_name 
       FROM employees e 
       LEFT JOIN departments d ON e.department_id = d.id 
-      LEFT JOIN employees m ON e.manager_id = m.id
-      WHERE e.id = $1
-    `, [req.user.id]);
+      WHERE e.id = $1 AND e.is_active = true AND e.totp_enabled = true
+    `, [payload.id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
+      return res.status(401).json({ error: 'Invalid or expired 2FA token' });
     }
 
-    const employee = result.rows[0];
-    delete employee.password; // Don't send password
+    const user = result.rows[0];
 
-    res.json(employee);
+    if (isAccountLocked(user)) {
+      return res.status(423).json({ error: 'Account is temporarily locked', locked_until: user.locked_until });
+    }
+
+    const verified = await verifySecondFactor(user, { code, recovery_code }, req);
+
+    if (!verified) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) {
+        return res.status(423).json({ error: 'Account is temporarily locked', locked_until: lockedUntil });
+      }
+      return res.status(401).json({ error: 'Invalid 2FA code' });
+    }
+
+    await clearFailedLogins(user.id);
+
+    res.json(await completeLogin(user, req, { mfa: verified.method }));
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Verify login error:', error);
+    respondWithError(res, error);
   }
 });
 
-app.get('/api/employees', authenticateToken, authorize(['hr', 'admin']), async (req, res) => {
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 10, department, search } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = `
-      SELECT e.id, e.employee_id, e.email, e.first_name, e.last_name, 
-             e.role, e.hire_date, e.is_active, d.name as department_name,
-             m.first_name || ' ' || m.last_name as manager_name
-      FROM employees e 
-      LEFT JOIN departments d ON e.department_id = d.id 
-      LEFT JOIN employees m ON e.manager_id = m.id
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramCount = 0;
+    const result = await pool.query(`
+      SELECT e.totp_enabled, e.totp_enabled_at,
+             (SELECT COUNT(*) FROM mfa_recovery_codes WHERE employee_id = e.id AND used_at IS NULL) as recovery_codes_remaining
+      FROM employees e WHERE e.id = $1
+    `, [req.user.id]);
 
-    if (department) {
-      paramCount++;
-      query += ` AND e.department_id = $${paramCount}`;
-      params.push(department);
-    }
+    res.json({
+      enabled: result.rows[0].totp_enabled,
+      enabled_at: result.rows[0].totp_enabled_at,
+      required: await isMfaRequiredForRole(req.user.role),
+      recovery_codes_remaining: parseInt(result.rows[0].recovery_codes_remaining)
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    respondWithError(res, error);
+  }
+});
 
-    if (search) {
-      paramCount++;
-      query += ` AND (e.first_name ILIKE $${paramCount} OR e.last_name ILIKE $${paramCount} OR e.email ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
+// Start enrolment: a new secret is stored but not active until confirmed
+app.post('/api/auth/2fa/setup', authenticateTokenOrLoginStep('mfa_token', 'mfa_enroll'), validate({ body: Joi.object({ mfa_token: Joi.string() }) }), async (req, res) => {
+  try {
+    if (!hasEncryptionKey()) {
+      return res.status(503).json({ error: '2FA is not configured on this server' });
     }
 
-    query += ` ORDER BY e.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
-
-    // Get total count
-    let countQuery = `SELECT COUNT(*) FROM employees e WHERE 1=1`;
-    const countParams = [];
-    let countParamCount = 0;
+    const employee = await pool.query(`
+      SELECT id, email, totp_enabled FROM employees WHERE id = $1 AND is_active = true
+    `, [req.user.id]);
 
-    if (department) {
-      countParamCount++;
-      countQuery += ` AND e.department_id = $${countParamCount}`;
-      countParams.push(department);
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND (e.first_name ILIKE $${countParamCount} OR e.last_name ILIKE $${countParamCount} OR e.email ILIKE $${countParamCount})`;
-      countParams.push(`%${search}%`);
+    if (employee.rows[0].totp_enabled) {
+      return res.status(409).json({ error: '2FA is already enabled' });
     }
 
-    const countResult = await pool.query(countQuery, countParams);
-    const total = parseInt(countResult.rows[0].count);
+    const secret = authenticator.generateSecret();
+
+    await pool.query(`
+      UPDATE employees SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2
+    `, [encryptSecret(secret), req.user.id]);
 
     res.json({
-      employees: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      secret,
+      otpauth_uri: authenticator.keyuri(employee.rows[0].email, MFA_ISSUER, secret)
     });
-
   } catch (error) {
-    console.error('Get employees error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('2FA setup error:', error);
+    respondWithError(res, error);
   }
 });
 
-app.post('/api/employees', authenticateToken, authorize(['hr', 'admin']), async (req, res) => {
+// Confirm enrolment with a code from the authenticator app. Recovery codes are
+// only ever shown in this response.
+const TOTP_ENABLE_SCHEMA = {
+  body: Joi.object({
+    mfa_token: Joi.string(),
+    code: otpCode().required()
+  })
+};
+
+app.post('/api/auth/2fa/enable', authenticateTokenOrLoginStep('mfa_token', 'mfa_enroll'), validate(TOTP_ENABLE_SCHEMA), async (req, res) => {
   try {
-    const {
-      employee_id, email, first_name, last_name, role, 
-      department_id, manager_id, hire_date, 
-      annual_leave_entitlement = 21,
-      sick_leave_entitlement = 10,
-      emergency_leave_entitlement = 5
-    } = req.body;
+    const { code } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const employees = await client.query(`
+        SELECT e.*, d.name as department_name 
+        FROM employees e 
+        LEFT JOIN departments d ON e.department_id = d.id 
+        WHERE e.id = $1 AND e.is_active = true
+        FOR UPDATE OF e
+      `, [req.user.id]);
+
+      const employee = employees.rows[0];
+      if (!employee) {
+        return { status: 404, error: 'User not found' };
+      }
+      if (employee.totp_enabled) {
+        return { status: 409, error: '2FA is already enabled' };
+      }
+      if (!employee.totp_secret) {
+        return { status: 400, error: 'Start 2FA setup first' };
+      }
 
-    // Validate required fields
-    if (!employee_id || !email || !first_name || !last_name || !hire_date) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+      const step = matchTotpStep(code, decryptSecret(employee.totp_secret), employee.totp_last_used_step);
+      if (step === null) {
+        await client.query(`
+          INSERT INTO audit_logs (user_id, action, resource, details, ip_address, user_agent)
+          VALUES ($1, 'MFA_FAILED', 'auth', $2, $3, $4)
+        `, [employee.id, JSON.stringify({ method: 'totp', stage: 'enrolment' }), req.ip, req.get('User-Agent')]);
+        return { status: 400, error: 'Invalid 2FA code' };
+      }
 
-    // Generate temporary password
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcrypt.hash(tempPassword, 10);
+      await client.query(`
+        UPDATE employees 
+        SET totp_enabled = true, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $1
+        WHERE id = $2
+      `, [step, employee.id]);
 
-    const result = await pool.query(`
-      INSERT INTO employees (
-        employee_id, email, password, first_name, last_name, 
-        role, department_id, manager_id, hire_date,
-        annual_leave_entitlement, sick_leave_entitlement, emergency_leave_entitlement
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-      RETURNING id, employee_id, email, first_name, last_name, role, hire_date
-    `, [
-      employee_id, email, hashedPassword, first_name, last_name,
-      role, department_id, manager_id, hire_date,
-      annual_leave_entitlement, sick_leave_entitlement, emergency_leave_entitlement
-    ]);
+      const recoveryCodes = await replaceRecoveryCodes(employee.id, client);
 
-    const newEmployee = result.rows[0];
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
+        VALUES ($1, 'MFA_ENROLL', 'auth', $2, $3)
+      `, [employee.id, req.ip, req.get('User-Agent')]);
 
-    // Initialize leave balances for the current year
-    await initializeEmployeeLeaveBalances(newEmployee.id);
+      const response = { message: '2FA enabled successfully', recovery_codes: recoveryCodes };
 
-    // Log action
-    await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
-      VALUES ($1, 'CREATE', 'employee', $2, $3)
-    `, [req.user.id, newEmployee.id, JSON.stringify({ employee_id, email, role })]);
+      if (req.loginStep) {
+        Object.assign(response, await createSession(employee, req, client), { user: loginUserSummary(employee) });
+      }
 
-    res.status(201).json({
-      employee: newEmployee,
-      temporary_password: tempPassword
+      return response;
     });
 
-  } catch (error) {
-    console.error('Create employee error:', error);
-    if (error.code === '23505') { // Unique constraint violation
-      res.status(409).json({ error: 'Employee ID or email already exists' });
-    } else {
-      res.status(500).json({ error: 'Internal server error' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    res.json(result);
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    respondWithError(res, error);
   }
 });
 
-// Leave Request Routes
-app.get('/api/leave-requests', authenticateToken, async (req, res) => {
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, validate({ body: Joi.object({ code: otpCode().required() }) }), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, employee_id, start_date, end_date } = req.query;
-    const offset = (page - 1) * limit;
+    const { code } = req.body;
 
-    let query = `
-      SELECT lr.*, e.first_name, e.last_name, e.employee_id as emp_id, d.name as department,
-             lt.name as leave_type_name, 
-             approver.first_name || ' ' || approver.last_name as approved_by_name
-      FROM leave_requests lr
-      JOIN employees e ON lr.employee_id = e.id
-      JOIN departments d ON e.department_id = d.id
-      JOIN leave_types lt ON lr.leave_type_id = lt.id
-      LEFT JOIN employees approver ON lr.approved_by = approver.id
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramCount = 0;
+    const employee = await pool.query(`
+      SELECT id, totp_secret, totp_enabled, totp_last_used_step FROM employees WHERE id = $1
+    `, [req.user.id]);
 
-    // Role-based filtering
-    if (req.user.role === 'employee') {
-      paramCount++;
-      query += ` AND lr.employee_id = $${paramCount}`;
-      params.push(req.user.id);
-    } else if (req.user.role === 'manager') {
-      paramCount++;
-      query += ` AND e.manager_id = $${paramCount}`;
-      params.push(req.user.id);
+    if (!employee.rows[0].totp_enabled) {
+      return res.status(400).json({ error: '2FA is not enabled' });
     }
 
-    if (status) {
-      paramCount++;
-      query += ` AND lr.status = $${paramCount}`;
-      params.push(status);
+    if (!await verifySecondFactor(employee.rows[0], { code }, req)) {
+      return res.status(400).json({ error: 'Invalid 2FA code' });
     }
 
-    if (employee_id) {
-      paramCount++;
-      query += ` AND lr.employee_id = $${paramCount}`;
-      params.push(employee_id);
-    }
+    const recoveryCodes = await withTransaction(client => replaceRecoveryCodes(req.user.id, client));
 
-    if (start_date) {
-      paramCount++;
-      query += ` AND lr.start_date >= $${paramCount}`;
-      params.push(start_date);
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
+      VALUES ($1, 'MFA_RECOVERY_CODES', 'auth', $2, $3)
+    `, [req.user.id, req.ip, req.get('User-Agent')]);
+
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const TOTP_DISABLE_SCHEMA = {
+  body: Joi.object({
+    password: Joi.string().max(1024).required(),
+    ...secondFactor
+  }).or('code', 'recovery_code')
+};
+
+app.post('/api/auth/2fa/disable', authenticateToken, validate(TOTP_DISABLE_SCHEMA), async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    if (await isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({ error: '2FA is mandatory for your role' });
     }
 
-    if (end_date) {
-      paramCount++;
-      query += ` AND lr.end_date <= $${paramCount}`;
-      params.push(end_date);
+    const employee = await pool.query(`SELECT * FROM employees WHERE id = $1`, [req.user.id]);
+
+    if (!employee.rows[0].totp_enabled) {
+      return res.status(400).json({ error: '2FA is not enabled' });
     }
 
-    query += ` ORDER BY lr.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
+    if (!await bcrypt.compare(password, employee.rows[0].password)) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
 
-    const result = await pool.query(query, params);
+    if (!await verifySecondFactor(employee.rows[0], { code, recovery_code }, req)) {
+      return res.status(400).json({ error: 'Invalid 2FA code' });
+    }
 
-    res.json({
-      leave_requests: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit)
-      }
+    await withTransaction(async (client) => {
+      await client.query(`
+        UPDATE employees 
+        SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+        WHERE id = $1
+      `, [req.user.id]);
+      await client.query(`DELETE FROM mfa_recovery_codes WHERE employee_id = $1`, [req.user.id]);
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
+        VALUES ($1, 'MFA_DISABLE', 'auth', $2, $3)
+      `, [req.user.id, req.ip, req.get('User-Agent')]);
     });
 
+    res.json({ message: '2FA disabled successfully' });
   } catch (error) {
-    console.error('Get leave requests error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('2FA disable error:', error);
+    respondWithError(res, error);
   }
 });
 
-app.post('/api/leave-requests', authenticateToken, upload.single('supporting_document'), async (req, res) => {
+app.get('/api/auth/2fa/policies', authenticateToken, requirePermission('security.manage'), async (req, res) => {
   try {
-    const {
-      leave_type_id, start_date, end_date, duration = 'full-day', reason
-    } = req.body;
-
-    if (!leave_type_id || !start_date || !end_date || !reason) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const result = await pool.query(`
+      SELECT r.name as role, COALESCE(p.required, false) as required, p.updated_at
+      FROM roles r
+      LEFT JOIN mfa_role_policies p ON p.role = r.name
+      ORDER BY r.name
+    `);
 
-    // Validate dates
-    const startDate = new Date(start_date);
-    const endDate = new Date(end_date);
-    if (startDate > endDate) {
-      return res.status(400).json({ error: 'Start date cannot be after end date' });
-    }
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get 2FA policies error:', error);
+    respondWithError(res, error);
+  }
+});
 
-    // Calculate total days
-    const totalDays = calculateLeaveDays(startDate, endDate, duration);
+// Making 2FA mandatory signs out everyone in the role who hasn't enrolled, so
+// their next login goes through enrolment.
+const MFA_POLICY_SCHEMA = {
+  params: Joi.object({ role: Joi.string().max(50).required() }),
+  body: Joi.object({ required: Joi.boolean().required() })
+};
 
-    // Check leave balance
-    const canApply = await checkLeaveBalance(req.user.id, leave_type_id, totalDays);
-    if (!canApply) {
-      return res.status(400).json({ error: 'Insufficient leave balance' });
-    }
+app.put('/api/auth/2fa/policies/:role', authenticateToken, requirePermission('security.manage'), validate(MFA_POLICY_SCHEMA), async (req, res) => {
+  try {
+    const { required } = req.body;
 
-    // Check for overlapping requests
-    const hasOverlap = await checkOverlappingLeave(req.user.id, start_date, end_date);
-    if (hasOverlap) {
-      return res.status(400).json({ error: 'You have overlapping leave requests' });
+    const role = await pool.query(`SELECT id FROM roles WHERE name = $1`, [req.params.role]);
+    if (role.rows.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
     }
 
-    const supportingDocument = req.file ? req.file.filename : null;
-
-    const result = await pool.query(`
-      INSERT INTO leave_requests (
-        employee_id, leave_type_id, start_date, end_date, 
-        duration, total_days, reason, supporting_document
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
-    `, [
-      req.user.id, leave_type_id, start_date, end_date,
-      duration, totalDays, reason, supportingDocument
-    ]);
+    const result = await withTransaction(async (client) => {
+      const policy = await client.query(`
+        INSERT INTO mfa_role_policies (role, required, updated_by, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (role) DO UPDATE 
+        SET required = EXCLUDED.required, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [req.params.role, required, req.user.id]);
+
+      let signedOut = 0;
+      if (required) {
+        const revoked = await client.query(`
+          UPDATE user_sessions s
+          SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'mfa_required'
+          FROM employees e
+          WHERE s.employee_id = e.id AND s.revoked_at IS NULL
+            AND e.role = $1 AND e.totp_enabled = false
+        `, [req.params.role]);
+        signedOut = revoked.rowCount;
+      }
 
-    // Log action
-    await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
-      VALUES ($1, 'CREATE', 'leave_request', $2, $3)
-    `, [req.user.id, result.rows[0].id, JSON.stringify({ leave_type_id, start_date, end_date, total_days: totalDays })]);
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, details)
+        VALUES ($1, 'MFA_POLICY', 'auth', $2)
+      `, [req.user.id, JSON.stringify({ role: req.params.role, required, revoked_sessions: signedOut })]);
 
-    res.status(201).json(result.rows[0]);
+      return { ...policy.rows[0], revoked_sessions: signedOut };
+    });
 
+    res.json(result);
   } catch (error) {
-    console.error('Create leave request error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Update 2FA policy error:', error);
+    respondWithError(res, error);
   }
 });
 
-app.patch('/api/leave-requests/:id/approve', authenticateToken, authorize(['manager', 'hr', 'admin']), async (req, res) => {
+app.post('/api/auth/refresh', validate({ body: Joi.object({ refresh_token: Joi.string().required() }) }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { comments } = req.body;
-
-    const result = await pool.query(`
-      UPDATE leave_requests 
-      SET status = 'approved', approved_by = $1, approved_date = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2 AND status = 'pending'
-      RETURNING *
-    `, [req.user.id, id]);
+    const { refresh_token } = req.body;
+
+    const tokenHash = hashRefreshToken(refresh_token);
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+
+    const result = await withTransaction(async (client) => {
+      const sessions = await client.query(`
+        SELECT s.*, e.email, e.role, e.employee_id as employee_code, e.is_active,
+               e.must_change_password, e.password_changed_at
+        FROM user_sessions s
+        JOIN employees e ON s.employee_id = e.id
+        WHERE s.refresh_token_hash = $1 OR s.previous_refresh_token_hash = $1
+        FOR UPDATE OF s
+      `, [tokenHash]);
+
+      if (sessions.rows.length === 0) {
+        return { status: 401, error: 'Invalid refresh token' };
+      }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Leave request not found or already processed' });
-    }
+      const session = sessions.rows[0];
+
+      // The presented token was already exchanged once, so either the client
+      // or an attacker holds a copy. End this session for both; the user's
+      // other sessions have their own tokens and stay signed in.
+      if (session.refresh_token_hash !== tokenHash) {
+        if (!session.revoked_at) {
+          await client.query(`
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+            WHERE id = $1
+          `, [session.id]);
+          await client.query(`
+            INSERT INTO audit_logs (user_id, action, resource, resource_id, ip_address, user_agent)
+            VALUES ($1, 'REFRESH_TOKEN_REUSE', 'session', $2, $3, $4)
+          `, [session.employee_id, session.id, req.ip, req.get('User-Agent')]);
+        }
+        return { status: 401, error: 'Invalid refresh token' };
+      }
 
-    const leaveRequest = result.rows[0];
+      if (session.revoked_at || new Date(session.expires_at) <= new Date() || !session.is_active) {
+        return { status: 401, error: 'Session is no longer valid' };
+      }
 
-    // Update leave balance
-    await updateLeaveBalance(leaveRequest.employee_id, leaveRequest.leave_type_id, leaveRequest.total_days);
+      // A password that expired or was reset since login must be changed
+      // before the session can be renewed, just as at login
+      const passwordChange = passwordChangeReason(session);
+      if (passwordChange) {
+        return {
+          status: 403,
+          error: 'Password change required',
+          reason: passwordChange,
+          password_change_token: signLoginStepToken({ id: session.employee_id }, 'password_change')
+        };
+      }
 
-    // Log action
-    await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
-      VALUES ($1, 'APPROVE', 'leave_request', $2, $3)
-    `, [req.user.id, id, JSON.stringify({ comments })]);
+      await client.query(`
+        UPDATE user_sessions
+        SET previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = $1,
+            last_used_at = CURRENT_TIMESTAMP, ip_address = $2, user_agent = $3
+        WHERE id = $4
+      `, [hashRefreshToken(newRefreshToken), req.ip, req.get('User-Agent'), session.id]);
+
+      return {
+        token: signAccessToken({
+          id: session.employee_id,
+          email: session.email,
+          role: session.role,
+          employee_id: session.employee_code
+        }, session.id),
+        refresh_token: newRefreshToken,
+        refresh_token_expires_at: session.expires_at
+      };
+    });
 
-    res.json(leaveRequest);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
+    res.json(result);
   } catch (error) {
-    console.error('Approve leave request error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Refresh token error:', error);
+    respondWithError(res, error);
   }
 });
 
-app.patch('/api/leave-requests/:id/reject', authenticateToken, authorize(['manager', 'hr', 'admin']), async (req, res) => {
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { rejection_reason } = req.body;
+    const result = await pool.query(`
+      SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at,
+             id = $2 as current
+      FROM user_sessions
+      WHERE employee_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [req.user.id, req.user.session_id]);
 
-    if (!rejection_reason) {
-      return res.status(400).json({ error: 'Rejection reason is required' });
-    }
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    respondWithError(res, error);
+  }
+});
 
+app.delete('/api/auth/sessions/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
     const result = await pool.query(`
-      UPDATE leave_requests 
-      SET status = 'rejected', approved_by = $1, approved_date = CURRENT_TIMESTAMP,
-          rejection_reason = $2, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3 AND status = 'pending'
-      RETURNING *
-    `, [req.user.id, rejection_reason, id]);
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'user_revoked'
+      WHERE id = $1 AND employee_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Leave request not found or already processed' });
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    // Log action
     await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
-      VALUES ($1, 'REJECT', 'leave_request', $2, $3)
-    `, [req.user.id, id, JSON.stringify({ rejection_reason })]);
-
-    res.json(result.rows[0]);
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, ip_address, user_agent)
+      VALUES ($1, 'REVOKE', 'session', $2, $3, $4)
+    `, [req.user.id, result.rows[0].id, req.ip, req.get('User-Agent')]);
 
+    res.json({ message: 'Session revoked successfully' });
   } catch (error) {
-    console.error('Reject leave request error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Revoke session error:', error);
+    respondWithError(res, error);
   }
 });
 
-// Leave Balance Routes
-app.get('/api/leave-balances', authenticateToken, async (req, res) => {
+// Sign out everywhere else, keeping the session making the request
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
   try {
-    const { year = new Date().getFullYear() } = req.query;
-    
-    const result = await pool.query(`
-      SELECT lb.*, lt.name as leave_type_name, lt.description
-      FROM leave_balances lb
-      JOIN leave_types lt ON lb.leave_type_id = lt.id
-      WHERE lb.employee_id = $1 AND lb.year = $2
-      ORDER BY lt.name
-    `, [req.user.id, year]);
+    const revoked = await revokeSessions(req.user.id, 'user_revoked', { exceptSessionId: req.user.session_id });
 
-    res.json(result.rows);
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, details, ip_address, user_agent)
+      VALUES ($1, 'REVOKE_OTHERS', 'session', $2, $3, $4)
+    `, [req.user.id, JSON.stringify({ revoked_sessions: revoked }), req.ip, req.get('User-Agent')]);
 
+    res.json({ message: 'Other sessions revoked successfully', revoked_sessions: revoked });
   } catch (error) {
-    console.error('Get leave balances error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Revoke sessions error:', error);
+    respondWithError(res, error);
   }
 });
 
-// Dashboard Routes
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    const currentYear = new Date().getFullYear();
-    
-    // Get employee's stats
-    const stats = await pool.query(`
-      SELECT 
-        (SELECT COUNT(*) FROM leave_requests WHERE employee_id = $1 AND EXTRACT(YEAR FROM applied_date) = $2) as total_requests,
-        (SELECT COUNT(*) FROM leave_requests WHERE employee_id = $1 AND status = 'approved' AND EXTRACT(YEAR FROM applied_date) = $2) as approved_requests,
-        (SELECT COUNT(*) FROM leave_requests WHERE employee_id = $1 AND status = 'pending' AND EXTRACT(YEAR FROM applied_date) = $2) as pending_requests,
-        (SELECT COALESCE(SUM(total_days), 0) FROM leave_requests WHERE employee_id = $1 AND status = 'approved' AND EXTRACT(YEAR FROM start_date) = $2) as total_days_taken
-    `, [req.user.id, currentYear]);
-
-    // Get leave balances
-    const balances = await pool.query(`
-      SELECT lt.name, lb.allocated_days, lb.used_days, lb.remaining_days
-      FROM leave_balances lb
-      JOIN leave_types lt ON lb.leave_type_id = lt.id
-      WHERE lb.employee_id = $1 AND lb.year = $2
-    `, [req.user.id, currentYear]);
-
-    // Get recent requests
-    const recentRequests = await pool.query(`
-      SELECT lr.*, lt.name as leave_type_name
-      FROM leave_requests lr
-      JOIN leave_types lt ON lr.leave_type_id = lt.id
-      WHERE lr.employee_id = $1
-      ORDER BY lr.created_at DESC
-      LIMIT 5
-    `, [req.user.id]);
-
-    // Get upcoming holidays
-    const holidays = await pool.query(`
-      SELECT name, date, description
-      FROM holidays
-      WHERE date >= CURRENT_DATE AND is_active = true
-      ORDER BY date
-      LIMIT 5
-    `);
+    await pool.query(`
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+      WHERE id = $1 AND revoked_at IS NULL
+    `, [req.user.session_id]);
 
-    res.json({
-      stats: stats.rows[0],
-      balances: balances.rows,
-      recent_requests: recentRequests.rows,
-      upcoming_holidays: holidays.rows
-    });
+    // Log logout
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, ip_address, user_agent)
+      VALUES ($1, 'LOGOUT', 'auth', $2, $3)
+    `, [req.user.id, req.ip, req.get('User-Agent')]);
 
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Get dashboard stats error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Logout error:', error);
+    respondWithError(res, error);
   }
 });
 
-// Utility Functions
-// Utility Functions
-function calculateLeaveDays(startDate, endDate, duration) {
-  const timeDiff = endDate.getTime() - startDate.getTime();
-  let days = Math.ceil(timeDiff / (1000 * 3600 * 24)) + 1;
-  
-  if (duration === 'half-day-morning' || duration === 'half-day-afternoon') {
-    days = 0.5;
-  }
-  
-  return days;
-}
-
-async function checkLeaveBalance(employeeId, leaveTypeId, requestedDays) {
+// Employee Routes
+app.get('/api/employees/profile', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT remaining_days 
-      FROM leave_balances 
-      WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3
-    `, [employeeId, leaveTypeId, new Date().getFullYear()]);
+      SELECT e.*, d.name as department_name,
+             m.first_name || ' ' || m.last_name as manager_name
+      FROM employees e 
+      LEFT JOIN departments d ON e.department_id = d.id 
+      LEFT JOIN employees m ON e.manager_id = m.id
+      WHERE e.id = $1
+    `, [req.user.id]);
 
     if (result.rows.length === 0) {
-      return false;
+      return res.status(404).json({ error: 'Employee not found' });
     }
 
-    return result.rows[0].remaining_days >= requestedDays;
+    const employee = result.rows[0];
+    delete employee.password; // Don't send password
+    delete employee.totp_secret;
+    delete employee.totp_last_used_step;
+    employee.permissions = req.user.permissions;
+
+    res.json(employee);
   } catch (error) {
-    console.error('Check leave balance error:', error);
-    return false;
+    console.error('Get profile error:', error);
+    respondWithError(res, error);
   }
-}
+});
 
-async function checkOverlappingLeave(employeeId, startDate, endDate) {
+const EMPLOYEE_LIST_SCHEMA = {
+  query: Joi.object({
+    ...paginationQuery,
+    department: id(),
+    search: Joi.string().trim().max(100).allow(''),
+    format: formatQuery
+  })
+};
+
+app.get('/api/employees', authenticateToken, requirePermission('employees.view'), validate(EMPLOYEE_LIST_SCHEMA), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT id FROM leave_requests 
+    const { page = 1, limit = 10, department, search, format = 'json' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT e.id, e.employee_id, e.email, e.first_name, e.last_name, 
+             e.role, e.hire_date, e.is_active, d.name as department_name,
+             m.first_name || ' ' || m.last_name as manager_name
+      FROM employees e 
+      LEFT JOIN departments d ON e.department_id = d.id 
+      LEFT JOIN employees m ON e.manager_id = m.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    const departmentScope = permissionScope(req.user, 'employees.view');
+    if (departmentScope) {
+      paramCount++;
+      query += ` AND e.department_id = ANY($${paramCount})`;
+      params.push(departmentScope);
+    }
+
+    if (department) {
+      paramCount++;
+      query += ` AND e.department_id = $${paramCount}`;
+      params.push(department);
+    }
+
+    if (search) {
+      paramCount++;
+      query += ` AND (e.first_name ILIKE $${paramCount} OR e.last_name ILIKE $${paramCount} OR e.email ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+    }
+
+    if (format !== 'json') {
+      return streamExport(res, format, {
+        filename: 'employees',
+        sheetName: 'Employees',
+        columns: EMPLOYEE_EXPORT_COLUMNS,
+        query: query + ` ORDER BY e.last_name, e.first_name`,
+        params
+      });
+    }
+
+    query += ` ORDER BY e.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await pool.query(query, params);
+
+    // Get total count
+    let countQuery = `SELECT COUNT(*) FROM employees e WHERE 1=1`;
+    const countParams = [];
+    let countParamCount = 0;
+
+    if (department) {
+      countParamCount++;
+      countQuery += ` AND e.department_id = $${countParamCount}`;
+      countParams.push(department);
+    }
+
+    if (search) {
+      countParamCount++;
+      countQuery += ` AND (e.first_name ILIKE $${countParamCount} OR e.last_name ILIKE $${countParamCount} OR e.email ILIKE $${countParamCount})`;
+      countParams.push(`%${search}%`);
+    }
+
+    const countResult = await pool.query(countQuery, countParams);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      employees: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get employees error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Entitlement columns are whole days; individual entitlements (leave policies)
+// allow half days. Emails are stored lowercase, so every lookup and the
+// unique index on them are case-insensitive.
+const employeeFields = {
+  employee_id: Joi.string().trim().max(20),
+  email: Joi.string().trim().lowercase().email({ tlds: { allow: false } }).max(100),
+  first_name: Joi.string().trim().max(50),
+  last_name: Joi.string().trim().max(50),
+  role: Joi.string().max(20),
+  department_id: id().allow(null, ''),
+  manager_id: id().allow(null, ''),
+  hire_date: dateOnly(),
+  annual_leave_entitlement: Joi.number().integer().min(0).max(366),
+  sick_leave_entitlement: Joi.number().integer().min(0).max(366),
+  emergency_leave_entitlement: Joi.number().integer().min(0).max(366),
+  entitlements: Joi.array().items(Joi.object({
+    leave_type_id: id().required(),
+    days: Joi.number().min(0).max(366).required()
+  }))
+};
+
+const EMPLOYEE_CREATE_SCHEMA = {
+  body: Joi.object({
+    ...employeeFields,
+    role: employeeFields.role.default('employee')
+  }).fork(['employee_id', 'email', 'first_name', 'last_name', 'hire_date'], field => field.required())
+};
+
+app.post('/api/employees', authenticateToken, requirePermission('employees.manage'), validate(EMPLOYEE_CREATE_SCHEMA), async (req, res) => {
+  try {
+    const {
+      employee_id, email, first_name, last_name, role, 
+      department_id, manager_id, hire_date, 
+      annual_leave_entitlement = 21,
+      sick_leave_entitlement = 10,
+      emergency_leave_entitlement = 5,
+      entitlements = []
+    } = req.body;
+
+    const roleError = roleAssignmentError(await getAssignableRoles(req.user), role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+    const departmentScope = permissionScope(req.user, 'employees.manage');
+    if (departmentScope && !departmentScope.includes(Number(department_id))) {
+      return res.status(403).json({ error: 'You can only add employees to your own departments' });
+    }
+
+    // Nobody is told this password; the welcome email has a link to choose one
+    const hashedPassword = await bcrypt.hash(generateTemporaryPassword(), 10);
+
+    const newEmployee = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO employees (
+          employee_id, email, password, first_name, last_name, 
+          role, department_id, manager_id, hire_date,
+          annual_leave_entitlement, sick_leave_entitlement, emergency_leave_entitlement,
+          must_change_password
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, true)
+        RETURNING id, employee_id, email, first_name, last_name, role, hire_date
+      `, [
+        employee_id, email, hashedPassword, first_name, last_name,
+        role, department_id, manager_id, hire_date,
+        annual_leave_entitlement, sick_leave_entitlement, emergency_leave_entitlement
+      ]);
+
+      const employee = result.rows[0];
+
+      // Individual entitlements become employee-scoped leave policies
+      await createEmployeeEntitlementPolicies(employee.id, req.body, entitlements, req.user.id, client);
+
+      // Initialize leave balances for the current year
+      await initializeEmployeeLeaveBalances(employee.id, new Date().getFullYear(), req.user.id, client);
+
+      // Log action
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'CREATE', 'employee', $2, $3)
+      `, [req.user.id, employee.id, JSON.stringify({ employee_id, email, role })]);
+
+      return employee;
+    });
+
+    await queueEmail('welcome', newEmployee.email, {
+      first_name: newEmployee.first_name,
+      employee_id: newEmployee.employee_id,
+      email: newEmployee.email
+    }, newEmployee.id);
+
+    res.status(201).json({
+      employee: newEmployee
+    });
+
+  } catch (error) {
+    console.error('Create employee error:', error);
+    respondWithError(res, error, { 23505: 'Employee ID or email already exists' });
+  }
+});
+
+function generateTemporaryPassword() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+// Bulk employee import
+// The CSV is parsed straight from memory so it never lands in uploads/
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(Object.assign(new Error('Invalid file type. Only CSV files are allowed.'), { status: 400, field: file.fieldname }));
+  }
+});
+
+// Rows follow the same field rules as POST /api/employees; blank cells count
+// as missing
+const EMPLOYEE_IMPORT_ROW_SCHEMA = Joi.object({
+  employee_id: employeeFields.employee_id,
+  email: employeeFields.email,
+  first_name: employeeFields.first_name,
+  last_name: employeeFields.last_name,
+  hire_date: employeeFields.hire_date,
+  manager_email: employeeFields.email
+}).fork(EMPLOYEE_IMPORT_REQUIRED_FIELDS, field => field.required()).unknown(true);
+
+// Check every row against the file and the database. Managers may be
+// existing employees or other rows in the same file.
+async function validateEmployeeImport(records, actor, db = pool) {
+  const departments = await db.query(`SELECT id, name FROM departments WHERE is_active = true`);
+  const assignableRoles = await getAssignableRoles(actor, db);
+  const departmentScope = permissionScope(actor, 'employees.manage');
+  const departmentIds = new Map(departments.rows.map(department => [department.name.toLowerCase(), department.id]));
+
+  const existing = await db.query(`
+    SELECT id, employee_id, email FROM employees
+    WHERE employee_id = ANY($1) OR email = ANY($2) OR email = ANY($3)
+  `, [
+    records.map(record => record.employee_id),
+    records.map(record => record.email),
+    records.map(record => record.manager_email)
+  ]);
+  const existingEmployeeIds = new Set(existing.rows.map(employee => employee.employee_id));
+  const existingByEmail = new Map(existing.rows.map(employee => [employee.email, employee.id]));
+
+  const seenEmployeeIds = new Set();
+  const seenEmails = new Set();
+  const fileEmails = new Set(records.map(record => record.email));
+  const fileManagers = new Map(records.map(record => [record.email, record.manager_email]));
+
+  return records.map(record => {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    const filled = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''));
+    const { error } = EMPLOYEE_IMPORT_ROW_SCHEMA.validate(filled, VALIDATION_OPTIONS);
+    for (const detail of error ? error.details : []) {
+      addError(detail.path.join('.'), detail.message);
+    }
+
+    const roleError = roleAssignmentError(assignableRoles, record.role);
+    if (roleError) {
+      addError('role', roleError);
+    }
+
+    if (record.employee_id) {
+      if (existingEmployeeIds.has(record.employee_id)) {
+        addError('employee_id', 'Employee ID already exists');
+      } else if (seenEmployeeIds.has(record.employee_id)) {
+        addError('employee_id', 'Employee ID appears more than once in the file');
+      }
+      seenEmployeeIds.add(record.employee_id);
+    }
+
+    if (record.email) {
+      if (existingByEmail.has(record.email)) {
+        addError('email', 'Email already exists');
+      } else if (seenEmails.has(record.email)) {
+        addError('email', 'Email appears more than once in the file');
+      }
+      seenEmails.add(record.email);
+    }
+
+    let departmentId = null;
+    if (record.department) {
+      departmentId = departmentIds.get(record.department.toLowerCase()) || null;
+      if (!departmentId) {
+        addError('department', `Unknown department "${record.department}"`);
+      }
+    }
+    if (departmentScope && !departmentScope.includes(departmentId)) {
+      addError('department', 'You can only add employees to your own departments');
+    }
+
+    let managerId = null;
+    if (record.manager_email) {
+      if (record.manager_email === record.email) {
+        addError('manager_email', 'An employee cannot manage themselves');
+      } else if (importManagerChainLoops(record, fileManagers)) {
+        addError('manager_email', 'Manager chain in the file contains a loop');
+      } else if (existingByEmail.has(record.manager_email)) {
+        managerId = existingByEmail.get(record.manager_email);
+      } else if (!fileEmails.has(record.manager_email)) {
+        addError('manager_email', `No employee with email "${record.manager_email}"`);
+      }
+    }
+
+    return { ...record, department_id: departmentId, manager_id: managerId, errors };
+  });
+}
+
+app.post('/api/employees/import', authenticateToken, requirePermission('employees.manage'), csvUpload.single('file'), validate({ body: Joi.object({ dry_run: Joi.boolean().default(true) }) }), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'A CSV file is required',
+        code: 'validation_error',
+        details: [{ field: 'file', message: 'A CSV file is required' }]
+      });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+
+    const dryRun = req.body.dry_run;
+    const records = readEmployeeImportRows(text);
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'The CSV file has no employee rows' });
+    }
+
+    const validated = await validateEmployeeImport(records, req.user);
+    const report = validated.map(({ row, employee_id, email, errors }) => ({ row, employee_id, email, errors }));
+    const invalidRows = report.filter(entry => entry.errors.length > 0).length;
+
+    if (dryRun || invalidRows > 0) {
+      return res.status(dryRun ? 200 : 400).json({
+        ...(dryRun ? {} : { error: 'The import has invalid rows; nothing was imported' }),
+        dry_run: dryRun,
+        total_rows: report.length,
+        valid_rows: report.length - invalidRows,
+        invalid_rows: invalidRows,
+        rows: report
+      });
+    }
+
+    const year = new Date().getFullYear();
+
+    const imported = await withTransaction(async (client) => {
+      const leaveTypes = await client.query(`
+        SELECT id, name, accrual_method FROM leave_types WHERE is_active = true ORDER BY name
+      `);
+      const policies = await getActiveLeavePolicies(client);
+      const created = [];
+
+      for (const record of validated) {
+        const hashedPassword = await bcrypt.hash(generateTemporaryPassword(), 10);
+
+        const result = await client.query(`
+          INSERT INTO employees (
+            employee_id, email, password, first_name, last_name,
+            role, department_id, manager_id, hire_date, must_change_password
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+          RETURNING id, employee_id, email, first_name, last_name, role, department_id,
+                    TO_CHAR(hire_date, 'YYYY-MM-DD') as hire_day
+        `, [
+          record.employee_id, record.email, hashedPassword, record.first_name, record.last_name,
+          record.role, record.department_id, record.manager_id, record.hire_date
+        ]);
+
+        created.push({ ...result.rows[0], manager_email: record.manager_email });
+      }
+
+      // Managers who are new in this file only have an id now
+      const idsByEmail = new Map(created.map(employee => [employee.email, employee.id]));
+      for (const employee of created) {
+        if (idsByEmail.has(employee.manager_email)) {
+          await client.query(`
+            UPDATE employees SET manager_id = $1 WHERE id = $2
+          `, [idsByEmail.get(employee.manager_email), employee.id]);
+        }
+      }
+
+      for (const employee of created) {
+        const entitlements = buildLeaveEntitlements(employee, leaveTypes.rows, policies, year);
+        for (const entitlement of entitlements) {
+          await openLeaveBalance(client, employee.id, entitlement, year, req.user.id);
+        }
+      }
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, details)
+        VALUES ($1, 'IMPORT', 'employee', $2)
+      `, [req.user.id, JSON.stringify({
+        filename: req.file.originalname,
+        employees: created.map(employee => employee.employee_id)
+      })]);
+
+      return created;
+    });
+
+    for (const employee of imported) {
+      await queueEmail('welcome', employee.email, employee, employee.id);
+    }
+
+    res.status(201).json({
+      dry_run: false,
+      imported: imported.length,
+      employees: imported.map(({ manager_email, hire_day, department_id, ...employee }) => employee)
+    });
+  } catch (error) {
+    console.error('Import employees error:', error);
+    respondWithError(res, error, { 23505: 'Employee ID or email already exists' });
+  }
+});
+
+// Employee updates
+const EMPLOYEE_UPDATE_FIELDS = [
+  'employee_id', 'email', 'first_name', 'last_name', 'role',
+  'department_id', 'manager_id', 'hire_date'
+];
+
+const EMPLOYEE_UPDATE_SCHEMA = {
+  params: idParams,
+  body: Joi.object(employeeFields)
+};
+
+app.put('/api/employees/:id', authenticateToken, requirePermission('employees.manage'), validate(EMPLOYEE_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entitlements = [...(req.body.entitlements || []), ...await legacyEntitlementEntries(req.body)];
+
+    const current = await pool.query(`
+      SELECT id, employee_id, email, first_name, last_name, role, department_id, manager_id,
+             TO_CHAR(hire_date, 'YYYY-MM-DD') as hire_date, is_active
+      FROM employees WHERE id = $1
+    `, [id]);
+
+    if (current.rows.length === 0 || !hasPermission(req.user, 'employees.manage', current.rows[0].department_id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!current.rows[0].is_active) {
+      return res.status(400).json({ error: 'Former employees cannot be updated' });
+    }
+
+    const updates = {};
+    for (const field of EMPLOYEE_UPDATE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] === '' ? null : req.body[field];
+      }
+    }
+
+    if (updates.role !== undefined && updates.role !== current.rows[0].role) {
+      const roleError = roleAssignmentError(await getAssignableRoles(req.user), updates.role);
+      if (roleError) {
+        return res.status(400).json({ error: roleError });
+      }
+    }
+    if (updates.department_id !== undefined && !hasPermission(req.user, 'employees.manage', updates.department_id)) {
+      return res.status(403).json({ error: 'You can only move employees into your own departments' });
+    }
+    if (updates.manager_id !== undefined && String(updates.manager_id) === String(id)) {
+      return res.status(400).json({ error: 'An employee cannot be their own manager' });
+    }
+    if (updates.manager_id && await createsReportingCycle(id, updates.manager_id)) {
+      return res.status(400).json({ error: 'The new manager reports to this employee; this would create a reporting cycle' });
+    }
+
+    const changes = diffRecordFields(current.rows[0], updates);
+    const changedFields = Object.keys(changes);
+
+    if (changedFields.length === 0 && entitlements.length === 0) {
+      return res.status(400).json({ error: 'No changes to apply' });
+    }
+
+    const entitlementChanges = await withTransaction(async (client) => {
+      if (changedFields.length > 0) {
+        const setClause = changedFields.map((field, i) => `${field} = $${i + 1}`).join(', ');
+        await client.query(`
+          UPDATE employees SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${changedFields.length + 1}
+        `, [...changedFields.map(field => changes[field].to), id]);
+      }
+
+      // A new individual entitlement replaces the previous one for that leave type
+      const applied = [];
+      for (const entry of entitlements) {
+        const previous = await client.query(`
+          UPDATE leave_policies SET is_active = false, updated_at = CURRENT_TIMESTAMP
+          WHERE employee_id = $1 AND leave_type_id = $2 AND is_active = true
+          RETURNING base_days
+        `, [id, entry.leave_type_id]);
+
+        await client.query(`
+          INSERT INTO leave_policies (leave_type_id, name, employee_id, base_days, created_by)
+          VALUES ($1, 'Individual entitlement', $2, $3, $4)
+        `, [entry.leave_type_id, id, entry.days, req.user.id]);
+
+        applied.push({
+          leave_type_id: entry.leave_type_id,
+          from: previous.rows.length > 0 ? previous.rows[0].base_days : null,
+          to: entry.days
+        });
+      }
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'UPDATE', 'employee', $2, $3)
+      `, [req.user.id, id, JSON.stringify({ changes, entitlements: applied })]);
+
+      return applied;
+    });
+
+    const updated = await pool.query(`
+      SELECT id, employee_id, email, first_name, last_name, role, department_id, manager_id, hire_date, is_active
+      FROM employees WHERE id = $1
+    `, [id]);
+
+    res.json({ employee: updated.rows[0], changes, entitlements: entitlementChanges });
+  } catch (error) {
+    console.error('Update employee error:', error);
+    respondWithError(res, error, {
+      23505: 'Employee ID or email already exists',
+      23503: 'Invalid department, manager or leave type'
+    });
+  }
+});
+
+// Offboarding
+// Takes effect immediately, so the exit date can't be in the future (it
+// defaults to today). Pending requests are all cancelled, approved leave that
+// starts after the exit date is cancelled and refunded, approved leave running
+// past it is cut back to the exit date, and the exit year's balances are
+// settled as of the exit date. Time-based entitlements (pro-rata and monthly)
+// are earned up to the exit month; a negative settlement means more leave was
+// taken than earned.
+async function offboardEmployee(employeeId, { exitDate, reason, reassignTo }, actorId) {
+  return withTransaction(async (client) => {
+    const employeeResult = await client.query(`
+      SELECT id, manager_id, is_active, TO_CHAR(hire_date, 'YYYY-MM-DD') as hire_day,
+             TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') as today
+      FROM employees WHERE id = $1
+      FOR UPDATE
+    `, [employeeId]);
+    const employee = employeeResult.rows[0];
+
+    if (!employee) {
+      return { status: 404, error: 'Employee not found' };
+    }
+    if (!employee.is_active) {
+      return { status: 409, error: 'Employee has already been offboarded' };
+    }
+    exitDate = exitDate || employee.today;
+    if (exitDate > employee.today) {
+      return { status: 400, error: 'Exit date cannot be in the future' };
+    }
+    if (exitDate < employee.hire_day) {
+      return { status: 400, error: 'Exit date cannot be before the hire date' };
+    }
+
+    const newManagerId = reassignTo === undefined ? employee.manager_id : reassignTo;
+    if (newManagerId !== null && newManagerId !== undefined) {
+      if (String(newManagerId) === String(employeeId)) {
+        return { status: 400, error: 'Direct reports cannot be reassigned to the leaving employee' };
+      }
+      const manager = await client.query(`
+        SELECT id, manager_id FROM employees WHERE id = $1 AND is_active = true
+      `, [newManagerId]);
+      if (manager.rows.length === 0) {
+        return { status: 400, error: 'New manager must be an active employee' };
+      }
+
+      // A direct report can take over the team; anyone deeper would end up
+      // managing their own manager
+      const isDirectReport = String(manager.rows[0].manager_id) === String(employeeId);
+      if (!isDirectReport && await createsReportingCycle(employeeId, newManagerId, client)) {
+        return { status: 400, error: 'Direct reports cannot be reassigned to someone further down the same reporting line' };
+      }
+    }
+
+    const cancelled = [];
+    const shortened = [];
+
+    const futureLeave = await client.query(`
+      SELECT id, status, leave_type_id, total_days, duration,
+             TO_CHAR(start_date, 'YYYY-MM-DD') as start_day,
+             TO_CHAR(end_date, 'YYYY-MM-DD') as end_day,
+             TO_CHAR($2::DATE + 1, 'YYYY-MM-DD') as day_after_exit
+      FROM leave_requests
+      WHERE employee_id = $1 AND (status = 'pending' OR (status = 'approved' AND end_date > $2))
+      FOR UPDATE
+    `, [employeeId, exitDate]);
+
+    for (const leave of futureLeave.rows) {
+      if (leave.start_day > exitDate || leave.status === 'pending') {
+        await client.query(`
+          UPDATE leave_requests
+          SET status = 'cancelled', cancelled_by = $1, cancelled_date = CURRENT_TIMESTAMP,
+              cancellation_reason = 'Employee offboarded',
+              refunded_days = CASE WHEN status = 'approved' THEN total_days ELSE refunded_days END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+        `, [actorId, leave.id]);
+
+        if (leave.status === 'approved') {
+          const refunds = await leaveDaysByYear(leave.start_day, leave.end_day, leave.duration, parseFloat(leave.total_days));
+          for (const { year, days } of refunds) {
+            await postLeaveLedgerEntry({
+              employeeId,
+              leaveTypeId: leave.leave_type_id,
+              year,
+              entryType: 'cancellation_refund',
+              days,
+              reason: 'Leave cancelled on offboarding',
+              leaveRequestId: leave.id,
+              actorId
+            }, client);
+          }
+        }
+        cancelled.push({ id: leave.id, status: leave.status, refunded_days: leave.status === 'approved' ? parseFloat(leave.total_days) : 0 });
+      } else {
+        const taken = await calculateLeaveDays(leave.start_day, exitDate, leave.duration);
+        const refundDays = parseFloat(leave.total_days) - taken.total_days;
+
+        await client.query(`
+          UPDATE leave_requests
+          SET end_date = $1, total_days = $2, refunded_days = refunded_days + $3,
+              cancellation_reason = 'Shortened to exit date on offboarding',
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $4
+        `, [exitDate, taken.total_days, refundDays, leave.id]);
+
+        if (refundDays > 0) {
+          const refunds = await leaveDaysByYear(leave.day_after_exit, leave.end_day, leave.duration, refundDays);
+          for (const { year, days } of refunds) {
+            await postLeaveLedgerEntry({
+              employeeId,
+              leaveTypeId: leave.leave_type_id,
+              year,
+              entryType: 'cancellation_refund',
+              days,
+              reason: 'Leave shortened to exit date',
+              leaveRequestId: leave.id,
+              actorId
+            }, client);
+          }
+        }
+        shortened.push({ id: leave.id, refunded_days: refundDays });
+      }
+    }
+
+    const reports = await client.query(`
+      UPDATE employees
+      SET manager_id = CASE WHEN id = $1 THEN $3::INTEGER ELSE $1 END, updated_at = CURRENT_TIMESTAMP
+      WHERE manager_id = $2 AND is_active = true
+      RETURNING id
+    `, [newManagerId || null, employeeId, employee.manager_id]);
+
+    // Drop the leaver from approval routing
+    await client.query(`UPDATE departments SET head_id = NULL WHERE head_id = $1`, [employeeId]);
+    await client.query(`UPDATE employees SET default_delegate_id = NULL WHERE default_delegate_id = $1`, [employeeId]);
+    await client.query(`
+      UPDATE approval_delegations SET is_active = false
+      WHERE (manager_id = $1 OR delegate_id = $1) AND is_active = true
+    `, [employeeId]);
+    await client.query(`
+      UPDATE staffing_rules SET manager_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE manager_id = $2 AND is_active = true
+    `, [newManagerId || null, employeeId]);
+    await client.query(`
+      UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE employee_id = $1 AND revoked_at IS NULL
+    `, [employeeId]);
+
+    const year = parseInt(exitDate.slice(0, 4));
+    const balances = await client.query(`
+      SELECT lb.*, lt.name as leave_type_name, lt.accrual_method
+      FROM leave_balances lb
+      JOIN leave_types lt ON lb.leave_type_id = lt.id
+      WHERE lb.employee_id = $1 AND lb.year = $2
+      ORDER BY lt.name
+    `, [employeeId, year]);
+
+    const lines = buildFinalLeaveSettlement(
+      balances.rows.map(balance => ({ ...balance, hire_day: employee.hire_day })),
+      exitDate
+    );
+    const totalSettlementDays = lines.reduce((total, line) => total + line.settlement_days, 0);
+
+    const settlement = await client.query(`
+      INSERT INTO leave_settlements (employee_id, exit_date, year, lines, total_settlement_days, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [employeeId, exitDate, year, JSON.stringify(lines), totalSettlementDays, actorId]);
+
+    await client.query(`
+      UPDATE employees
+      SET is_active = false, exit_date = $1, exit_reason = $2,
+          password_reset_token = NULL, password_reset_expires = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [exitDate, reason, employeeId]);
+
+    await revokeSessions(employeeId, 'offboarded', {}, client);
+
+    const summary = {
+      exit_date: exitDate,
+      reason,
+      cancelled_leave: cancelled,
+      shortened_leave: shortened,
+      reassigned_reports: reports.rows.map(row => row.id),
+      new_manager_id: newManagerId || null
+    };
+
+    await client.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'OFFBOARD', 'employee', $2, $3)
+    `, [actorId, employeeId, JSON.stringify({ ...summary, total_settlement_days: totalSettlementDays })]);
+
+    return { ...summary, settlement: settlement.rows[0] };
+  });
+}
+
+async function handleOffboarding(req, res, exitDate) {
+  const { reason = null, reassign_reports_to } = req.body;
+
+  if (String(req.params.id) === String(req.user.id)) {
+    return res.status(400).json({ error: 'You cannot offboard yourself' });
+  }
+
+  if (!await employeeInPermissionScope(req.user, 'employees.manage', req.params.id)) {
+    return res.status(404).json({ error: 'Employee not found' });
+  }
+
+  const result = await offboardEmployee(req.params.id, {
+    exitDate,
+    reason,
+    reassignTo: reassign_reports_to
+  }, req.user.id);
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  res.json(result);
+}
+
+const offboardFields = {
+  reason: Joi.string().trim().max(1000).allow('', null),
+  reassign_reports_to: id().allow(null)
+};
+
+const OFFBOARD_SCHEMA = {
+  params: idParams,
+  body: Joi.object({
+    ...offboardFields,
+    exit_date: dateOnly().required()
+  })
+};
+
+app.post('/api/employees/:id/offboard', authenticateToken, requirePermission('employees.manage'), validate(OFFBOARD_SCHEMA), async (req, res) => {
+  try {
+    await handleOffboarding(req, res, req.body.exit_date);
+  } catch (error) {
+    console.error('Offboard employee error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Deleting an employee is an offboarding effective today; records are kept
+app.delete('/api/employees/:id', authenticateToken, requirePermission('employees.manage'), validate({ params: idParams, body: Joi.object(offboardFields) }), async (req, res) => {
+  try {
+    await handleOffboarding(req, res, null);
+  } catch (error) {
+    console.error('Delete employee error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.get('/api/employees/:id/leave-settlement', authenticateToken, requirePermission('employees.view'), validate({ params: idParams }), async (req, res) => {
+  try {
+    if (!await employeeInPermissionScope(req.user, 'employees.view', req.params.id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT ls.*, e.first_name || ' ' || e.last_name as employee_name, e.employee_id as staff_number,
+             e.exit_reason
+      FROM leave_settlements ls
+      JOIN employees e ON ls.employee_id = e.id
+      WHERE ls.employee_id = $1
+      ORDER BY ls.created_at DESC
+      LIMIT 1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No final settlement for this employee' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Get leave settlement error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.post('/api/employees/:id/unlock', authenticateToken, requirePermission('security.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE employees SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+      WHERE id = $1
+      RETURNING id
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'UNLOCK', 'employee', $2)
+    `, [req.user.id, req.params.id]);
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// For a lost authenticator: clears the secret and recovery codes and signs the
+// employee out. They enrol again at next login if their role requires it.
+app.post('/api/employees/:id/2fa/reset', authenticateToken, requirePermission('security.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const employee = await client.query(`
+        UPDATE employees 
+        SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+        WHERE id = $1
+        RETURNING id
+      `, [req.params.id]);
+
+      if (employee.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(`DELETE FROM mfa_recovery_codes WHERE employee_id = $1`, [req.params.id]);
+      const revoked = await revokeSessions(req.params.id, 'mfa_reset', {}, client);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'MFA_RESET', 'employee', $2, $3)
+      `, [req.user.id, req.params.id, JSON.stringify({ revoked_sessions: revoked })]);
+
+      return { revoked_sessions: revoked };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ message: '2FA reset successfully', ...result });
+  } catch (error) {
+    console.error('2FA reset error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.get('/api/employees/:id/sessions', authenticateToken, requirePermission('security.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE employee_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [req.params.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get employee sessions error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.delete('/api/employees/:id/sessions', authenticateToken, requirePermission('security.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const employee = await pool.query(`SELECT id FROM employees WHERE id = $1`, [req.params.id]);
+
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const revoked = await revokeSessions(req.params.id, 'admin_revoked');
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'REVOKE_ALL', 'session', $2, $3)
+    `, [req.user.id, req.params.id, JSON.stringify({ revoked_sessions: revoked })]);
+
+    res.json({ message: 'All sessions revoked successfully', revoked_sessions: revoked });
+  } catch (error) {
+    console.error('Revoke employee sessions error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Reporting hierarchy
+// The tree comes from employees.manager_id. Walks carry the path so far and
+// stop if they meet an employee twice, so a cycle in old data can't loop.
+async function getReportingSubtree(rootIds, maxDepth = null, db = pool) {
+  const result = await db.query(`
+    WITH RECURSIVE subtree AS (
+      SELECT e.id, e.manager_id, 1 as depth, ARRAY[e.manager_id, e.id] as path
+      FROM employees e
+      WHERE e.manager_id = ANY($1::INTEGER[])
+      UNION ALL
+      SELECT e.id, e.manager_id, s.depth + 1, s.path || e.id
+      FROM employees e
+      JOIN subtree s ON e.manager_id = s.id
+      WHERE NOT e.id = ANY(s.path)
+        AND ($2::INTEGER IS NULL OR s.depth < $2)
+    )
+    SELECT id, manager_id, MIN(depth) as depth
+    FROM subtree
+    WHERE NOT id = ANY($1::INTEGER[])
+    GROUP BY id, manager_id
+  `, [rootIds, maxDepth]);
+
+  return result.rows;
+}
+
+// Everyone below the user, and below any manager who has delegated to them.
+// Former employees are included so their leave history stays visible.
+async function getVisibleTeamIds(user, maxDepth = null) {
+  const rootIds = [user.id, ...await getDelegatedManagerIds(user.id)];
+  const subtree = await getReportingSubtree(rootIds, maxDepth);
+  return subtree.map(node => node.id);
+}
+
+// True if managerId is employeeId or sits anywhere below them
+async function createsReportingCycle(employeeId, managerId, db = pool) {
+  const result = await db.query(`
+    WITH RECURSIVE chain AS (
+      SELECT id, manager_id, ARRAY[id] as path FROM employees WHERE id = $1
+      UNION ALL
+      SELECT e.id, e.manager_id, c.path || e.id
+      FROM employees e
+      JOIN chain c ON e.id = c.manager_id
+      WHERE NOT e.id = ANY(c.path)
+    )
+    SELECT 1 FROM chain WHERE id = $2 LIMIT 1
+  `, [managerId, employeeId]);
+
+  return result.rows.length > 0;
+}
+
+app.get('/api/org-chart', authenticateToken, validate({ query: Joi.object({ depth: depthQuery, root_id: id() }) }), async (req, res) => {
+  try {
+    const depth = req.query.depth || null;
+    const canViewEmployees = hasPermission(req.user, 'employees.view');
+    let rootIds;
+
+    if (req.query.root_id) {
+      rootIds = [req.query.root_id];
+      const visible = rootIds[0] === req.user.id ||
+        (canViewEmployees && await employeeInPermissionScope(req.user, 'employees.view', rootIds[0])) ||
+        (await getReportingSubtree([req.user.id])).some(node => node.id === rootIds[0]);
+      if (!visible) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+    } else if (canViewEmployees) {
+      // With a department-limited grant, the tree starts from the most senior
+      // people in those departments
+      const tops = await pool.query(`
+        SELECT e.id FROM employees e
+        LEFT JOIN employees m ON e.manager_id = m.id
+        WHERE e.is_active = true
+          AND ($1::INTEGER[] IS NULL OR e.department_id = ANY($1))
+          AND (e.manager_id IS NULL OR m.is_active = false
+               OR ($1::INTEGER[] IS NOT NULL AND NOT (m.department_id = ANY($1))))
+      `, [permissionScope(req.user, 'employees.view')]);
+      rootIds = tops.rows.map(row => row.id);
+    } else {
+      rootIds = [req.user.id];
+    }
+
+    const subtree = await getReportingSubtree(rootIds, depth);
+    const depths = new Map(subtree.map(node => [node.id, node.depth]));
+
+    const people = await pool.query(`
+      SELECT e.id, e.employee_id, e.first_name || ' ' || e.last_name as name, e.email,
+             e.role, e.manager_id, d.name as department
+      FROM employees e
+      LEFT JOIN departments d ON e.department_id = d.id
+      WHERE e.id = ANY($1) AND e.is_active = true
+      ORDER BY e.last_name, e.first_name
+    `, [[...rootIds, ...depths.keys()]]);
+
+    const rows = people.rows.map(person => ({ ...person, depth: depths.get(person.id) || 0 }));
+    res.json(buildOrgTree(rows, rootIds));
+  } catch (error) {
+    console.error('Get org chart error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Leave Request Routes
+const LEAVE_REQUEST_LIST_SCHEMA = {
+  query: Joi.object({
+    ...paginationQuery,
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'cancelled'),
+    employee_id: id(),
+    start_date: dateOnly(),
+    end_date: dateOnly(),
+    depth: depthQuery,
+    format: formatQuery
+  })
+};
+
+app.get('/api/leave-requests', authenticateToken, validate(LEAVE_REQUEST_LIST_SCHEMA), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, employee_id, start_date, end_date, format = 'json' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const depth = req.query.depth || null;
+
+    let query = `
+      SELECT lr.*, e.first_name, e.last_name, e.employee_id as emp_id, d.name as department,
+             lt.name as leave_type_name, 
+             approver.first_name || ' ' || approver.last_name as approved_by_name
+      FROM leave_requests lr
+      JOIN employees e ON lr.employee_id = e.id
+      JOIN departments d ON e.department_id = d.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      LEFT JOIN employees approver ON lr.approved_by = approver.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    // Permission-based filtering: everyone (optionally limited to some
+    // departments), the reporting line, or just the user's own requests
+    if (hasPermission(req.user, 'leave.view_all')) {
+      const departmentScope = permissionScope(req.user, 'leave.view_all');
+      if (departmentScope) {
+        paramCount++;
+        query += ` AND (e.department_id = ANY($${paramCount}) OR lr.employee_id = $${paramCount + 1})`;
+        params.push(departmentScope, req.user.id);
+        paramCount++;
+      }
+    } else if (hasPermission(req.user, 'leave.view_team')) {
+      paramCount++;
+      query += ` AND lr.employee_id = ANY($${paramCount})`;
+      params.push(await getVisibleTeamIds(req.user, depth));
+    } else {
+      paramCount++;
+      query += ` AND lr.employee_id = $${paramCount}`;
+      params.push(req.user.id);
+    }
+
+    if (status) {
+      paramCount++;
+      query += ` AND lr.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (employee_id) {
+      paramCount++;
+      query += ` AND lr.employee_id = $${paramCount}`;
+      params.push(employee_id);
+    }
+
+    if (start_date) {
+      paramCount++;
+      query += ` AND lr.start_date >= $${paramCount}`;
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      query += ` AND lr.end_date <= $${paramCount}`;
+      params.push(end_date);
+    }
+
+    if (format !== 'json') {
+      return streamExport(res, format, {
+        filename: 'leave-requests',
+        sheetName: 'Leave Requests',
+        columns: LEAVE_REQUEST_EXPORT_COLUMNS,
+        query: query + ` ORDER BY lr.created_at DESC`,
+        params
+      });
+    }
+
+    query += ` ORDER BY lr.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      leave_requests: result.rows,
+      pagination: {
+        page,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Pending requests waiting on the current user's stage of the approval chain
+app.get('/api/leave-requests/pending-approval', authenticateToken, async (req, res) => {
+  try {
+    const delegatedManagerIds = await getDelegatedManagerIds(req.user.id);
+
+    const result = await pool.query(`
+      SELECT lr.*, e.first_name, e.last_name, e.employee_id as emp_id, d.name as department,
+             lt.name as leave_type_name,
+             COALESCE(s.approver, 'line_manager') as current_approver,
+             CASE
+               WHEN COALESCE(s.approver, 'line_manager') = 'line_manager' AND e.manager_id = ANY($3) THEN e.manager_id
+               WHEN s.approver = 'department_head' AND d.head_id = ANY($3) THEN d.head_id
+             END as on_behalf_of
+      FROM leave_requests lr
+      JOIN employees e ON lr.employee_id = e.id
+      JOIN departments d ON e.department_id = d.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      LEFT JOIN approval_chain_stages s
+        ON s.chain_id = lr.approval_chain_id AND s.stage_order = lr.current_stage
+      WHERE lr.status = 'pending'
+        AND lr.employee_id <> $1
+        AND (
+          ($4 AND ($5::INTEGER[] IS NULL OR e.department_id = ANY($5)))
+          OR (COALESCE(s.approver, 'line_manager') = 'line_manager'
+              AND (e.manager_id = $1 OR e.manager_id = ANY($3)
+                   OR ($2 AND ($6::INTEGER[] IS NULL OR e.department_id = ANY($6))
+                       AND (lr.approval_chain_id IS NULL OR e.manager_id IS NULL))))
+          OR (s.approver = 'department_head'
+              AND (d.head_id = $1 OR d.head_id = ANY($3)
+                   OR ($2 AND ($6::INTEGER[] IS NULL OR e.department_id = ANY($6)) AND d.head_id IS NULL)))
+          OR (s.approver = 'hr' AND $2 AND ($6::INTEGER[] IS NULL OR e.department_id = ANY($6)))
+        )
+      ORDER BY lr.applied_date
+    `, [
+      req.user.id,
+      hasPermission(req.user, 'leave.approve'),
+      delegatedManagerIds,
+      hasPermission(req.user, 'leave.approve_any'),
+      permissionScope(req.user, 'leave.approve_any'),
+      permissionScope(req.user, 'leave.approve')
+    ]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Preview the working days a leave period would be charged
+const leaveDuration = () => Joi.string().valid('full-day', 'half-day-morning', 'half-day-afternoon').default('full-day');
+
+const WORKING_DAYS_SCHEMA = {
+  query: Joi.object({
+    start_date: dateOnly().required(),
+    end_date: dateOnly().required(),
+    duration: leaveDuration()
+  })
+};
+
+app.get('/api/leave-requests/working-days', authenticateToken, validate(WORKING_DAYS_SCHEMA), async (req, res) => {
+  try {
+    const { start_date, end_date, duration = 'full-day' } = req.query;
+
+    const startDate = parseDateOnly(start_date);
+    const endDate = parseDateOnly(end_date);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'Start date cannot be after end date' });
+    }
+
+    const breakdown = await calculateLeaveDays(start_date, end_date, duration);
+
+    res.json(breakdown);
+  } catch (error) {
+    console.error('Calculate working days error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const LEAVE_REQUEST_SCHEMA = {
+  body: Joi.object({
+    leave_type_id: id().required(),
+    start_date: dateOnly().required(),
+    end_date: dateOnly().required(),
+    duration: leaveDuration(),
+    reason: Joi.string().trim().max(2000).required()
+  })
+};
+
+app.post('/api/leave-requests', authenticateToken, upload.single('supporting_document'), validate(LEAVE_REQUEST_SCHEMA), async (req, res) => {
+  try {
+    const {
+      leave_type_id, start_date, end_date, duration = 'full-day', reason
+    } = req.body;
+
+    const leaveTypeResult = await pool.query(`
+      SELECT id, name, max_days, requires_approval, requires_document, is_blackout_exempt
+      FROM leave_types WHERE id = $1 AND is_active = true
+    `, [leave_type_id]);
+    if (leaveTypeResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid leave type' });
+    }
+    const leaveType = leaveTypeResult.rows[0];
+
+    // Validate dates
+    const startDate = parseDateOnly(start_date);
+    const endDate = parseDateOnly(end_date);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'Start date cannot be after end date' });
+    }
+    if (isHalfDayDuration(duration) && start_date !== end_date) {
+      return res.status(400).json({ error: 'Half-day leave must start and end on the same date' });
+    }
+
+    const blackout = await findBlackoutPeriod(req.user.id, leaveType, start_date, end_date);
+    if (blackout) {
+      return res.status(400).json({
+        error: `Leave cannot be requested during the "${blackout.name}" blackout period (${blackout.start_day} to ${blackout.end_day})`,
+        blackout_period: blackout
+      });
+    }
+
+    // Calculate working days
+    const breakdown = await calculateLeaveDays(start_date, end_date, duration);
+    const totalDays = breakdown.total_days;
+    if (totalDays === 0) {
+      return res.status(400).json({ error: 'The selected dates contain no working days' });
+    }
+
+    // Leave type rules apply as they stand now; they are stored with the
+    // request so later edits to the type don't change it
+    if (leaveType.max_days !== null && totalDays > leaveType.max_days) {
+      return res.status(400).json({ error: `${leaveType.name} requests are limited to ${leaveType.max_days} working days` });
+    }
+    if (leaveType.requires_document && !req.file) {
+      return res.status(400).json({ error: `A supporting document is required for ${leaveType.name}` });
+    }
+
+    // Each day is charged to its own year's balance. A year that isn't open
+    // yet (leave booked ahead into next year) is opened now, and the year-end
+    // rollover adds any carry-forward to it later.
+    const daysByYear = chargedDaysByYear(breakdown.days, totalDays);
+    for (const { year } of daysByYear) {
+      await withTransaction(client => initializeEmployeeLeaveBalances(req.user.id, year, null, client));
+    }
+
+    // Check leave balance
+    const canApply = await checkLeaveBalance(req.user.id, leave_type_id, daysByYear);
+    if (!canApply) {
+      return res.status(400).json({ error: 'Insufficient leave balance' });
+    }
+
+    // Check for overlapping requests
+    const hasOverlap = await checkOverlappingLeave(req.user.id, start_date, end_date);
+    if (hasOverlap) {
+      return res.status(400).json({ error: 'You have overlapping leave requests' });
+    }
+
+    // Check team staffing levels on the days being charged
+    const staffing = await checkStaffingConflicts(req.user.id, breakdown.days);
+    if (staffing.blocked) {
+      return res.status(409).json({
+        error: 'This leave would breach minimum staffing for your team',
+        violations: staffing.violations,
+        conflicting_colleagues: staffing.conflicting_colleagues
+      });
+    }
+    const staffingWarnings = staffing.violations.length > 0
+      ? { violations: staffing.violations, conflicting_colleagues: staffing.conflicting_colleagues }
+      : null;
+
+    const supportingDocument = req.file ? req.file.filename : null;
+    const approvalChainId = leaveType.requires_approval
+      ? await findApprovalChainId(leave_type_id, totalDays)
+      : null;
+
+    // Leave types that don't require approval are approved on submission,
+    // in the same transaction so the request is never left half approved
+    const leaveRequest = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO leave_requests (
+          employee_id, leave_type_id, start_date, end_date, 
+          duration, total_days, reason, supporting_document, approval_chain_id,
+          staffing_warnings, leave_type_rules
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        req.user.id, leave_type_id, start_date, end_date,
+        duration, totalDays, reason, supportingDocument, approvalChainId,
+        staffingWarnings ? JSON.stringify(staffingWarnings) : null,
+        JSON.stringify(leaveType)
+      ]);
+
+      // Log action
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'CREATE', 'leave_request', $2, $3)
+      `, [req.user.id, result.rows[0].id, JSON.stringify({ leave_type_id, start_date, end_date, total_days: totalDays })]);
+
+      if (leaveType.requires_approval) {
+        return result.rows[0];
+      }
+
+      const approved = await finalizeLeaveApproval(result.rows[0], null, client);
+
+      await client.query(`
+        INSERT INTO leave_request_approvals (leave_request_id, stage, approver, decision)
+        VALUES ($1, 1, NULL, 'auto_approved')
+      `, [approved.id]);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'AUTO_APPROVE', 'leave_request', $2, $3)
+      `, [req.user.id, approved.id, JSON.stringify({ total_days: totalDays })]);
+
+      return approved;
+    });
+
+    if (leaveType.requires_approval) {
+      await notifyLeaveApprovers(leaveRequest.id);
+    } else {
+      await notifyLeaveEmployee('leave_approved', leaveRequest.id);
+    }
+
+    res.status(201).json({
+      ...leaveRequest,
+      day_breakdown: breakdown.days
+    });
+
+  } catch (error) {
+    console.error('Create leave request error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Blackout periods
+// Leave types marked is_blackout_exempt (urgent leave such as sick leave)
+// stay bookable through a blackout unless the period explicitly turns the
+// exemption off.
+
+async function findBlackoutPeriod(employeeId, leaveType, startDate, endDate) {
+  const result = await pool.query(`
+    SELECT bp.id, bp.name, bp.reason,
+           TO_CHAR(bp.start_date, 'YYYY-MM-DD') as start_day,
+           TO_CHAR(bp.end_date, 'YYYY-MM-DD') as end_day
+    FROM blackout_periods bp
+    WHERE bp.is_active = true
+      AND bp.start_date <= $3 AND bp.end_date >= $2
+      AND (bp.department_id IS NULL OR bp.department_id = (SELECT department_id FROM employees WHERE id = $1))
+      AND (bp.leave_type_id IS NULL OR bp.leave_type_id = $4)
+      AND NOT (bp.exempt_urgent_leave AND $5)
+    ORDER BY bp.start_date
+    LIMIT 1
+  `, [employeeId, startDate, endDate, leaveType.id, leaveType.is_blackout_exempt]);
+
+  return result.rows[0] || null;
+}
+
+// Staffing rules
+// Collects the people and the pending or approved leave each active rule
+// covers and hands them to findStaffingViolations.
+async function checkStaffingConflicts(employeeId, dayBreakdown, excludeRequestId = null) {
+  const days = dayBreakdown.filter(day => day.charged_days > 0).map(day => day.date);
+  const outcome = { blocked: false, violations: [], conflicting_colleagues: [] };
+  if (days.length === 0) {
+    return outcome;
+  }
+
+  const employee = await pool.query(`
+    SELECT id, department_id, manager_id FROM employees WHERE id = $1
+  `, [employeeId]);
+  if (employee.rows.length === 0) {
+    return outcome;
+  }
+  const { department_id, manager_id } = employee.rows[0];
+
+  const rules = await pool.query(`
+    SELECT * FROM staffing_rules
+    WHERE is_active = true
+      AND (department_id IS NULL OR department_id = $1)
+      AND (manager_id IS NULL OR manager_id = $2)
+  `, [department_id, manager_id]);
+  if (rules.rows.length === 0) {
+    return outcome;
+  }
+
+  const absences = await pool.query(`
+    SELECT lr.id as leave_request_id, lr.employee_id, lr.status,
+           TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_day,
+           TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_day,
+           e.first_name || ' ' || e.last_name as employee_name,
+           e.department_id, e.manager_id
+    FROM leave_requests lr
+    JOIN employees e ON lr.employee_id = e.id
+    WHERE lr.status IN ('pending', 'approved')
+      AND lr.employee_id <> $1
+      AND ($4::INTEGER IS NULL OR lr.id <> $4)
+      AND lr.start_date <= $3 AND lr.end_date >= $2
+  `, [employeeId, days[0], days[days.length - 1], excludeRequestId]);
+
+  const conflictingIds = new Set();
+  for (const rule of rules.rows) {
+    const members = await pool.query(`
+      SELECT id FROM employees
+      WHERE is_active = true AND id <> $1
+        AND ($2::INTEGER IS NULL OR department_id = $2)
+        AND ($3::INTEGER IS NULL OR manager_id = $3)
+    `, [employeeId, rule.department_id, rule.manager_id]);
+    const memberIds = members.rows.map(member => member.id);
+
+    const violation = findStaffingViolations(rule, memberIds, employeeId, absences.rows, days);
+    if (!violation) continue;
+
+    outcome.violations.push(violation);
+    if (rule.enforcement === 'block') {
+      outcome.blocked = true;
+    }
+    const violatingDates = violation.days.map(day => day.date);
+    for (const absence of absences.rows) {
+      if (memberIds.includes(absence.employee_id) &&
+          violatingDates.some(date => absence.start_day <= date && absence.end_day >= date)) {
+        conflictingIds.add(absence.leave_request_id);
+      }
+    }
+  }
+
+  outcome.conflicting_colleagues = absences.rows
+    .filter(absence => conflictingIds.has(absence.leave_request_id))
+    .map(({ department_id, manager_id, ...absence }) => absence);
+
+  return outcome;
+}
+
+// Live staffing check for an approver looking at a request
+app.get('/api/leave-requests/:id/conflicts', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT lr.*, e.manager_id, e.department_id,
+             TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_day,
+             TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_day
+      FROM leave_requests lr
+      JOIN employees e ON lr.employee_id = e.id
+      WHERE lr.id = $1
+    `, [id]);
+    const leaveRequest = result.rows[0];
+    if (!leaveRequest || !await canViewLeaveRequest(req.user, leaveRequest)) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const breakdown = await calculateLeaveDays(leaveRequest.start_day, leaveRequest.end_day, leaveRequest.duration);
+    const staffing = await checkStaffingConflicts(leaveRequest.employee_id, breakdown.days, leaveRequest.id);
+
+    res.json({
+      submitted_warnings: leaveRequest.staffing_warnings,
+      current: staffing
+    });
+  } catch (error) {
+    console.error('Get leave conflicts error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Approval chains
+// A leave type can have several chains; the one with the highest min_days not
+// above the requested days applies. Requests without a chain go to the line
+// manager, with HR and admin able to act as before.
+const APPROVAL_STAGE_APPROVERS = ['line_manager', 'department_head', 'hr', 'admin'];
+const DEFAULT_APPROVAL_STAGES = [{ stage_order: 1, approver: 'line_manager' }];
+
+async function findApprovalChainId(leaveTypeId, totalDays) {
+  const result = await pool.query(`
+    SELECT id FROM approval_chains
+    WHERE leave_type_id = $1 AND is_active = true AND min_days <= $2
+    ORDER BY min_days DESC
+    LIMIT 1
+  `, [leaveTypeId, totalDays]);
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function getApprovalStages(chainId) {
+  if (!chainId) {
+    return DEFAULT_APPROVAL_STAGES;
+  }
+
+  const result = await pool.query(`
+    SELECT stage_order, approver FROM approval_chain_stages
+    WHERE chain_id = $1
+    ORDER BY stage_order
+  `, [chainId]);
+
+  return result.rows.length > 0 ? result.rows : DEFAULT_APPROVAL_STAGES;
+}
+
+async function getLeaveRequestForApproval(id) {
+  const result = await pool.query(`
+    SELECT lr.*, e.manager_id, e.department_id, d.head_id as department_head_id
+    FROM leave_requests lr
+    JOIN employees e ON lr.employee_id = e.id
+    LEFT JOIN departments d ON e.department_id = d.id
+    WHERE lr.id = $1
+  `, [id]);
+
+  return result.rows[0] || null;
+}
+
+// Work out who the user is acting as for this stage: themselves, or a line
+// manager or department head who has delegated to them. Returns null if the
+// user can't act at all.
+async function resolveApprovalActor(user, stage, leaveRequest) {
+  if (canActOnApprovalStage(user, stage, leaveRequest)) {
+    return { onBehalfOf: null };
+  }
+  if (user.id === leaveRequest.employee_id) {
+    return null;
+  }
+
+  const delegatedManagerIds = await getDelegatedManagerIds(user.id);
+  if (stage.approver === 'line_manager' && delegatedManagerIds.includes(leaveRequest.manager_id)) {
+    return { onBehalfOf: leaveRequest.manager_id };
+  }
+  if (stage.approver === 'department_head' && delegatedManagerIds.includes(leaveRequest.department_head_id)) {
+    return { onBehalfOf: leaveRequest.department_head_id };
+  }
+  return null;
+}
+
+// Mark a pending request approved and deduct the balance, on the caller's
+// transaction. The employee is told by the caller once it commits.
+async function finalizeLeaveApproval(leaveRequest, approverId, db) {
+  const result = await db.query(`
+    UPDATE leave_requests 
+    SET status = 'approved', approved_by = $1, approved_date = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND status = 'pending'
+    RETURNING *, TO_CHAR(start_date, 'YYYY-MM-DD') as start_day, TO_CHAR(end_date, 'YYYY-MM-DD') as end_day
+  `, [approverId, leaveRequest.id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  // The days are charged to the years they fall in, not the year of approval
+  const { start_day, end_day, ...approved } = result.rows[0];
+  const daysByYear = await leaveDaysByYear(start_day, end_day, approved.duration, parseFloat(approved.total_days));
+  for (const { year, days } of daysByYear) {
+    await updateLeaveBalance(db, approved.employee_id, approved.leave_type_id, days, year, {
+      leaveRequestId: approved.id,
+      actorId: approverId,
+      reason: approverId ? 'Leave approved' : 'Leave auto-approved'
+    });
+  }
+
+  return approved;
+}
+
+app.get('/api/leave-requests/:id/approvals', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const leaveRequest = await getLeaveRequestForApproval(id);
+    if (!leaveRequest || !await canViewLeaveRequest(req.user, leaveRequest)) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const stages = await getApprovalStages(leaveRequest.approval_chain_id);
+    const history = await pool.query(`
+      SELECT lra.*, e.first_name || ' ' || e.last_name as decided_by_name
+      FROM leave_request_approvals lra
+      LEFT JOIN employees e ON lra.decided_by = e.id
+      WHERE lra.leave_request_id = $1
+      ORDER BY lra.created_at
+    `, [id]);
+
+    res.json({
+      status: leaveRequest.status,
+      current_stage: leaveRequest.current_stage,
+      stages,
+      history: history.rows
+    });
+
+  } catch (error) {
+    console.error('Get leave approvals error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const COMMENTS_SCHEMA = {
+  params: idParams,
+  body: Joi.object({ comments: Joi.string().trim().max(2000).allow('', null) })
+};
+
+app.patch('/api/leave-requests/:id/approve', authenticateToken, validate(COMMENTS_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comments } = req.body;
+
+    const leaveRequest = await getLeaveRequestForApproval(id);
+    if (!leaveRequest || leaveRequest.status !== 'pending') {
+      return res.status(404).json({ error: 'Leave request not found or already processed' });
+    }
+
+    const stages = await getApprovalStages(leaveRequest.approval_chain_id);
+    const stage = stages[leaveRequest.current_stage - 1] || stages[stages.length - 1];
+    const actor = await resolveApprovalActor(req.user, stage, leaveRequest);
+    if (!actor) {
+      return res.status(403).json({ error: 'You are not an approver for the current stage' });
+    }
+
+    const isFinalStage = leaveRequest.current_stage >= stages.length;
+
+    const updated = await withTransaction(async (client) => {
+      let result;
+      if (isFinalStage) {
+        result = await finalizeLeaveApproval(leaveRequest, req.user.id, client);
+      } else {
+        const advanced = await client.query(`
+          UPDATE leave_requests 
+          SET current_stage = current_stage + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = 'pending' AND current_stage = $2
+          RETURNING *
+        `, [id, leaveRequest.current_stage]);
+        result = advanced.rows[0];
+      }
+
+      if (!result) {
+        return null;
+      }
+
+      await client.query(`
+        INSERT INTO leave_request_approvals (leave_request_id, stage, approver, decided_by, decision, on_behalf_of, comments)
+        VALUES ($1, $2, $3, $4, 'approved', $5, $6)
+      `, [id, leaveRequest.current_stage, stage.approver, req.user.id, actor.onBehalfOf, comments]);
+
+      // Log action
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, $2, 'leave_request', $3, $4)
+      `, [req.user.id, isFinalStage ? 'APPROVE' : 'APPROVE_STAGE', id, JSON.stringify({
+        comments,
+        stage: leaveRequest.current_stage,
+        approver: stage.approver,
+        on_behalf_of: actor.onBehalfOf
+      })]);
+
+      return result;
+    });
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Leave request was processed by another approver' });
+    }
+
+    if (isFinalStage) {
+      await notifyLeaveEmployee('leave_approved', id);
+    } else {
+      await notifyLeaveApprovers(id);
+    }
+
+    res.json(updated);
+
+  } catch (error) {
+    console.error('Approve leave request error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const REJECT_SCHEMA = {
+  params: idParams,
+  body: Joi.object({ rejection_reason: Joi.string().trim().max(2000).required() })
+};
+
+app.patch('/api/leave-requests/:id/reject', authenticateToken, validate(REJECT_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rejection_reason } = req.body;
+
+    const leaveRequest = await getLeaveRequestForApproval(id);
+    if (!leaveRequest || leaveRequest.status !== 'pending') {
+      return res.status(404).json({ error: 'Leave request not found or already processed' });
+    }
+
+    const stages = await getApprovalStages(leaveRequest.approval_chain_id);
+    const stage = stages[leaveRequest.current_stage - 1] || stages[stages.length - 1];
+    const actor = await resolveApprovalActor(req.user, stage, leaveRequest);
+    if (!actor) {
+      return res.status(403).json({ error: 'You are not an approver for the current stage' });
+    }
+
+    const rejected = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE leave_requests 
+        SET status = 'rejected', approved_by = $1, approved_date = CURRENT_TIMESTAMP,
+            rejection_reason = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND status = 'pending' AND current_stage = $4
+        RETURNING *
+      `, [req.user.id, rejection_reason, id, leaveRequest.current_stage]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(`
+        INSERT INTO leave_request_approvals (leave_request_id, stage, approver, decided_by, decision, on_behalf_of, comments)
+        VALUES ($1, $2, $3, $4, 'rejected', $5, $6)
+      `, [id, leaveRequest.current_stage, stage.approver, req.user.id, actor.onBehalfOf, rejection_reason]);
+
+      // Log action
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'REJECT', 'leave_request', $2, $3)
+      `, [req.user.id, id, JSON.stringify({
+        rejection_reason,
+        stage: leaveRequest.current_stage,
+        on_behalf_of: actor.onBehalfOf
+      })]);
+
+      return result.rows[0];
+    });
+
+    if (!rejected) {
+      return res.status(409).json({ error: 'Leave request was processed by another approver' });
+    }
+
+    await notifyLeaveEmployee('leave_rejected', id);
+
+    res.json(rejected);
+
+  } catch (error) {
+    console.error('Reject leave request error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Approval delegation
+// Manual delegations cover a date range. Without one, a manager whose own
+// approved leave covers today hands over to their default delegate, or to
+// their own manager if no default is set.
+async function getDelegatedManagerIds(userId) {
+  const result = await pool.query(`
+    SELECT ad.manager_id
+    FROM approval_delegations ad
+    WHERE ad.delegate_id = $1 AND ad.is_active = true
+      AND CURRENT_DATE BETWEEN ad.start_date AND ad.end_date
+    UNION
+    SELECT m.id
+    FROM employees m
+    WHERE COALESCE(m.default_delegate_id, m.manager_id) = $1
+      AND m.is_active = true
+      AND EXISTS (
+        SELECT 1 FROM leave_requests lr
+        WHERE lr.employee_id = m.id AND lr.status = 'approved'
+          AND CURRENT_DATE BETWEEN lr.start_date AND lr.end_date
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM approval_delegations ad
+        WHERE ad.manager_id = m.id AND ad.is_active = true
+          AND CURRENT_DATE BETWEEN ad.start_date AND ad.end_date
+      )
+  `, [userId]);
+
+  return result.rows.map(row => row.manager_id);
+}
+
+app.get('/api/delegations', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ad.*,
+             m.first_name || ' ' || m.last_name as manager_name,
+             dl.first_name || ' ' || dl.last_name as delegate_name
+      FROM approval_delegations ad
+      JOIN employees m ON ad.manager_id = m.id
+      JOIN employees dl ON ad.delegate_id = dl.id
+      WHERE (ad.manager_id = $1 OR ad.delegate_id = $1)
+        AND ad.is_active = true AND ad.end_date >= CURRENT_DATE
+      ORDER BY ad.start_date
+    `, [req.user.id]);
+
+    const delegatedManagerIds = await getDelegatedManagerIds(req.user.id);
+
+    res.json({
+      delegations: result.rows,
+      acting_for_manager_ids: delegatedManagerIds
+    });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const DELEGATION_SCHEMA = {
+  body: Joi.object({
+    delegate_id: id().required(),
+    manager_id: id(),
+    start_date: dateOnly().required(),
+    end_date: dateOnly().required(),
+    reason: Joi.string().trim().max(1000).allow('', null)
+  })
+};
+
+app.post('/api/delegations', authenticateToken, requirePermission('leave.delegate', 'delegations.manage'), validate(DELEGATION_SCHEMA), async (req, res) => {
+  try {
+    const { delegate_id, start_date, end_date, reason } = req.body;
+    // HR and admin can set up a delegation on a manager's behalf
+    const managerId = hasPermission(req.user, 'delegations.manage') && req.body.manager_id
+      ? req.body.manager_id
+      : req.user.id;
+
+    const startDate = parseDateOnly(start_date);
+    const endDate = parseDateOnly(end_date);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'Start date cannot be after end date' });
+    }
+    if (delegate_id === managerId) {
+      return res.status(400).json({ error: 'A manager cannot delegate to themselves' });
+    }
+
+    const delegate = await pool.query(`
+      SELECT id FROM employees WHERE id = $1 AND is_active = true
+    `, [delegate_id]);
+    if (delegate.rows.length === 0) {
+      return res.status(400).json({ error: 'Delegate not found or inactive' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO approval_delegations (manager_id, delegate_id, start_date, end_date, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [managerId, delegate_id, start_date, end_date, reason, req.user.id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'delegation', $2, $3)
+    `, [req.user.id, result.rows[0].id, JSON.stringify({ manager_id: managerId, delegate_id, start_date, end_date })]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create delegation error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.delete('/api/delegations/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const canManageDelegations = hasPermission(req.user, 'delegations.manage');
+
+    const result = await pool.query(`
+      UPDATE approval_delegations 
+      SET is_active = false, revoked_by = $1, revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND is_active = true AND ($3 OR manager_id = $1)
+      RETURNING *
+    `, [req.user.id, id, canManageDelegations]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Delegation not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'REVOKE', 'delegation', $2)
+    `, [req.user.id, id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Revoke delegation error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Who takes over automatically while the manager is on leave
+app.put('/api/delegations/default', authenticateToken, requirePermission('leave.delegate', 'delegations.manage'), validate({ body: Joi.object({ delegate_id: id().allow(null) }) }), async (req, res) => {
+  try {
+    const { delegate_id = null } = req.body;
+
+    if (delegate_id === req.user.id) {
+      return res.status(400).json({ error: 'A manager cannot delegate to themselves' });
+    }
+
+    const result = await pool.query(`
+      UPDATE employees 
+      SET default_delegate_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, default_delegate_id
+    `, [delegate_id, req.user.id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'UPDATE', 'default_delegate', $1, $2)
+    `, [req.user.id, JSON.stringify({ delegate_id })]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Set default delegate error:', error);
+    respondWithError(res, error, { 23503: 'Delegate not found' });
+  }
+});
+
+// Leave request cancellation
+// Pending requests are withdrawn outright. Approved leave that has not ended
+// is cancelled by the approver; when the employee asks, the request waits for
+// the approver to acknowledge it. Leave already in progress is cut short at
+// today and only the unused days are refunded.
+
+// Owners, approvers, people who can see all leave in the request's department
+// and managers whose reporting line includes the employee
+async function canViewLeaveRequest(user, leaveRequest) {
+  if (leaveRequest.employee_id === user.id || hasPermission(user, 'leave.view_all', leaveRequest.department_id)) {
+    return true;
+  }
+  if (isLeaveApprover(user, leaveRequest, await getDelegatedManagerIds(user.id))) {
+    return true;
+  }
+  return hasPermission(user, 'leave.view_team') &&
+    (await getVisibleTeamIds(user)).includes(leaveRequest.employee_id);
+}
+
+async function getLeaveRequestForCancellation(id) {
+  const result = await pool.query(`
+    SELECT lr.*, e.manager_id, e.department_id,
+           TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_day,
+           TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_day,
+           TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') as today,
+           TO_CHAR(CURRENT_DATE + 1, 'YYYY-MM-DD') as tomorrow
+    FROM leave_requests lr
+    JOIN employees e ON lr.employee_id = e.id
+    WHERE lr.id = $1
+  `, [id]);
+
+  return result.rows[0] || null;
+}
+
+// The status change, refund and audit entry commit together, so a failed
+// refund leaves the leave approved rather than cancelled without its days back
+async function cancelApprovedLeave(leaveRequest, user, reason) {
+  const notStarted = leaveRequest.start_day > leaveRequest.today;
+  const chargedDays = parseFloat(leaveRequest.total_days);
+  let takenDays = 0;
+
+  if (!notStarted) {
+    const taken = await calculateLeaveDays(leaveRequest.start_day, leaveRequest.today, leaveRequest.duration);
+    takenDays = Math.min(taken.total_days, chargedDays);
+    if (takenDays >= chargedDays) {
+      return { error: 'No unused days remain on this leave request' };
+    }
+  }
+
+  const refundedDays = chargedDays - takenDays;
+
+  // Refunds go back to the years the unused days fall in
+  const refundsByYear = notStarted
+    ? await leaveDaysByYear(leaveRequest.start_day, leaveRequest.end_day, leaveRequest.duration, refundedDays)
+    : await leaveDaysByYear(leaveRequest.tomorrow, leaveRequest.end_day, leaveRequest.duration, refundedDays);
+
+  return withTransaction(async (client) => {
+    let result;
+    if (notStarted) {
+      result = await client.query(`
+        UPDATE leave_requests 
+        SET status = 'cancelled', cancelled_by = $1, cancelled_date = CURRENT_TIMESTAMP,
+            cancellation_reason = COALESCE($2, cancellation_reason),
+            cancellation_requested_at = NULL, refunded_days = total_days,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND status = 'approved'
+        RETURNING *
+      `, [user.id, reason, leaveRequest.id]);
+    } else {
+      result = await client.query(`
+        UPDATE leave_requests 
+        SET end_date = CURRENT_DATE, total_days = $1, refunded_days = refunded_days + total_days - $1,
+            cancelled_by = $2, cancelled_date = CURRENT_TIMESTAMP,
+            cancellation_reason = COALESCE($3, cancellation_reason),
+            cancellation_requested_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4 AND status = 'approved' AND total_days = $5
+        RETURNING *
+      `, [takenDays, user.id, reason, leaveRequest.id, leaveRequest.total_days]);
+    }
+
+    if (result.rows.length === 0) {
+      return { error: 'Leave request was modified by another action, please retry' };
+    }
+
+    for (const { year, days } of refundsByYear) {
+      await updateLeaveBalance(client, leaveRequest.employee_id, leaveRequest.leave_type_id, -days, year, {
+        leaveRequestId: leaveRequest.id,
+        actorId: user.id,
+        reason: notStarted ? 'Leave cancelled' : 'Unused days of leave in progress cancelled'
+      });
+    }
+
+    await client.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, $2, 'leave_request', $3, $4)
+    `, [user.id, notStarted ? 'CANCEL' : 'CANCEL_UNUSED', leaveRequest.id, JSON.stringify({
+      reason,
+      refunded_days: refundedDays,
+      requested_by_employee: Boolean(leaveRequest.cancellation_requested_at)
+    })]);
+
+    return { leaveRequest: result.rows[0], refundedDays };
+  });
+}
+
+const CANCEL_SCHEMA = {
+  params: idParams,
+  body: Joi.object({ reason: Joi.string().trim().max(2000).allow('', null) })
+};
+
+app.patch('/api/leave-requests/:id/cancel', authenticateToken, validate(CANCEL_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason = null } = req.body;
+
+    const leaveRequest = await getLeaveRequestForCancellation(id);
+    if (!leaveRequest) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const isOwner = leaveRequest.employee_id === req.user.id;
+    const isApprover = isLeaveApprover(req.user, leaveRequest, await getDelegatedManagerIds(req.user.id));
+    if (!isOwner && !isApprover) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    // Withdraw a pending request - nothing has been deducted yet
+    if (leaveRequest.status === 'pending') {
+      const result = await pool.query(`
+        UPDATE leave_requests 
+        SET status = 'cancelled', cancelled_by = $1, cancelled_date = CURRENT_TIMESTAMP,
+            cancellation_reason = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND status = 'pending'
+        RETURNING *
+      `, [req.user.id, reason, id]);
+
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: 'Leave request was processed before it could be withdrawn' });
+      }
+
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'WITHDRAW', 'leave_request', $2, $3)
+      `, [req.user.id, id, JSON.stringify({ reason })]);
+
+      return res.json({ leave_request: result.rows[0], refunded_days: 0 });
+    }
+
+    if (leaveRequest.status !== 'approved') {
+      return res.status(400).json({ error: 'Only pending or approved leave requests can be cancelled' });
+    }
+
+    if (leaveRequest.end_day < leaveRequest.today) {
+      return res.status(400).json({ error: 'Leave that has already been taken cannot be cancelled' });
+    }
+
+    // Employees ask; the approver acknowledges
+    if (!isApprover) {
+      if (leaveRequest.cancellation_requested_at) {
+        return res.status(409).json({ error: 'Cancellation has already been requested' });
+      }
+
+      const result = await pool.query(`
+        UPDATE leave_requests 
+        SET cancellation_requested_at = CURRENT_TIMESTAMP, cancellation_reason = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND status = 'approved'
+        RETURNING *
+      `, [reason, id]);
+
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'CANCEL_REQUEST', 'leave_request', $2, $3)
+      `, [req.user.id, id, JSON.stringify({ reason })]);
+
+      return res.status(202).json({
+        message: 'Cancellation requested and awaiting manager acknowledgement',
+        leave_request: result.rows[0]
+      });
+    }
+
+    const outcome = await cancelApprovedLeave(leaveRequest, req.user, reason);
+    if (outcome.error) {
+      return res.status(409).json({ error: outcome.error });
+    }
+
+    res.json({ leave_request: outcome.leaveRequest, refunded_days: outcome.refundedDays });
+
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.patch('/api/leave-requests/:id/cancel/decline', authenticateToken, validate(COMMENTS_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comments } = req.body;
+
+    const leaveRequest = await getLeaveRequestForCancellation(id);
+    if (!leaveRequest || !isLeaveApprover(req.user, leaveRequest, await getDelegatedManagerIds(req.user.id))) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const result = await pool.query(`
+      UPDATE leave_requests 
+      SET cancellation_requested_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'approved' AND cancellation_requested_at IS NOT NULL
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No pending cancellation request for this leave' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CANCEL_DECLINE', 'leave_request', $2, $3)
+    `, [req.user.id, id, JSON.stringify({ comments })]);
+
+    res.json(result.rows[0]);
+
+  } catch (error) {
+    console.error('Decline leave cancellation error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Leave Balance Routes
+app.get('/api/leave-balances', authenticateToken, validate({ query: Joi.object({ year: year() }) }), async (req, res) => {
+  try {
+    const { year = new Date().getFullYear() } = req.query;
+    
+    const result = await pool.query(`
+      SELECT lb.*, lt.name as leave_type_name, lt.description,
+             lt.accrual_method, lt.max_advance_days,
+             TO_CHAR(e.hire_date, 'YYYY-MM-DD') as hire_day
+      FROM leave_balances lb
+      JOIN leave_types lt ON lb.leave_type_id = lt.id
+      JOIN employees e ON lb.employee_id = e.id
+      WHERE lb.employee_id = $1 AND lb.year = $2
+      ORDER BY lt.name
+    `, [req.user.id, year]);
+
+    res.json(result.rows.map(({ hire_day, ...balance }) => ({
+      ...balance,
+      accrued_days: calculateAccruedDays({ ...balance, hire_day }),
+      available_days: getAvailableLeaveDays({ ...balance, hire_day })
+    })));
+
+  } catch (error) {
+    console.error('Get leave balances error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const ROLLOVER_SCHEMA = {
+  body: Joi.object({
+    year: year().default(() => new Date().getFullYear() - 1),
+    dry_run: Joi.boolean().default(true)
+  })
+};
+
+app.post('/api/leave-balances/rollover', authenticateToken, requirePermission('leave.manage_balances'), validate(ROLLOVER_SCHEMA), async (req, res) => {
+  try {
+    // Runs for the whole company, so a department-limited grant isn't enough
+    if (permissionScope(req.user, 'leave.manage_balances')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { year, dry_run } = req.body;
+
+    const report = await runLeaveRollover(year, {
+      dryRun: dry_run,
+      userId: req.user.id
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Leave rollover error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.post('/api/leave-balances/expire-carry-forward', authenticateToken, requirePermission('leave.manage_balances'), validate({ body: Joi.object({ dry_run: Joi.boolean().default(false) }) }), async (req, res) => {
+  try {
+    // Runs for the whole company, so a department-limited grant isn't enough
+    if (permissionScope(req.user, 'leave.manage_balances')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { dry_run } = req.body;
+
+    const expired = await expireCarriedForwardDays({
+      dryRun: dry_run,
+      userId: req.user.id
+    });
+
+    res.json({ dry_run, balances: expired });
+  } catch (error) {
+    console.error('Expire carried forward days error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const ledgerQuery = {
+  year: year(),
+  leave_type_id: id()
+};
+
+const LEDGER_SCHEMA = {
+  query: Joi.object(ledgerQuery)
+};
+
+app.get('/api/leave-balances/ledger', authenticateToken, validate(LEDGER_SCHEMA), async (req, res) => {
+  try {
+    const { year, leave_type_id } = req.query;
+
+    const ledger = await getLeaveLedger(req.user.id, { year, leaveTypeId: leave_type_id });
+
+    res.json(ledger);
+  } catch (error) {
+    console.error('Get leave ledger error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.get('/api/employees/:id/leave-ledger', authenticateToken, requirePermission('employees.view'), validate({ params: idParams, query: Joi.object(ledgerQuery) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { year, leave_type_id } = req.query;
+
+    if (!await employeeInPermissionScope(req.user, 'employees.view', id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const ledger = await getLeaveLedger(id, { year, leaveTypeId: leave_type_id });
+
+    res.json(ledger);
+  } catch (error) {
+    console.error('Get employee leave ledger error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const ADJUSTMENT_SCHEMA = {
+  body: Joi.object({
+    employee_id: id().required(),
+    leave_type_id: id().required(),
+    days: Joi.number().min(-366).max(366).invalid(0).required()
+      .messages({ 'any.invalid': 'days must not be zero' }),
+    justification: Joi.string().trim().max(2000).required(),
+    year: year()
+  })
+};
+
+app.post('/api/leave-balances/adjustments', authenticateToken, requirePermission('leave.manage_balances'), validate(ADJUSTMENT_SCHEMA), async (req, res) => {
+  try {
+    const {
+      employee_id, leave_type_id, days, justification,
+      year = new Date().getFullYear()
+    } = req.body;
+
+    if (!await employeeInPermissionScope(req.user, 'leave.manage_balances', employee_id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const entry = await postLeaveLedgerEntry({
+      employeeId: employee_id,
+      leaveTypeId: leave_type_id,
+      year,
+      entryType: 'manual_adjustment',
+      days,
+      reason: justification,
+      actorId: req.user.id
+    });
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'ADJUST', 'leave_balance', $2, $3)
+    `, [req.user.id, entry.id, JSON.stringify({ employee_id, leave_type_id, year, days, justification })]);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Adjust leave balance error:', error);
+    respondWithError(res, error, { 23503: 'Invalid employee or leave type' });
+  }
+});
+
+// Dashboard Routes
+app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+  try {
+    const currentYear = new Date().getFullYear();
+    
+    // Get employee's stats
+    const stats = await pool.query(`
+      SELECT 
+        (SELECT COUNT(*) FROM leave_requests WHERE employee_id = $1 AND EXTRACT(YEAR FROM applied_date) = $2) as total_requests,
+        (SELECT COUNT(*) FROM leave_requests WHERE employee_id = $1 AND status = 'approved' AND EXTRACT(YEAR FROM applied_date) = $2) as approved_requests,
+        (SELECT COUNT(*) FROM leave_requests WHERE employee_id = $1 AND status = 'pending' AND EXTRACT(YEAR FROM applied_date) = $2) as pending_requests,
+        (SELECT COALESCE(SUM(total_days), 0) FROM leave_requests WHERE employee_id = $1 AND status = 'approved' AND EXTRACT(YEAR FROM start_date) = $2) as total_days_taken
+    `, [req.user.id, currentYear]);
+
+    // Get leave balances
+    const balances = await pool.query(`
+      SELECT lt.name, lb.allocated_days, lb.used_days, lb.remaining_days
+      FROM leave_balances lb
+      JOIN leave_types lt ON lb.leave_type_id = lt.id
+      WHERE lb.employee_id = $1 AND lb.year = $2
+    `, [req.user.id, currentYear]);
+
+    // Get recent requests
+    const recentRequests = await pool.query(`
+      SELECT lr.*, lt.name as leave_type_name
+      FROM leave_requests lr
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      WHERE lr.employee_id = $1
+      ORDER BY lr.created_at DESC
+      LIMIT 5
+    `, [req.user.id]);
+
+    // Get upcoming holidays
+    const holidays = await pool.query(`
+      SELECT name, date, description
+      FROM holidays
+      WHERE date >= CURRENT_DATE AND is_active = true
+      ORDER BY date
+      LIMIT 5
+    `);
+
+    res.json({
+      stats: stats.rows[0],
+      balances: balances.rows,
+      recent_requests: recentRequests.rows,
+      upcoming_holidays: holidays.rows
+    });
+
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Utility Functions
+// Calculate chargeable working days between two YYYY-MM-DD dates (inclusive)
+async function calculateLeaveDays(startDate, endDate, duration) {
+  const holidays = await pool.query(`
+    SELECT name, TO_CHAR(date, 'YYYY-MM-DD') as date, is_recurring
+    FROM holidays
+    WHERE is_active = true
+      AND (date BETWEEN $1 AND $2 OR (is_recurring = true AND date <= $2))
+  `, [startDate, endDate]);
+
+  return buildLeaveDayBreakdown(parseDateOnly(startDate), parseDateOnly(endDate), duration, holidays.rows);
+}
+
+// totalDays of leave from startDate to endDate split by the balance year each
+// day is charged to (see chargedDaysByYear)
+async function leaveDaysByYear(startDate, endDate, duration, totalDays) {
+  if (startDate.slice(0, 4) === endDate.slice(0, 4)) {
+    return [{ year: parseInt(startDate.slice(0, 4)), days: totalDays }];
+  }
+  const breakdown = await calculateLeaveDays(startDate, endDate, duration);
+  return chargedDaysByYear(breakdown.days, totalDays);
+}
+
+// daysByYear is [{ year, days }]; every year's balance must cover its part
+async function checkLeaveBalance(employeeId, leaveTypeId, daysByYear) {
+  try {
+    const result = await pool.query(`
+      SELECT lb.*, lt.accrual_method, lt.max_advance_days,
+             TO_CHAR(e.hire_date, 'YYYY-MM-DD') as hire_day
+      FROM leave_balances lb
+      JOIN leave_types lt ON lb.leave_type_id = lt.id
+      JOIN employees e ON lb.employee_id = e.id
+      WHERE lb.employee_id = $1 AND lb.leave_type_id = $2 AND lb.year = ANY($3::INTEGER[])
+    `, [employeeId, leaveTypeId, daysByYear.map(part => part.year)]);
+
+    return daysByYear.every(part => {
+      const balance = result.rows.find(row => row.year === part.year);
+      return Boolean(balance) && getAvailableLeaveDays(balance) >= part.days;
+    });
+  } catch (error) {
+    console.error('Check leave balance error:', error);
+    return false;
+  }
+}
+
+async function checkOverlappingLeave(employeeId, startDate, endDate) {
+  try {
+    const result = await pool.query(`
+      SELECT id FROM leave_requests 
       WHERE employee_id = $1 
         AND status IN ('pending', 'approved')
         AND (
@@ -837,199 +3466,2077 @@ async function checkOverlappingLeave(employeeId, startDate, endDate) {
         )
     `, [employeeId, startDate, endDate]);
 
-    return result.rows.length > 0;
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Check overlapping leave error:', error);
+    return true; // Err on the side of caution
+  }
+}
+
+async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Leave balance ledger
+// Every credit and debit is a signed entry (positive adds to the balance).
+// leave_balances keeps the running totals for cheap reads; its counters are
+// only ever changed here so they can always be rebuilt from the ledger.
+const LEDGER_ENTRY_COLUMNS = {
+  allocation: 'allocated_days',
+  accrual: 'allocated_days',
+  approval_deduction: 'used_days',
+  cancellation_refund: 'used_days',
+  carry_forward: 'carried_forward_days',
+  expiry: 'expired_days',
+  manual_adjustment: 'adjusted_days'
+};
+
+// Counters that record days taken off the balance, so move opposite to `days`
+const LEDGER_DEBIT_COLUMNS = ['used_days', 'expired_days'];
+
+async function postLeaveLedgerEntry(entry, db) {
+  if (!db) {
+    return withTransaction(client => postLeaveLedgerEntry(entry, client));
+  }
+
+  const {
+    employeeId, leaveTypeId, year, entryType, days, reason,
+    leaveRequestId = null, actorId = null
+  } = entry;
+  const column = LEDGER_ENTRY_COLUMNS[entryType];
+  const columnDelta = LEDGER_DEBIT_COLUMNS.includes(column) ? -days : days;
+
+  await db.query(`
+    INSERT INTO leave_balances (employee_id, leave_type_id, allocated_days, remaining_days, year)
+    VALUES ($1, $2, 0, 0, $3)
+    ON CONFLICT (employee_id, leave_type_id, year) DO NOTHING
+  `, [employeeId, leaveTypeId, year]);
+
+  await db.query(`
+    UPDATE leave_balances 
+    SET ${column} = ${column} + $1,
+        remaining_days = remaining_days + $2,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE employee_id = $3 AND leave_type_id = $4 AND year = $5
+  `, [columnDelta, days, employeeId, leaveTypeId, year]);
+
+  const result = await db.query(`
+    INSERT INTO leave_ledger_entries (
+      employee_id, leave_type_id, year, entry_type, days, reason, leave_request_id, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [employeeId, leaveTypeId, year, entryType, days, reason, leaveRequestId, actorId]);
+
+  return result.rows[0];
+}
+
+// Open a balance with its allocation entry; returns false if it already exists
+async function openLeaveBalance(db, employeeId, entitlement, year, actorId = null) {
+  const opened = await db.query(`
+    INSERT INTO leave_balances (employee_id, leave_type_id, allocated_days, remaining_days, year)
+    VALUES ($1, $2, 0, 0, $3)
+    ON CONFLICT (employee_id, leave_type_id, year) DO NOTHING
+    RETURNING id
+  `, [employeeId, entitlement.leave_type_id, year]);
+
+  if (opened.rows.length === 0) {
+    return false;
+  }
+
+  await postLeaveLedgerEntry({
+    employeeId,
+    leaveTypeId: entitlement.leave_type_id,
+    year,
+    entryType: entitlement.accrual_method === 'annual' ? 'allocation' : 'accrual',
+    days: entitlement.allocated_days,
+    reason: entitlement.policy_name
+      ? `${year} entitlement under ${entitlement.policy_name}`
+      : `${year} entitlement (no matching policy)`,
+    actorId
+  }, db);
+
+  return true;
+}
+
+// Pass negative usedDays to refund a previous deduction. db must be the
+// transaction that changes the request's status, so the two never disagree.
+// year is the year the days fall in, which is not always the current one.
+async function updateLeaveBalance(db, employeeId, leaveTypeId, usedDays, year, details = {}) {
+  return postLeaveLedgerEntry({
+    employeeId,
+    leaveTypeId,
+    year,
+    entryType: usedDays >= 0 ? 'approval_deduction' : 'cancellation_refund',
+    days: -usedDays,
+    reason: details.reason || (usedDays >= 0 ? 'Leave approved' : 'Leave cancelled'),
+    leaveRequestId: details.leaveRequestId,
+    actorId: details.actorId
+  }, db);
+}
+
+async function getLeaveLedger(employeeId, { year, leaveTypeId } = {}) {
+  const params = [employeeId];
+  let filter = '';
+
+  if (year) {
+    params.push(year);
+    filter += ` AND l.year = $${params.length}`;
+  }
+
+  if (leaveTypeId) {
+    params.push(leaveTypeId);
+    filter += ` AND l.leave_type_id = $${params.length}`;
+  }
+
+  const entries = await pool.query(`
+    SELECT l.*, lt.name as leave_type_name,
+           actor.first_name || ' ' || actor.last_name as created_by_name
+    FROM leave_ledger_entries l
+    JOIN leave_types lt ON l.leave_type_id = lt.id
+    LEFT JOIN employees actor ON l.created_by = actor.id
+    WHERE l.employee_id = $1${filter}
+    ORDER BY l.created_at, l.id
+  `, params);
+
+  // Balances rebuilt from the entries alone
+  const balances = await pool.query(`
+    SELECT l.leave_type_id, lt.name as leave_type_name, l.year,
+           COALESCE(SUM(l.days) FILTER (WHERE l.entry_type IN ('allocation', 'accrual')), 0) as allocated_days,
+           COALESCE(-SUM(l.days) FILTER (WHERE l.entry_type IN ('approval_deduction', 'cancellation_refund')), 0) as used_days,
+           COALESCE(SUM(l.days) FILTER (WHERE l.entry_type = 'carry_forward'), 0) as carried_forward_days,
+           COALESCE(-SUM(l.days) FILTER (WHERE l.entry_type = 'expiry'), 0) as expired_days,
+           COALESCE(SUM(l.days) FILTER (WHERE l.entry_type = 'manual_adjustment'), 0) as adjusted_days,
+           SUM(l.days) as remaining_days
+    FROM leave_ledger_entries l
+    JOIN leave_types lt ON l.leave_type_id = lt.id
+    WHERE l.employee_id = $1${filter}
+    GROUP BY l.leave_type_id, lt.name, l.year
+    ORDER BY l.year, lt.name
+  `, params);
+
+  return { entries: entries.rows, balances: balances.rows };
+}
+
+// Leave entitlement policies
+// How a policy is picked and what it grants is in lib/leave-policies.js.
+// Employee forms may still send the old per-employee entitlement fields.
+const LEGACY_ENTITLEMENT_FIELDS = {
+  annual_leave_entitlement: 'Annual Leave',
+  sick_leave_entitlement: 'Sick Leave',
+  emergency_leave_entitlement: 'Emergency Leave'
+};
+
+async function getActiveLeavePolicies(db = pool) {
+  const result = await db.query(`
+    SELECT * FROM leave_policies WHERE is_active = true
+  `);
+  return result.rows;
+}
+
+async function getEmployeeLeaveEntitlements(employeeId, year = new Date().getFullYear(), db = pool) {
+  const employee = await db.query(`
+    SELECT id, role, department_id, TO_CHAR(hire_date, 'YYYY-MM-DD') as hire_day
+    FROM employees WHERE id = $1
+  `, [employeeId]);
+
+  if (employee.rows.length === 0) {
+    return null;
+  }
+
+  const leaveTypes = await db.query(`
+    SELECT id, name, accrual_method FROM leave_types WHERE is_active = true ORDER BY name
+  `);
+
+  return buildLeaveEntitlements(employee.rows[0], leaveTypes.rows, await getActiveLeavePolicies(db), year);
+}
+
+// Opens any of the year's balances the employee doesn't have yet. db should
+// be a transaction so a balance is never left without its opening entry.
+async function initializeEmployeeLeaveBalances(employeeId, year, actorId, db) {
+  const entitlements = await getEmployeeLeaveEntitlements(employeeId, year, db);
+  if (!entitlements) return;
+
+  for (const entitlement of entitlements) {
+    await openLeaveBalance(db, employeeId, entitlement, year, actorId);
+  }
+}
+
+// Year-end rollover
+// Opens next year's balances for every active employee, carrying unused days
+// forward up to the leave type's cap. A balance already opened by leave booked
+// into next year keeps its deductions and gets the carry-forward on top. Source balances are stamped with
+// rolled_over_at so running the same year twice changes nothing. A dry run
+// builds the same report inside a transaction that is rolled back.
+async function runLeaveRollover(fromYear, { dryRun = true, userId = null } = {}) {
+  const toYear = fromYear + 1;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('leave_rollover'))`);
+
+    const employees = await client.query(`
+      SELECT id, employee_id, first_name, last_name, role, department_id,
+             TO_CHAR(hire_date, 'YYYY-MM-DD') as hire_day
+      FROM employees WHERE is_active = true
+      ORDER BY id
+    `);
+
+    const leaveTypes = await client.query(`
+      SELECT id, name, carry_forward_cap, carry_forward_expiry, accrual_method
+      FROM leave_types WHERE is_active = true
+      ORDER BY name
+    `);
+
+    const policies = await getActiveLeavePolicies(client);
+
+    const sourceBalances = await client.query(`
+      SELECT * FROM leave_balances WHERE year = $1 FOR UPDATE
+    `, [fromYear]);
+    const sourceByKey = new Map(
+      sourceBalances.rows.map(balance => [`${balance.employee_id}:${balance.leave_type_id}`, balance])
+    );
+
+    const lines = [];
+    const totals = { employees: employees.rows.length, carried_days: 0, forfeited_days: 0, already_rolled_over: 0 };
+
+    for (const employee of employees.rows) {
+      const entitlements = buildLeaveEntitlements(employee, leaveTypes.rows, policies, toYear);
+
+      for (const leaveType of leaveTypes.rows) {
+        const source = sourceByKey.get(`${employee.id}:${leaveType.id}`);
+        const line = {
+          employee_id: employee.id,
+          employee_code: employee.employee_id,
+          employee_name: `${employee.first_name} ${employee.last_name}`,
+          leave_type_id: leaveType.id,
+          leave_type: leaveType.name
+        };
+
+        if (source && source.rolled_over_at) {
+          totals.already_rolled_over++;
+          lines.push({ ...line, status: 'already_rolled_over' });
+          continue;
+        }
+
+        const unusedDays = source ? Math.max(parseFloat(source.remaining_days), 0) : 0;
+        const carriedDays = Math.min(unusedDays, parseFloat(leaveType.carry_forward_cap) || 0);
+        const forfeitedDays = unusedDays - carriedDays;
+        const entitlement = entitlements.find(entry => entry.leave_type_id === leaveType.id);
+        const allocatedDays = entitlement.allocated_days;
+        const expiresOn = carriedDays > 0 && leaveType.carry_forward_expiry &&
+          parseDateOnly(`${toYear}-${leaveType.carry_forward_expiry}`)
+          ? `${toYear}-${leaveType.carry_forward_expiry}`
+          : null;
+
+        totals.carried_days += carriedDays;
+        totals.forfeited_days += forfeitedDays;
+        lines.push({
+          ...line,
+          status: 'rolled_over',
+          unused_days: unusedDays,
+          carried_forward_days: carriedDays,
+          forfeited_days: forfeitedDays,
+          allocated_days: allocatedDays,
+          carry_forward_expires_on: expiresOn
+        });
+
+        if (dryRun) continue;
+
+        await openLeaveBalance(client, employee.id, entitlement, toYear, userId);
+
+        if (carriedDays > 0) {
+          await postLeaveLedgerEntry({
+            employeeId: employee.id,
+            leaveTypeId: leaveType.id,
+            year: toYear,
+            entryType: 'carry_forward',
+            days: carriedDays,
+            reason: `Unused days carried forward from ${fromYear}`,
+            actorId: userId
+          }, client);
+
+          await client.query(`
+            UPDATE leave_balances 
+            SET carry_forward_expires_on = COALESCE($1, carry_forward_expires_on)
+            WHERE employee_id = $2 AND leave_type_id = $3 AND year = $4
+          `, [expiresOn, employee.id, leaveType.id, toYear]);
+        }
+
+        if (source) {
+          await client.query(`
+            UPDATE leave_balances SET rolled_over_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [source.id]);
+        }
+      }
+    }
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, details)
+        VALUES ($1, 'ROLLOVER', 'leave_balance', $2)
+      `, [userId, JSON.stringify({ from_year: fromYear, to_year: toYear, ...totals })]);
+
+      await client.query('COMMIT');
+    }
+
+    return { from_year: fromYear, to_year: toYear, dry_run: dryRun, totals, lines };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Carried-forward days are used first, so only the part not yet used expires
+async function expireCarriedForwardDays({ dryRun = false, userId = null } = {}) {
+  const candidates = await pool.query(`
+    SELECT id, employee_id, leave_type_id, year,
+           TO_CHAR(carry_forward_expires_on, 'YYYY-MM-DD') as carry_forward_expires_on,
+           GREATEST(carried_forward_days - used_days, 0) as expired_days
+    FROM leave_balances
+    WHERE carry_forward_expires_on < CURRENT_DATE
+      AND carry_forward_expired_at IS NULL
+      AND carried_forward_days > 0
+  `);
+
+  if (dryRun) {
+    return candidates.rows;
+  }
+
+  const expired = [];
+  for (const balance of candidates.rows) {
+    const result = await withTransaction(async client => {
+      const claim = await client.query(`
+        UPDATE leave_balances 
+        SET carry_forward_expired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND carry_forward_expired_at IS NULL
+        RETURNING GREATEST(carried_forward_days - used_days, 0) as expired_days
+      `, [balance.id]);
+
+      if (claim.rows.length === 0) {
+        return null;
+      }
+
+      const expiredDays = parseFloat(claim.rows[0].expired_days);
+      if (expiredDays > 0) {
+        await postLeaveLedgerEntry({
+          employeeId: balance.employee_id,
+          leaveTypeId: balance.leave_type_id,
+          year: balance.year,
+          entryType: 'expiry',
+          days: -expiredDays,
+          reason: `Carried-forward days expired after ${balance.carry_forward_expires_on}`,
+          actorId: userId
+        }, client);
+      }
+
+      return { ...balance, expired_days: expiredDays };
+    });
+
+    if (result) {
+      expired.push(result);
+    }
+  }
+
+  if (expired.length > 0) {
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, details)
+      VALUES ($1, 'EXPIRE_CARRY_FORWARD', 'leave_balance', $2)
+    `, [userId, JSON.stringify({ balances: expired.length })]);
+  }
+
+  return expired;
+}
+
+// Exports
+// List and report endpoints accept `format=csv|xlsx`. Every matching row is
+// exported (pagination is ignored) and read through a cursor in batches, so
+// large exports are streamed rather than built in memory.
+const EXPORT_BATCH_SIZE = 500;
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// columns: [{ header, key, type }] where type is date, datetime, number or boolean
+async function streamExport(res, format, { filename, sheetName, columns, query, params = [] }) {
+  let client;
+  let cursor;
+
+  try {
+    client = await pool.connect();
+    cursor = client.query(new Cursor(query, params));
+    let rows = await cursor.read(EXPORT_BATCH_SIZE);
+
+    res.attachment(`${filename}.${format}`);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      // Byte order mark so Excel opens the file as UTF-8
+      await writeChunk(res, '\ufeff' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+      while (rows.length > 0 && !res.destroyed) {
+        const lines = rows.map(row => columns
+          .map(column => toCsvCell(formatExportValue(row[column.key], column.type)))
+          .join(','));
+        await writeChunk(res, lines.join('\r\n') + '\r\n');
+        rows = await cursor.read(EXPORT_BATCH_SIZE);
+      }
+
+      res.end();
+    } else {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet(sheetName);
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.max(12, column.header.length + 2),
+        style: EXCEL_NUMBER_FORMATS[column.type] ? { numFmt: EXCEL_NUMBER_FORMATS[column.type] } : {}
+      }));
+      sheet.getRow(1).font = { bold: true };
+
+      while (rows.length > 0 && !res.destroyed) {
+        for (const row of rows) {
+          const values = {};
+          for (const column of columns) {
+            values[column.key] = toExcelValue(row[column.key], column.type);
+          }
+          sheet.addRow(values).commit();
+        }
+        rows = await cursor.read(EXPORT_BATCH_SIZE);
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+    if (client) client.release();
+  }
+}
+
+const LEAVE_SUMMARY_EXPORT_COLUMNS = [
+  { header: 'Department', key: 'department' },
+  { header: 'Leave Type', key: 'leave_type' },
+  { header: 'Total Requests', key: 'total_requests', type: 'number' },
+  { header: 'Approved', key: 'approved_requests', type: 'number' },
+  { header: 'Pending', key: 'pending_requests', type: 'number' },
+  { header: 'Rejected', key: 'rejected_requests', type: 'number' },
+  { header: 'Days Approved', key: 'total_days_approved', type: 'number' }
+];
+
+const LEAVE_HISTORY_EXPORT_COLUMNS = [
+  { header: 'Applied', key: 'applied_date', type: 'datetime' },
+  { header: 'Leave Type', key: 'leave_type_name' },
+  { header: 'Start Date', key: 'start_date', type: 'date' },
+  { header: 'End Date', key: 'end_date', type: 'date' },
+  { header: 'Duration', key: 'duration' },
+  { header: 'Days', key: 'total_days', type: 'number' },
+  { header: 'Status', key: 'status' },
+  { header: 'Reason', key: 'reason' },
+  { header: 'Decided By', key: 'approved_by_name' },
+  { header: 'Decided', key: 'approved_date', type: 'datetime' },
+  { header: 'Rejection Reason', key: 'rejection_reason' }
+];
+
+const LEAVE_REQUEST_EXPORT_COLUMNS = [
+  { header: 'Employee ID', key: 'emp_id' },
+  { header: 'First Name', key: 'first_name' },
+  { header: 'Last Name', key: 'last_name' },
+  { header: 'Department', key: 'department' },
+  ...LEAVE_HISTORY_EXPORT_COLUMNS
+];
+
+const EMPLOYEE_EXPORT_COLUMNS = [
+  { header: 'Employee ID', key: 'employee_id' },
+  { header: 'First Name', key: 'first_name' },
+  { header: 'Last Name', key: 'last_name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Role', key: 'role' },
+  { header: 'Department', key: 'department_name' },
+  { header: 'Manager', key: 'manager_name' },
+  { header: 'Hire Date', key: 'hire_date', type: 'date' },
+  { header: 'Active', key: 'is_active', type: 'boolean' }
+];
+
+// Printable documents
+// Approval letters and balance statements are rendered with pdfkit's
+// built-in fonts, so no external service or font files are needed.
+const COMPANY_NAME = 'Trevi Foundations Nigeria Limited';
+
+function sendPdf(res, filename, render) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: filename, Author: COMPANY_NAME } });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}.pdf"`
+  });
+  doc.pipe(res);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(COMPANY_NAME);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text('Human Resources Department');
+  doc.moveTo(50, doc.y + 6).lineTo(545, doc.y + 6).strokeColor('#999999').stroke();
+  doc.fillColor('#000000').moveDown(2);
+
+  render(doc);
+
+  doc.moveDown(3);
+  doc.fontSize(8).fillColor('#777777')
+    .text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC by the Trevi Leave Management System.`);
+  doc.end();
+}
+
+// Label/value rows for the letter body
+function writePdfFields(doc, fields) {
+  for (const [label, value] of fields) {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, 50, y, { width: 150 });
+    doc.font('Helvetica').text(value || '-', 200, y, { width: 345 });
+    doc.moveDown(0.4);
+  }
+  doc.x = 50;
+}
+
+function writePdfTable(doc, columns, rows) {
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    let x = 50;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    values.forEach((value, i) => {
+      doc.text(String(value), x, y, { width: columns[i].width, align: i === 0 ? 'left' : 'right' });
+      x += columns[i].width;
+    });
+    doc.moveDown(0.5);
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  for (const row of rows) {
+    if (doc.y > 760) {
+      doc.addPage();
+    }
+    drawRow(row, false);
+  }
+  doc.x = 50;
+}
+
+app.get('/api/leave-requests/:id/approval-letter', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT lr.id, lr.employee_id, lr.status, lr.duration, lr.total_days, lr.approved_date,
+             TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_date,
+             TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_date,
+             e.first_name || ' ' || e.last_name as employee_name, e.employee_id as staff_number,
+             e.manager_id, e.department_id, d.name as department, lt.name as leave_type,
+             approver.first_name || ' ' || approver.last_name as approved_by_name,
+             approver.role as approved_by_role
+      FROM leave_requests lr
+      JOIN employees e ON lr.employee_id = e.id
+      LEFT JOIN departments d ON e.department_id = d.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      LEFT JOIN employees approver ON lr.approved_by = approver.id
+      WHERE lr.id = $1
+    `, [id]);
+
+    const leaveRequest = result.rows[0];
+    const canView = leaveRequest && (leaveRequest.employee_id === req.user.id ||
+      isLeaveApprover(req.user, leaveRequest, await getDelegatedManagerIds(req.user.id)));
+    if (!canView) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (leaveRequest.status !== 'approved') {
+      return res.status(400).json({ error: 'Approval letters are only available for approved leave' });
+    }
+
+    const reference = leaveReferenceNumber(leaveRequest);
+    const period = leaveRequest.start_date === leaveRequest.end_date
+      ? formatLetterDate(parseDateOnly(leaveRequest.start_date))
+      : `${formatLetterDate(parseDateOnly(leaveRequest.start_date))} to ${formatLetterDate(parseDateOnly(leaveRequest.end_date))}`;
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'DOWNLOAD_LETTER', 'leave_request', $2)
+    `, [req.user.id, id]);
+
+    sendPdf(res, `leave-approval-${reference}`, (doc) => {
+      doc.fontSize(10).text(`Reference: ${reference}`, { align: 'right' });
+      doc.text(`Date: ${formatLetterDate(new Date())}`, { align: 'right' });
+      doc.moveDown(2);
+
+      doc.font('Helvetica-Bold').fontSize(14).text('LEAVE APPROVAL LETTER', { align: 'center' });
+      doc.moveDown(1.5);
+
+      doc.font('Helvetica').fontSize(11).text(
+        `This is to confirm that ${leaveRequest.employee_name} has been granted ${leaveRequest.leave_type.toLowerCase()} ` +
+        `for the period stated below and is authorised to be away from work during that time.`
+      );
+      doc.moveDown(1.5);
+
+      writePdfFields(doc, [
+        ['Employee', leaveRequest.employee_name],
+        ['Employee ID', leaveRequest.staff_number],
+        ['Department', leaveRequest.department],
+        ['Leave type', leaveRequest.leave_type],
+        ['Period', period + describeLeaveDuration(leaveRequest.duration)],
+        ['Working days', String(parseFloat(leaveRequest.total_days))],
+        ['Approved by', leaveRequest.approved_by_name
+          ? `${leaveRequest.approved_by_name} (${leaveRequest.approved_by_role})`
+          : 'Approved automatically'],
+        ['Approved on', leaveRequest.approved_date ? formatLetterDate(leaveRequest.approved_date) : null]
+      ]);
+
+      doc.moveDown(4);
+      doc.moveTo(50, doc.y).lineTo(250, doc.y).strokeColor('#000000').stroke();
+      doc.moveDown(0.3);
+      doc.fontSize(10).text('Authorised signature and stamp');
+    });
+  } catch (error) {
+    console.error('Generate approval letter error:', error);
+    respondWithError(res, error);
+  }
+});
+
+async function sendLeaveStatement(res, employeeId, year) {
+  const employee = await pool.query(`
+    SELECT e.employee_id, e.first_name || ' ' || e.last_name as name,
+           TO_CHAR(e.hire_date, 'YYYY-MM-DD') as hire_day, d.name as department
+    FROM employees e
+    LEFT JOIN departments d ON e.department_id = d.id
+    WHERE e.id = $1
+  `, [employeeId]);
+
+  if (employee.rows.length === 0) {
+    return res.status(404).json({ error: 'Employee not found' });
+  }
+  const { hire_day, ...details } = employee.rows[0];
+
+  const balances = await pool.query(`
+    SELECT lb.*, lt.name as leave_type_name, lt.accrual_method, lt.max_advance_days
+    FROM leave_balances lb
+    JOIN leave_types lt ON lb.leave_type_id = lt.id
+    WHERE lb.employee_id = $1 AND lb.year = $2
+    ORDER BY lt.name
+  `, [employeeId, year]);
+
+  const leaveTaken = await pool.query(`
+    SELECT lr.id, lr.duration, lr.total_days, lt.name as leave_type,
+           TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_date,
+           TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_date
+    FROM leave_requests lr
+    JOIN leave_types lt ON lr.leave_type_id = lt.id
+    WHERE lr.employee_id = $1 AND lr.status = 'approved'
+      AND EXTRACT(YEAR FROM lr.start_date) = $2
+    ORDER BY lr.start_date
+  `, [employeeId, year]);
+
+  const days = value => parseFloat(value || 0).toFixed(1);
+
+  sendPdf(res, `leave-statement-${details.employee_id}-${year}`, (doc) => {
+    doc.font('Helvetica-Bold').fontSize(14).text(`LEAVE BALANCE STATEMENT ${year}`, { align: 'center' });
+    doc.moveDown(1.5);
+
+    writePdfFields(doc, [
+      ['Employee', details.name],
+      ['Employee ID', details.employee_id],
+      ['Department', details.department],
+      ['Statement date', formatLetterDate(new Date())]
+    ]);
+    doc.moveDown(1);
+
+    if (balances.rows.length === 0) {
+      doc.font('Helvetica').fontSize(10).text(`No leave balances were opened for ${year}.`);
+    } else {
+      writePdfTable(doc, [
+        { header: 'Leave type', width: 125 },
+        { header: 'Allocated', width: 55 },
+        { header: 'Carried fwd', width: 60 },
+        { header: 'Adjusted', width: 55 },
+        { header: 'Used', width: 45 },
+        { header: 'Expired', width: 50 },
+        { header: 'Remaining', width: 55 },
+        { header: 'Available', width: 50 }
+      ], balances.rows.map(balance => [
+        balance.leave_type_name,
+        days(balance.allocated_days),
+        days(balance.carried_forward_days),
+        days(balance.adjusted_days),
+        days(balance.used_days),
+        days(balance.expired_days),
+        days(balance.remaining_days),
+        days(getAvailableLeaveDays({ ...balance, hire_day }))
+      ]));
+    }
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(11).text('Approved leave taken');
+    doc.moveDown(0.5);
+
+    if (leaveTaken.rows.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('None');
+    } else {
+      writePdfTable(doc, [
+        { header: 'Reference', width: 105 },
+        { header: 'Leave type', width: 130 },
+        { header: 'From', width: 80 },
+        { header: 'To', width: 80 },
+        { header: 'Days', width: 100 }
+      ], leaveTaken.rows.map(leave => [
+        leaveReferenceNumber(leave),
+        leave.leave_type,
+        leave.start_date,
+        leave.end_date,
+        days(leave.total_days)
+      ]));
+    }
+  });
+}
+
+const STATEMENT_SCHEMA = {
+  query: Joi.object({ year: year().default(() => new Date().getFullYear()) })
+};
+
+app.get('/api/leave-balances/statement', authenticateToken, validate(STATEMENT_SCHEMA), async (req, res) => {
+  try {
+    await sendLeaveStatement(res, req.user.id, req.query.year);
+  } catch (error) {
+    console.error('Generate leave statement error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.get('/api/employees/:id/leave-statement', authenticateToken, requirePermission('employees.view'), validate({ params: idParams, query: STATEMENT_SCHEMA.query }), async (req, res) => {
+  try {
+    if (!await employeeInPermissionScope(req.user, 'employees.view', req.params.id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    await sendLeaveStatement(res, req.params.id, req.query.year);
+  } catch (error) {
+    console.error('Generate employee leave statement error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Reports Routes
+const LEAVE_SUMMARY_SCHEMA = {
+  query: Joi.object({
+    start_date: dateOnly(),
+    end_date: dateOnly(),
+    department_id: id(),
+    format: formatQuery
+  })
+};
+
+app.get('/api/reports/leave-summary', authenticateToken, requirePermission('reports.view'), validate(LEAVE_SUMMARY_SCHEMA), async (req, res) => {
+  try {
+    const { start_date, end_date, department_id, format = 'json' } = req.query;
+    
+    let query = `
+      SELECT 
+        d.name as department,
+        lt.name as leave_type,
+        COUNT(lr.id) as total_requests,
+        COUNT(CASE WHEN lr.status = 'approved' THEN 1 END) as approved_requests,
+        COUNT(CASE WHEN lr.status = 'pending' THEN 1 END) as pending_requests,
+        COUNT(CASE WHEN lr.status = 'rejected' THEN 1 END) as rejected_requests,
+        COALESCE(SUM(CASE WHEN lr.status = 'approved' THEN lr.total_days END), 0) as total_days_approved
+      FROM leave_requests lr
+      JOIN employees e ON lr.employee_id = e.id
+      JOIN departments d ON e.department_id = d.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      WHERE 1=1
+    `;
+    
+    const params = [];
+    let paramCount = 0;
+    
+    if (start_date) {
+      paramCount++;
+      query += ` AND lr.applied_date >= $${paramCount}`;
+      params.push(start_date);
+    }
+    
+    if (end_date) {
+      paramCount++;
+      query += ` AND lr.applied_date <= $${paramCount}`;
+      params.push(end_date);
+    }
+    
+    if (department_id) {
+      paramCount++;
+      query += ` AND e.department_id = $${paramCount}`;
+      params.push(department_id);
+    }
+
+    const departmentScope = permissionScope(req.user, 'reports.view');
+    if (departmentScope) {
+      paramCount++;
+      query += ` AND e.department_id = ANY($${paramCount})`;
+      params.push(departmentScope);
+    }
+    
+    query += `
+      GROUP BY d.name, lt.name
+      ORDER BY d.name, lt.name
+    `;
+
+    if (format !== 'json') {
+      return streamExport(res, format, {
+        filename: 'leave-summary',
+        sheetName: 'Leave Summary',
+        columns: LEAVE_SUMMARY_EXPORT_COLUMNS,
+        query,
+        params
+      });
+    }
+    
+    const result = await pool.query(query, params);
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get leave summary report error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const LEAVE_HISTORY_SCHEMA = {
+  query: Joi.object({
+    employee_id: id().required(),
+    year: year(),
+    format: formatQuery
+  })
+};
+
+app.get('/api/reports/employee-leave-history', authenticateToken, requirePermission('reports.view'), validate(LEAVE_HISTORY_SCHEMA), async (req, res) => {
+  try {
+    const { employee_id, year = new Date().getFullYear(), format = 'json' } = req.query;
+    
+    if (!await employeeInPermissionScope(req.user, 'reports.view', employee_id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const historyQuery = `
+      SELECT 
+        lr.*,
+        lt.name as leave_type_name,
+        approver.first_name || ' ' || approver.last_name as approved_by_name
+      FROM leave_requests lr
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      LEFT JOIN employees approver ON lr.approved_by = approver.id
+      WHERE lr.employee_id = $1 AND EXTRACT(YEAR FROM lr.applied_date) = $2
+      ORDER BY lr.applied_date DESC
+    `;
+
+    if (format !== 'json') {
+      const employee = await pool.query(`SELECT employee_id FROM employees WHERE id = $1`, [employee_id]);
+      if (employee.rows.length === 0) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+
+      return streamExport(res, format, {
+        filename: `leave-history-${employee.rows[0].employee_id}-${year}`,
+        sheetName: `Leave History ${year}`,
+        columns: LEAVE_HISTORY_EXPORT_COLUMNS,
+        query: historyQuery,
+        params: [employee_id, year]
+      });
+    }
+    
+    const result = await pool.query(historyQuery, [employee_id, year]);
+    
+    // Get employee info
+    const employeeResult = await pool.query(`
+      SELECT e.first_name, e.last_name, e.employee_id, d.name as department
+      FROM employees e
+      JOIN departments d ON e.department_id = d.id
+      WHERE e.id = $1
+    `, [employee_id]);
+    
+    res.json({
+      employee: employeeResult.rows[0],
+      leave_history: result.rows
+    });
+  } catch (error) {
+    console.error('Get employee leave history error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Role Routes
+// Grants are given as permission names or { permission, department_ids }.
+// Grants have already been shape-checked by ROLE_PERMISSIONS_SCHEMA
+async function validateRolePermissions(grants, db = pool) {
+  const normalized = new Map();
+  for (const grant of grants) {
+    const { permission, department_ids = null } = typeof grant === 'string' ? { permission: grant } : grant;
+
+    if (department_ids !== null && !PERMISSIONS[permission].scopable) {
+      return { error: `${permission} cannot be limited to departments` };
+    }
+    normalized.set(permission, department_ids && [...new Set(department_ids)]);
+  }
+
+  const departmentIds = [...new Set([...normalized.values()].filter(Boolean).flat())];
+  if (departmentIds.length > 0) {
+    const found = await db.query(`SELECT id FROM departments WHERE id = ANY($1)`, [departmentIds]);
+    if (found.rows.length !== departmentIds.length) {
+      return { error: 'department_ids contains an unknown department' };
+    }
+  }
+
+  return {
+    grants: [...normalized].map(([permission, departments]) => ({ permission, department_ids: departments }))
+  };
+}
+
+async function replaceRolePermissions(roleId, grants, db) {
+  await db.query(`DELETE FROM role_permissions WHERE role_id = $1`, [roleId]);
+  for (const grant of grants) {
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission, department_ids) VALUES ($1, $2, $3)
+    `, [roleId, grant.permission, grant.department_ids]);
+  }
+}
+
+async function getRole(id, db = pool) {
+  const result = await db.query(`
+    SELECT r.*,
+           COALESCE(json_agg(json_build_object('permission', rp.permission, 'department_ids', rp.department_ids)
+                             ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '[]'::JSON) as permissions,
+           (SELECT COUNT(*) FROM employees e WHERE e.role = r.name AND e.is_active = true)::INTEGER as employee_count
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    WHERE ($1::INTEGER IS NULL OR r.id = $1)
+    GROUP BY r.id
+    ORDER BY r.name
+  `, [id]);
+
+  return id === null ? result.rows : result.rows[0] || null;
+}
+
+app.get('/api/permissions', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, permission]) => ({ name, ...permission })));
+});
+
+app.get('/api/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    res.json(await getRole(null));
+  } catch (error) {
+    console.error('Get roles error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// A grant is a permission name, or { permission, department_ids } to limit it
+const permissionName = () => Joi.string().valid(...Object.keys(PERMISSIONS))
+  .messages({ 'any.only': '{{#label}} is not a known permission' });
+
+const ROLE_PERMISSIONS_SCHEMA = Joi.array().items(Joi.alternatives().conditional(Joi.string(), {
+  then: permissionName(),
+  otherwise: Joi.object({
+    permission: permissionName().required(),
+    department_ids: Joi.array().items(id()).min(1).allow(null)
+  })
+}));
+
+const ROLE_CREATE_SCHEMA = {
+  body: Joi.object({
+    name: Joi.string().pattern(/^[a-z][a-z0-9_]{1,19}$/).required()
+      .messages({ 'string.pattern.base': 'name must be 2-20 lowercase letters, numbers or underscores' }),
+    description: Joi.string().trim().max(255).allow('', null),
+    permissions: ROLE_PERMISSIONS_SCHEMA
+  })
+};
+
+app.post('/api/roles', authenticateToken, requirePermission('roles.manage'), validate(ROLE_CREATE_SCHEMA), async (req, res) => {
+  try {
+    const { name, description = null, permissions = [] } = req.body;
+
+    const validated = await validateRolePermissions(permissions);
+    if (validated.error) {
+      return res.status(400).json({ error: validated.error });
+    }
+
+    const role = await withTransaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO roles (name, description) VALUES ($1, $2)
+        ON CONFLICT (name) DO NOTHING
+        RETURNING id
+      `, [name, description]);
+
+      if (inserted.rows.length === 0) {
+        return null;
+      }
+
+      await replaceRolePermissions(inserted.rows[0].id, validated.grants, client);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'CREATE', 'role', $2, $3)
+      `, [req.user.id, inserted.rows[0].id, JSON.stringify({ name, permissions: validated.grants })]);
+
+      return getRole(inserted.rows[0].id, client);
+    });
+
+    if (!role) {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+
+    res.status(201).json(role);
+  } catch (error) {
+    console.error('Create role error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const ROLE_UPDATE_SCHEMA = {
+  params: idParams,
+  body: Joi.object({
+    description: ROLE_CREATE_SCHEMA.body.extract('description'),
+    permissions: ROLE_PERMISSIONS_SCHEMA
+  })
+};
+
+app.put('/api/roles/:id', authenticateToken, requirePermission('roles.manage'), validate(ROLE_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const current = await getRole(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (current.name === 'admin') {
+      return res.status(400).json({ error: 'The admin role always has every permission' });
+    }
+
+    const { description, permissions } = req.body;
+    let grants = null;
+
+    if (permissions !== undefined) {
+      const validated = await validateRolePermissions(permissions);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+      grants = validated.grants;
+    }
+
+    const role = await withTransaction(async (client) => {
+      if (description !== undefined) {
+        await client.query(`
+          UPDATE roles SET description = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+        `, [description, current.id]);
+      }
+
+      if (grants) {
+        await replaceRolePermissions(current.id, grants, client);
+        await client.query(`UPDATE roles SET updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [current.id]);
+      }
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+        VALUES ($1, 'UPDATE', 'role', $2, $3)
+      `, [req.user.id, current.id, JSON.stringify({
+        name: current.name,
+        description: description !== undefined ? { from: current.description, to: description } : undefined,
+        permissions: grants ? { from: current.permissions, to: grants } : undefined
+      })]);
+
+      return getRole(current.id, client);
+    });
+
+    res.json(role);
+  } catch (error) {
+    console.error('Update role error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.delete('/api/roles/:id', authenticateToken, requirePermission('roles.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const current = await getRole(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (current.is_system) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const assigned = await pool.query(`SELECT COUNT(*) FROM employees WHERE role = $1`, [current.name]);
+    if (parseInt(assigned.rows[0].count) > 0) {
+      return res.status(409).json({ error: 'Role is still assigned to employees' });
+    }
+
+    await pool.query(`DELETE FROM roles WHERE id = $1`, [current.id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'DELETE', 'role', $2, $3)
+    `, [req.user.id, current.id, JSON.stringify({ name: current.name, permissions: current.permissions })]);
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Department Routes
+const INCLUDE_INACTIVE_SCHEMA = {
+  query: Joi.object({ include_inactive: Joi.boolean().default(false) })
+};
+
+app.get('/api/departments', authenticateToken, validate(INCLUDE_INACTIVE_SCHEMA), async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive && hasPermission(req.user, 'departments.manage');
+
+    const result = await pool.query(`
+      SELECT d.*, p.name as parent_name,
+             h.first_name || ' ' || h.last_name as head_name
+      FROM departments d
+      LEFT JOIN departments p ON d.parent_id = p.id
+      LEFT JOIN employees h ON d.head_id = h.id
+      WHERE d.is_active = true OR $1
+      ORDER BY d.name
+    `, [includeInactive]);
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get departments error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const DEPARTMENT_FIELDS = ['name', 'head_id', 'parent_id'];
+
+// Check head and parent before saving: the head must be an active employee and
+// the parent chain must not lead back to the department itself
+async function validateDepartmentLinks(departmentId, { head_id, parent_id }) {
+  if (head_id) {
+    const head = await pool.query(`SELECT id FROM employees WHERE id = $1 AND is_active = true`, [head_id]);
+    if (head.rows.length === 0) {
+      return 'Department head must be an active employee';
+    }
+  }
+
+  if (parent_id) {
+    const chain = await pool.query(`
+      WITH RECURSIVE chain AS (
+        SELECT id, parent_id, is_active, ARRAY[id] as path FROM departments WHERE id = $1
+        UNION ALL
+        SELECT d.id, d.parent_id, d.is_active, c.path || d.id
+        FROM departments d
+        JOIN chain c ON d.id = c.parent_id
+        WHERE NOT d.id = ANY(c.path)
+      )
+      SELECT id, is_active FROM chain
+    `, [parent_id]);
+
+    const parent = chain.rows.find(row => String(row.id) === String(parent_id));
+    if (!parent || !parent.is_active) {
+      return 'Parent department must be an active department';
+    }
+    if (departmentId && chain.rows.some(row => String(row.id) === String(departmentId))) {
+      return 'A department cannot sit under itself or one of its sub-departments';
+    }
+  }
+
+  return null;
+}
+
+const departmentFields = {
+  name: Joi.string().trim().max(100),
+  head_id: id().allow(null, ''),
+  parent_id: id().allow(null, '')
+};
+
+const DEPARTMENT_CREATE_SCHEMA = {
+  body: Joi.object({
+    ...departmentFields,
+    name: departmentFields.name.required()
+  })
+};
+
+app.post('/api/departments', authenticateToken, requirePermission('departments.manage'), validate(DEPARTMENT_CREATE_SCHEMA), async (req, res) => {
+  try {
+    const { name, head_id = null, parent_id = null } = req.body;
+
+    const linkError = await validateDepartmentLinks(null, { head_id, parent_id });
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO departments (name, head_id, parent_id)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [name.trim(), head_id, parent_id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'department', $2, $3)
+    `, [req.user.id, result.rows[0].id, JSON.stringify(req.body)]);
+
+    res.status(201).json(result.rows[0]);
   } catch (error) {
-    console.error('Check overlapping leave error:', error);
-    return true; // Err on the side of caution
+    console.error('Create department error:', error);
+    respondWithError(res, error, { 23505: 'A department with this name already exists' });
+  }
+});
+
+app.put('/api/departments/:id', authenticateToken, requirePermission('departments.manage'), validate({ params: idParams, body: updateBody(departmentFields) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = DEPARTMENT_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const linkError = await validateDepartmentLinks(id, req.body);
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+
+    const current = await pool.query(`SELECT * FROM departments WHERE id = $1 AND is_active = true`, [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    const setClause = updates.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const result = await pool.query(`
+      UPDATE departments 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${updates.length + 1}
+      RETURNING *
+    `, [...updates.map(field => req.body[field] === '' ? null : req.body[field]), id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'UPDATE', 'department', $2, $3)
+    `, [req.user.id, id, JSON.stringify({
+      changes: diffRecordFields(current.rows[0], Object.fromEntries(updates.map(field => [field, req.body[field]])))
+    })]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update department error:', error);
+    respondWithError(res, error, { 23505: 'A department with this name already exists' });
+  }
+});
+
+// Departments are never deleted: employees, policies and history point at them
+app.delete('/api/departments/:id', authenticateToken, requirePermission('departments.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const inUse = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM employees WHERE department_id = $1 AND is_active = true)::INTEGER as employees,
+        (SELECT COUNT(*) FROM departments WHERE parent_id = $1 AND is_active = true)::INTEGER as sub_departments
+    `, [id]);
+    const { employees, sub_departments } = inUse.rows[0];
+
+    if (employees > 0 || sub_departments > 0) {
+      return res.status(409).json({
+        error: 'Move active employees and sub-departments out of this department before deactivating it',
+        employees,
+        sub_departments
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE departments SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'DEACTIVATE', 'department', $2)
+    `, [req.user.id, id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Delete department error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Leave Types Routes
+app.get('/api/leave-types', authenticateToken, validate(INCLUDE_INACTIVE_SCHEMA), async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive && hasPermission(req.user, 'leave_types.manage');
+
+    const result = await pool.query(`
+      SELECT * FROM leave_types WHERE is_active = true OR $1 ORDER BY name
+    `, [includeInactive]);
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get leave types error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Edits only affect requests submitted afterwards: each request stores the
+// rules it was checked against in leave_type_rules. The accrual method is
+// fixed once balances exist because it drives how those balances accrue.
+const LEAVE_TYPE_FIELDS = [
+  'name', 'description', 'max_days', 'requires_approval', 'requires_document',
+  'carry_forward_cap', 'carry_forward_expiry', 'accrual_method', 'max_advance_days',
+  'is_blackout_exempt', 'is_active'
+];
+const ACCRUAL_METHODS = ['annual', 'pro_rata', 'monthly'];
+
+const leaveTypeFields = {
+  name: Joi.string().trim().max(50),
+  description: Joi.string().trim().allow('', null),
+  max_days: Joi.number().integer().min(0).allow(null),
+  requires_approval: Joi.boolean(),
+  requires_document: Joi.boolean(),
+  carry_forward_cap: Joi.number().min(0).max(999),
+  carry_forward_expiry: Joi.string().pattern(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+    .messages({ 'string.pattern.base': 'carry_forward_expiry must be in MM-DD format' }),
+  accrual_method: Joi.string().valid(...ACCRUAL_METHODS),
+  max_advance_days: Joi.number().min(0).max(999),
+  is_blackout_exempt: Joi.boolean()
+};
+
+const LEAVE_TYPE_CREATE_SCHEMA = {
+  body: Joi.object({
+    ...leaveTypeFields,
+    name: leaveTypeFields.name.required()
+  })
+};
+
+app.post('/api/leave-types', authenticateToken, requirePermission('leave_types.manage'), validate(LEAVE_TYPE_CREATE_SCHEMA), async (req, res) => {
+  try {
+    const {
+      name, description = null, max_days = null, requires_approval = true, requires_document = false,
+      carry_forward_cap = 0, carry_forward_expiry = '03-31', accrual_method = 'annual', max_advance_days = 0,
+      is_blackout_exempt = false
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO leave_types (
+        name, description, max_days, requires_approval, requires_document,
+        carry_forward_cap, carry_forward_expiry, accrual_method, max_advance_days, is_blackout_exempt
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      name.trim(), description, max_days, requires_approval, requires_document,
+      carry_forward_cap, carry_forward_expiry, accrual_method, max_advance_days, is_blackout_exempt
+    ]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'leave_type', $2, $3)
+    `, [req.user.id, result.rows[0].id, JSON.stringify(req.body)]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create leave type error:', error);
+    respondWithError(res, error, { 23505: 'A leave type with this name already exists' });
+  }
+});
+
+const LEAVE_TYPE_UPDATE_SCHEMA = {
+  params: idParams,
+  body: updateBody({ ...leaveTypeFields, is_active: Joi.boolean() })
+};
+
+app.put('/api/leave-types/:id', authenticateToken, requirePermission('leave_types.manage'), validate(LEAVE_TYPE_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = LEAVE_TYPE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const current = await pool.query(`SELECT * FROM leave_types WHERE id = $1`, [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+
+    if (req.body.accrual_method !== undefined && req.body.accrual_method !== current.rows[0].accrual_method) {
+      const balances = await pool.query(`SELECT 1 FROM leave_balances WHERE leave_type_id = $1 LIMIT 1`, [id]);
+      if (balances.rows.length > 0) {
+        return res.status(409).json({ error: 'The accrual method cannot change once balances exist; create a new leave type instead' });
+      }
+    }
+
+    const setClause = updates.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const result = await pool.query(`
+      UPDATE leave_types 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${updates.length + 1}
+      RETURNING *
+    `, [...updates.map(field => req.body[field]), id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'UPDATE', 'leave_type', $2, $3)
+    `, [req.user.id, id, JSON.stringify({
+      changes: diffRecordFields(current.rows[0], Object.fromEntries(updates.map(field => [field, req.body[field]])))
+    })]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update leave type error:', error);
+    respondWithError(res, error, { 23505: 'A leave type with this name already exists' });
+  }
+});
+
+// Unused leave types are deleted; anything still referenced by requests,
+// balances, policies or chains is deactivated instead
+app.delete('/api/leave-types/:id', authenticateToken, requirePermission('leave_types.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    let result;
+    let action = 'DELETE';
+
+    try {
+      result = await pool.query(`DELETE FROM leave_types WHERE id = $1 RETURNING *`, [id]);
+    } catch (error) {
+      if (error.code !== '23503') throw error;
+
+      action = 'DEACTIVATE';
+      result = await pool.query(`
+        UPDATE leave_types SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id]);
+    }
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, $2, 'leave_type', $3, $4)
+    `, [req.user.id, action, id, JSON.stringify({ name: result.rows[0].name })]);
+
+    res.json({ ...result.rows[0], deleted: action === 'DELETE' });
+  } catch (error) {
+    console.error('Delete leave type error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Leave Policy Routes
+const LEAVE_POLICY_FIELDS = [
+  'leave_type_id', 'name', 'employee_id', 'department_id', 'role',
+  'min_service_years', 'max_service_years', 'base_days',
+  'service_step_years', 'service_step_days', 'max_days'
+];
+
+// The legacy *_leave_entitlement fields no longer drive balances; when they
+// are sent explicitly they become individual entitlements for their leave type
+async function legacyEntitlementEntries(body, db = pool) {
+  const entries = [];
+  for (const [field, leaveTypeName] of Object.entries(LEGACY_ENTITLEMENT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const leaveType = await db.query(`SELECT id FROM leave_types WHERE name = $1`, [leaveTypeName]);
+    if (leaveType.rows.length > 0) {
+      entries.push({ leave_type_id: leaveType.rows[0].id, days: body[field] });
+    }
+  }
+  return entries;
+}
+
+// Accepts `entitlements: [{ leave_type_id, days }]` and, for compatibility,
+// the legacy *_leave_entitlement fields when they are sent explicitly
+async function createEmployeeEntitlementPolicies(employeeId, body, entitlements, userId, db = pool) {
+  const overrides = [...entitlements, ...await legacyEntitlementEntries(body, db)];
+
+  for (const override of overrides) {
+    await db.query(`
+      INSERT INTO leave_policies (leave_type_id, name, employee_id, base_days, created_by)
+      VALUES ($1, 'Individual entitlement', $2, $3, $4)
+    `, [override.leave_type_id, employeeId, override.days, userId]);
   }
 }
 
-async function updateLeaveBalance(employeeId, leaveTypeId, usedDays) {
+app.get('/api/leave-policies', authenticateToken, requirePermission('leave_policies.manage'), validate({ query: Joi.object({ leave_type_id: id(), employee_id: id() }) }), async (req, res) => {
+  try {
+    const { leave_type_id, employee_id } = req.query;
+
+    let query = `
+      SELECT lp.*, lt.name as leave_type_name, d.name as department_name,
+             e.first_name || ' ' || e.last_name as employee_name
+      FROM leave_policies lp
+      JOIN leave_types lt ON lp.leave_type_id = lt.id
+      LEFT JOIN departments d ON lp.department_id = d.id
+      LEFT JOIN employees e ON lp.employee_id = e.id
+      WHERE lp.is_active = true
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    if (leave_type_id) {
+      paramCount++;
+      query += ` AND lp.leave_type_id = $${paramCount}`;
+      params.push(leave_type_id);
+    }
+
+    if (employee_id) {
+      paramCount++;
+      query += ` AND lp.employee_id = $${paramCount}`;
+      params.push(employee_id);
+    }
+
+    query += ` ORDER BY lt.name, lp.employee_id NULLS FIRST, lp.department_id NULLS FIRST, lp.role NULLS FIRST, lp.min_service_years`;
+
+    const result = await pool.query(query, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get leave policies error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const leavePolicyFields = {
+  leave_type_id: id(),
+  name: Joi.string().trim().max(100).allow('', null),
+  employee_id: id().allow(null),
+  department_id: id().allow(null),
+  role: Joi.string().max(20).allow(null),
+  min_service_years: Joi.number().integer().min(0),
+  max_service_years: Joi.number().integer().min(0).allow(null),
+  base_days: Joi.number().min(0).max(999),
+  service_step_years: Joi.number().integer().min(1).allow(null),
+  service_step_days: Joi.number().min(0).max(999),
+  max_days: Joi.number().min(0).max(999).allow(null)
+};
+
+const LEAVE_POLICY_CREATE_SCHEMA = {
+  body: Joi.object(leavePolicyFields).fork(['leave_type_id', 'base_days'], field => field.required())
+};
+
+app.post('/api/leave-policies', authenticateToken, requirePermission('leave_policies.manage'), validate(LEAVE_POLICY_CREATE_SCHEMA), async (req, res) => {
+  try {
+    const {
+      leave_type_id, name, employee_id = null, department_id = null, role = null,
+      min_service_years = 0, max_service_years = null, base_days,
+      service_step_years = null, service_step_days = 0, max_days = null
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO leave_policies (
+        leave_type_id, name, employee_id, department_id, role,
+        min_service_years, max_service_years, base_days,
+        service_step_years, service_step_days, max_days, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      leave_type_id, name, employee_id, department_id, role,
+      min_service_years, max_service_years, base_days,
+      service_step_years, service_step_days, max_days, req.user.id
+    ]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'leave_policy', $2, $3)
+    `, [req.user.id, result.rows[0].id, JSON.stringify(req.body)]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create leave policy error:', error);
+    respondWithError(res, error, { 23503: 'Invalid leave type, department or employee' });
+  }
+});
+
+// Policy changes apply to balances opened afterwards, not existing ones
+app.put('/api/leave-policies/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams, body: updateBody(leavePolicyFields) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = LEAVE_POLICY_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const setClause = updates.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const result = await pool.query(`
+      UPDATE leave_policies 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${updates.length + 1} AND is_active = true
+      RETURNING *
+    `, [...updates.map(field => req.body[field]), id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave policy not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'UPDATE', 'leave_policy', $2, $3)
+    `, [req.user.id, id, JSON.stringify(req.body)]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update leave policy error:', error);
+    respondWithError(res, error, { 23503: 'Invalid leave type, department or employee' });
+  }
+});
+
+app.delete('/api/leave-policies/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      UPDATE leave_policies SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave policy not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'DEACTIVATE', 'leave_policy', $2)
+    `, [req.user.id, id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Delete leave policy error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Preview what an employee would be allocated under the current policies
+app.get('/api/employees/:id/entitlements', authenticateToken, requirePermission('employees.view'), validate({ params: idParams, query: STATEMENT_SCHEMA.query }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { year } = req.query;
+
+    if (!await employeeInPermissionScope(req.user, 'employees.view', id)) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const entitlements = await getEmployeeLeaveEntitlements(id, year);
+    if (!entitlements) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ employee_id: id, year, entitlements });
+  } catch (error) {
+    console.error('Preview entitlements error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Staffing Rule Routes
+const STAFFING_RULE_FIELDS = ['name', 'department_id', 'manager_id', 'min_staff', 'max_concurrent_absences', 'enforcement'];
+
+app.get('/api/staffing-rules', authenticateToken, requirePermission('leave.view_team', 'leave.view_all', 'leave_policies.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT sr.*, d.name as department_name,
+             m.first_name || ' ' || m.last_name as manager_name
+      FROM staffing_rules sr
+      LEFT JOIN departments d ON sr.department_id = d.id
+      LEFT JOIN employees m ON sr.manager_id = m.id
+      WHERE sr.is_active = true
+      ORDER BY d.name NULLS FIRST, sr.name
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get staffing rules error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const staffingRuleFields = {
+  name: Joi.string().trim().max(100),
+  department_id: id().allow(null),
+  manager_id: id().allow(null),
+  min_staff: Joi.number().integer().min(0).allow(null),
+  max_concurrent_absences: Joi.number().integer().min(0).allow(null),
+  enforcement: Joi.string().valid('block', 'warn')
+};
+
+// A rule needs at least one of the two limits
+const STAFFING_RULE_CREATE_SCHEMA = {
+  body: Joi.object({
+    ...staffingRuleFields,
+    name: staffingRuleFields.name.required(),
+    min_staff: Joi.number().integer().min(0),
+    max_concurrent_absences: Joi.number().integer().min(0)
+  }).or('min_staff', 'max_concurrent_absences')
+};
+
+app.post('/api/staffing-rules', authenticateToken, requirePermission('leave_policies.manage'), validate(STAFFING_RULE_CREATE_SCHEMA), async (req, res) => {
+  try {
+    const {
+      name, department_id = null, manager_id = null,
+      min_staff = null, max_concurrent_absences = null, enforcement = 'warn'
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO staffing_rules (name, department_id, manager_id, min_staff, max_concurrent_absences, enforcement, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [name, department_id, manager_id, min_staff, max_concurrent_absences, enforcement, req.user.id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'staffing_rule', $2, $3)
+    `, [req.user.id, result.rows[0].id, JSON.stringify(req.body)]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create staffing rule error:', error);
+    respondWithError(res, error, { 23503: 'Invalid department or manager' });
+  }
+});
+
+app.put('/api/staffing-rules/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams, body: updateBody(staffingRuleFields) }), async (req, res) => {
   try {
+    const { id } = req.params;
+
+    const updates = STAFFING_RULE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const setClause = updates.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const result = await pool.query(`
+      UPDATE staffing_rules 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${updates.length + 1} AND is_active = true
+      RETURNING *
+    `, [...updates.map(field => req.body[field]), id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Staffing rule not found' });
+    }
+
     await pool.query(`
-      UPDATE leave_balances 
-      SET used_days = used_days + $1, 
-          remaining_days = remaining_days - $1,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE employee_id = $2 AND leave_type_id = $3 AND year = $4
-    `, [usedDays, employeeId, leaveTypeId, new Date().getFullYear()]);
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'UPDATE', 'staffing_rule', $2, $3)
+    `, [req.user.id, id, JSON.stringify(req.body)]);
+
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Update leave balance error:', error);
+    console.error('Update staffing rule error:', error);
+    respondWithError(res, error, {
+      23503: 'Invalid department or manager',
+      23514: 'A minimum staff or maximum absence limit is required'
+    });
   }
-}
+});
 
-async function initializeEmployeeLeaveBalances(employeeId) {
+app.delete('/api/staffing-rules/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams }), async (req, res) => {
   try {
-    const currentYear = new Date().getFullYear();
-    
-    // Get employee's entitlements
-    const employee = await pool.query(`
-      SELECT annual_leave_entitlement, sick_leave_entitlement, emergency_leave_entitlement
-      FROM employees WHERE id = $1
-    `, [employeeId]);
-
-    if (employee.rows.length === 0) return;
+    const { id } = req.params;
 
-    const entitlements = employee.rows[0];
+    const result = await pool.query(`
+      UPDATE staffing_rules SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [id]);
 
-    // Get leave types
-    const leaveTypes = await pool.query(`
-      SELECT id, name FROM leave_types WHERE is_active = true
-    `);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Staffing rule not found' });
+    }
 
-    // Initialize balances
-    for (const leaveType of leaveTypes.rows) {
-      let allocatedDays = 0;
-      
-      switch (leaveType.name.toLowerCase()) {
-        case 'annual leave':
-          allocatedDays = entitlements.annual_leave_entitlement;
-          break;
-        case 'sick leave':
-          allocatedDays = entitlements.sick_leave_entitlement;
-          break;
-        case 'emergency leave':
-          allocatedDays = entitlements.emergency_leave_entitlement;
-          break;
-        default:
-          allocatedDays = 0;
-      }
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'DEACTIVATE', 'staffing_rule', $2)
+    `, [req.user.id, id]);
 
-      await pool.query(`
-        INSERT INTO leave_balances (employee_id, leave_type_id, allocated_days, remaining_days, year)
-        VALUES ($1, $2, $3, $3, $4)
-        ON CONFLICT (employee_id, leave_type_id, year) DO NOTHING
-      `, [employeeId, leaveType.id, allocatedDays, currentYear]);
-    }
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Initialize leave balances error:', error);
+    console.error('Delete staffing rule error:', error);
+    respondWithError(res, error);
   }
-}
+});
 
-// Reports Routes
-app.get('/api/reports/leave-summary', authenticateToken, authorize(['hr', 'admin']), async (req, res) => {
+// Blackout Period Routes
+const BLACKOUT_PERIOD_FIELDS = ['name', 'reason', 'start_date', 'end_date', 'department_id', 'leave_type_id', 'exempt_urgent_leave'];
+
+app.get('/api/blackout-periods', authenticateToken, validate({ query: Joi.object({ year: year() }) }), async (req, res) => {
   try {
-    const { start_date, end_date, department_id } = req.query;
-    
+    const { year } = req.query;
+
     let query = `
-      SELECT 
-        d.name as department,
-        lt.name as leave_type,
-        COUNT(lr.id) as total_requests,
-        COUNT(CASE WHEN lr.status = 'approved' THEN 1 END) as approved_requests,
-        COUNT(CASE WHEN lr.status = 'pending' THEN 1 END) as pending_requests,
-        COUNT(CASE WHEN lr.status = 'rejected' THEN 1 END) as rejected_requests,
-        COALESCE(SUM(CASE WHEN lr.status = 'approved' THEN lr.total_days END), 0) as total_days_approved
-      FROM leave_requests lr
-      JOIN employees e ON lr.employee_id = e.id
-      JOIN departments d ON e.department_id = d.id
-      JOIN leave_types lt ON lr.leave_type_id = lt.id
-      WHERE 1=1
+      SELECT bp.*, d.name as department_name, lt.name as leave_type_name
+      FROM blackout_periods bp
+      LEFT JOIN departments d ON bp.department_id = d.id
+      LEFT JOIN leave_types lt ON bp.leave_type_id = lt.id
+      WHERE bp.is_active = true
     `;
-    
     const params = [];
-    let paramCount = 0;
-    
-    if (start_date) {
-      paramCount++;
-      query += ` AND lr.applied_date >= ${paramCount}`;
-      params.push(start_date);
-    }
-    
-    if (end_date) {
-      paramCount++;
-      query += ` AND lr.applied_date <= ${paramCount}`;
-      params.push(end_date);
-    }
-    
-    if (department_id) {
-      paramCount++;
-      query += ` AND e.department_id = ${paramCount}`;
-      params.push(department_id);
+
+    if (year) {
+      params.push(year);
+      query += ` AND EXTRACT(YEAR FROM bp.start_date) <= $1 AND EXTRACT(YEAR FROM bp.end_date) >= $1`;
     }
-    
-    query += `
-      GROUP BY d.name, lt.name
-      ORDER BY d.name, lt.name
-    `;
-    
+
+    query += ` ORDER BY bp.start_date`;
+
     const result = await pool.query(query, params);
-    
+
     res.json(result.rows);
   } catch (error) {
-    console.error('Get leave summary report error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Get blackout periods error:', error);
+    respondWithError(res, error);
   }
 });
 
-app.get('/api/reports/employee-leave-history', authenticateToken, authorize(['hr', 'admin']), async (req, res) => {
+const blackoutPeriodFields = {
+  name: Joi.string().trim().max(100),
+  reason: Joi.string().trim().allow('', null),
+  start_date: dateOnly(),
+  end_date: dateOnly(),
+  department_id: id().allow(null),
+  leave_type_id: id().allow(null),
+  exempt_urgent_leave: Joi.boolean()
+};
+
+const BLACKOUT_PERIOD_CREATE_SCHEMA = {
+  body: Joi.object(blackoutPeriodFields).fork(['name', 'start_date', 'end_date'], field => field.required())
+};
+
+app.post('/api/blackout-periods', authenticateToken, requirePermission('leave_policies.manage'), validate(BLACKOUT_PERIOD_CREATE_SCHEMA), async (req, res) => {
   try {
-    const { employee_id, year = new Date().getFullYear() } = req.query;
-    
-    if (!employee_id) {
-      return res.status(400).json({ error: 'Employee ID is required' });
+    const {
+      name, reason, start_date, end_date,
+      department_id = null, leave_type_id = null, exempt_urgent_leave = true
+    } = req.body;
+
+    if (start_date > end_date) {
+      return res.status(400).json({ error: 'Start date cannot be after end date' });
     }
-    
+
     const result = await pool.query(`
-      SELECT 
-        lr.*,
-        lt.name as leave_type_name,
-        approver.first_name || ' ' || approver.last_name as approved_by_name
-      FROM leave_requests lr
-      JOIN leave_types lt ON lr.leave_type_id = lt.id
-      LEFT JOIN employees approver ON lr.approved_by = approver.id
-      WHERE lr.employee_id = $1 AND EXTRACT(YEAR FROM lr.applied_date) = $2
-      ORDER BY lr.applied_date DESC
-    `, [employee_id, year]);
-    
-    // Get employee info
-    const employeeResult = await pool.query(`
-      SELECT e.first_name, e.last_name, e.employee_id, d.name as department
-      FROM employees e
-      JOIN departments d ON e.department_id = d.id
-      WHERE e.id = $1
-    `, [employee_id]);
-    
-    res.json({
-      employee: employeeResult.rows[0],
-      leave_history: result.rows
-    });
+      INSERT INTO blackout_periods (
+        name, reason, start_date, end_date, department_id, leave_type_id, exempt_urgent_leave, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [name, reason, start_date, end_date, department_id, leave_type_id, exempt_urgent_leave, req.user.id]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'blackout_period', $2, $3)
+    `, [req.user.id, result.rows[0].id, JSON.stringify(req.body)]);
+
+    res.status(201).json(result.rows[0]);
   } catch (error) {
-    console.error('Get employee leave history error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Create blackout period error:', error);
+    respondWithError(res, error, { 23503: 'Invalid department or leave type' });
   }
 });
 
-// Department Routes
-app.get('/api/departments', authenticateToken, async (req, res) => {
+app.put('/api/blackout-periods/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams, body: updateBody(blackoutPeriodFields) }), async (req, res) => {
   try {
+    const { id } = req.params;
+
+    const updates = BLACKOUT_PERIOD_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const setClause = updates.map((field, i) => `${field} = $${i + 1}`).join(', ');
     const result = await pool.query(`
-      SELECT * FROM departments ORDER BY name
-    `);
-    
-    res.json(result.rows);
+      UPDATE blackout_periods 
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${updates.length + 1} AND is_active = true
+      RETURNING *
+    `, [...updates.map(field => req.body[field]), id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Blackout period not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'UPDATE', 'blackout_period', $2, $3)
+    `, [req.user.id, id, JSON.stringify(req.body)]);
+
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Get departments error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Update blackout period error:', error);
+    respondWithError(res, error, {
+      23503: 'Invalid department or leave type',
+      23514: 'Start date cannot be after end date'
+    });
   }
 });
 
-// Leave Types Routes
-app.get('/api/leave-types', authenticateToken, async (req, res) => {
+app.delete('/api/blackout-periods/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams }), async (req, res) => {
   try {
+    const { id } = req.params;
+
     const result = await pool.query(`
-      SELECT * FROM leave_types WHERE is_active = true ORDER BY name
-    `);
-    
+      UPDATE blackout_periods SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Blackout period not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'DEACTIVATE', 'blackout_period', $2)
+    `, [req.user.id, id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Delete blackout period error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Approval Chain Routes
+app.get('/api/approval-chains', authenticateToken, requirePermission('leave_policies.manage'), validate({ query: Joi.object({ leave_type_id: id() }) }), async (req, res) => {
+  try {
+    const { leave_type_id } = req.query;
+
+    const params = [];
+    let query = `
+      SELECT ac.*, lt.name as leave_type_name,
+             COALESCE(json_agg(json_build_object('stage_order', s.stage_order, 'approver', s.approver)
+               ORDER BY s.stage_order) FILTER (WHERE s.id IS NOT NULL), '[]') as stages
+      FROM approval_chains ac
+      JOIN leave_types lt ON ac.leave_type_id = lt.id
+      LEFT JOIN approval_chain_stages s ON s.chain_id = ac.id
+      WHERE ac.is_active = true
+    `;
+
+    if (leave_type_id) {
+      params.push(leave_type_id);
+      query += ` AND ac.leave_type_id = $1`;
+    }
+
+    query += ` GROUP BY ac.id, lt.name ORDER BY lt.name, ac.min_days`;
+
+    const result = await pool.query(query, params);
+
     res.json(result.rows);
   } catch (error) {
-    console.error('Get leave types error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Get approval chains error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const APPROVAL_CHAIN_SCHEMA = {
+  body: Joi.object({
+    leave_type_id: id().required(),
+    name: Joi.string().trim().max(100).required(),
+    min_days: Joi.number().min(0).max(999),
+    stages: Joi.array().items(Joi.string().valid(...APPROVAL_STAGE_APPROVERS)).min(1).required()
+  })
+};
+
+app.post('/api/approval-chains', authenticateToken, requirePermission('leave_policies.manage'), validate(APPROVAL_CHAIN_SCHEMA), async (req, res) => {
+  const { leave_type_id, name, min_days = 0, stages } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const chainResult = await client.query(`
+      INSERT INTO approval_chains (leave_type_id, name, min_days)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [leave_type_id, name, min_days]);
+    const chain = chainResult.rows[0];
+
+    for (let i = 0; i < stages.length; i++) {
+      await client.query(`
+        INSERT INTO approval_chain_stages (chain_id, stage_order, approver)
+        VALUES ($1, $2, $3)
+      `, [chain.id, i + 1, stages[i]]);
+    }
+
+    await client.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+      VALUES ($1, 'CREATE', 'approval_chain', $2, $3)
+    `, [req.user.id, chain.id, JSON.stringify({ leave_type_id, min_days, stages })]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      ...chain,
+      stages: stages.map((approver, i) => ({ stage_order: i + 1, approver }))
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create approval chain error:', error);
+    respondWithError(res, error, {
+      23505: 'An active chain with this day threshold already exists for the leave type',
+      23503: 'Invalid leave type'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Deactivating a chain leaves requests already routed through it unchanged
+app.delete('/api/approval-chains/:id', authenticateToken, requirePermission('leave_policies.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      UPDATE approval_chains SET is_active = false
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Approval chain not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'DEACTIVATE', 'approval_chain', $2)
+    `, [req.user.id, id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Delete approval chain error:', error);
+    respondWithError(res, error);
   }
 });
 
 // Holidays Routes
-app.get('/api/holidays', authenticateToken, async (req, res) => {
+app.get('/api/holidays', authenticateToken, validate({ query: Joi.object({ year: year() }) }), async (req, res) => {
   try {
     const { year = new Date().getFullYear() } = req.query;
     
@@ -1042,18 +5549,23 @@ app.get('/api/holidays', authenticateToken, async (req, res) => {
     res.json(result.rows);
   } catch (error) {
     console.error('Get holidays error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
   }
 });
 
-app.post('/api/holidays', authenticateToken, authorize(['hr', 'admin']), async (req, res) => {
+const HOLIDAY_SCHEMA = {
+  body: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    date: dateOnly().required(),
+    is_recurring: Joi.boolean(),
+    description: Joi.string().trim().allow('', null)
+  })
+};
+
+app.post('/api/holidays', authenticateToken, requirePermission('holidays.manage'), validate(HOLIDAY_SCHEMA), async (req, res) => {
   try {
     const { name, date, is_recurring = false, description } = req.body;
     
-    if (!name || !date) {
-      return res.status(400).json({ error: 'Name and date are required' });
-    }
-    
     const result = await pool.query(`
       INSERT INTO holidays (name, date, is_recurring, description)
       VALUES ($1, $2, $3, $4)
@@ -1069,17 +5581,225 @@ app.post('/api/holidays', authenticateToken, authorize(['hr', 'admin']), async (
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Create holiday error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
+  }
+});
+
+// Audit Log Routes
+const AUDIT_LOG_EXPORT_COLUMNS = [
+  { header: 'Sequence', key: 'sequence_number', type: 'number' },
+  { header: 'Time', key: 'created_at', type: 'datetime' },
+  { header: 'User', key: 'user_name' },
+  { header: 'User Email', key: 'user_email' },
+  { header: 'Action', key: 'action' },
+  { header: 'Resource', key: 'resource' },
+  { header: 'Resource ID', key: 'resource_id' },
+  { header: 'Details', key: 'details' },
+  { header: 'IP Address', key: 'ip_address' },
+  { header: 'User Agent', key: 'user_agent' },
+  { header: 'Hash', key: 'hash' }
+];
+
+const AUDIT_LOG_SCHEMA = {
+  query: Joi.object({
+    ...paginationQuery,
+    limit: paginationQuery.limit.default(50),
+    user_id: id(),
+    action: Joi.string().max(100),
+    resource: Joi.string().max(50),
+    resource_id: id(),
+    start_date: dateOnly(),
+    end_date: dateOnly(),
+    format: formatQuery
+  })
+};
+
+app.get('/api/audit-logs', authenticateToken, requirePermission('audit.view'), validate(AUDIT_LOG_SCHEMA), async (req, res) => {
+  try {
+    const {
+      user_id, action, resource, resource_id, start_date, end_date,
+      page = 1, limit = 50, format = 'json'
+    } = req.query;
+
+    let where = ` WHERE 1=1`;
+    const params = [];
+    const filters = [
+      [user_id, 'al.user_id = $'],
+      [action, 'al.action = $'],
+      [resource, 'al.resource = $'],
+      [resource_id, 'al.resource_id = $'],
+      [start_date, 'al.created_at >= $'],
+      [end_date, `al.created_at < $::DATE + INTERVAL '1 day'`]
+    ];
+
+    for (const [value, condition] of filters) {
+      if (value) {
+        params.push(value);
+        where += ` AND ${condition.replace('$', `$${params.length}`)}`;
+      }
+    }
+
+    const query = `
+      SELECT al.*, e.first_name || ' ' || e.last_name as user_name, e.email as user_email
+      FROM audit_logs al
+      LEFT JOIN employees e ON al.user_id = e.id
+      ${where}
+      ORDER BY al.created_at DESC, al.id DESC
+    `;
+
+    if (format !== 'json') {
+      return streamExport(res, format, {
+        filename: 'audit-log',
+        sheetName: 'Audit Log',
+        columns: AUDIT_LOG_EXPORT_COLUMNS,
+        query,
+        params
+      });
+    }
+
+    const result = await pool.query(
+      `${query} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+    const count = await pool.query(`SELECT COUNT(*) FROM audit_logs al ${where}`, params);
+
+    res.json({
+      audit_logs: result.rows,
+      pagination: {
+        page,
+        limit,
+        total: parseInt(count.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Walk the chain in sequence order and report the first entry whose hash no
+// longer matches its contents, whose prev_hash doesn't match the entry before
+// it, or that follows a gap left by a deleted entry. Entries written before
+// chaining was introduced have no sequence number and are only counted.
+app.get('/api/audit-logs/verify', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const brokenLink = await pool.query(`
+      WITH chain AS (
+        SELECT al.id, al.sequence_number, al.prev_hash, al.hash, al.action, al.resource,
+               al.resource_id, al.created_at,
+               audit_log_hash(al) as expected_hash,
+               LAG(al.hash) OVER (ORDER BY al.sequence_number) as previous_hash,
+               LAG(al.sequence_number) OVER (ORDER BY al.sequence_number) as previous_sequence
+        FROM audit_logs al
+        WHERE al.sequence_number IS NOT NULL
+      )
+      SELECT *,
+             CASE
+               WHEN sequence_number <> COALESCE(previous_sequence, 0) + 1 THEN 'missing_entries'
+               WHEN prev_hash IS DISTINCT FROM previous_hash THEN 'previous_hash_mismatch'
+               ELSE 'content_modified'
+             END as problem
+      FROM chain
+      WHERE hash IS DISTINCT FROM expected_hash
+         OR prev_hash IS DISTINCT FROM previous_hash
+         OR sequence_number <> COALESCE(previous_sequence, 0) + 1
+      ORDER BY sequence_number
+      LIMIT 1
+    `);
+
+    const counts = await pool.query(`
+      SELECT COUNT(sequence_number) as chained, COUNT(*) - COUNT(sequence_number) as unchained,
+             MAX(sequence_number) as last_sequence
+      FROM audit_logs
+    `);
+
+    const broken = brokenLink.rows[0] || null;
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, details)
+      VALUES ($1, 'VERIFY', 'audit_log', $2)
+    `, [req.user.id, JSON.stringify({ valid: !broken, first_broken_sequence: broken ? broken.sequence_number : null })]);
+
+    res.json({
+      valid: !broken,
+      chained_entries: parseInt(counts.rows[0].chained),
+      unchained_entries: parseInt(counts.rows[0].unchained),
+      last_sequence_number: counts.rows[0].last_sequence,
+      first_broken_link: broken && {
+        id: broken.id,
+        sequence_number: broken.sequence_number,
+        problem: broken.problem,
+        action: broken.action,
+        resource: broken.resource,
+        resource_id: broken.resource_id,
+        created_at: broken.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Team Calendar Route
+// Holders of leave.view_all see everyone (in their departments, if limited);
+// otherwise the calendar covers the user's reporting line.
+async function getCalendarVisibility(user, depth) {
+  if (hasPermission(user, 'leave.view_all')) {
+    return { teamIds: null, departmentScope: permissionScope(user, 'leave.view_all') };
+  }
+  return { teamIds: await getVisibleTeamIds(user, depth), departmentScope: null };
+}
+
+const TEAM_CALENDAR_SCHEMA = {
+  query: Joi.object({
+    month: Joi.number().integer().min(1).max(12),
+    year: year(),
+    depth: depthQuery,
+    include: Joi.string().valid('blackouts')
+  })
+};
+
+// Blackout periods that overlap the calendar's year (or month) and apply to
+// the departments it shows
+async function getCalendarBlackouts(user, { year, month, teamIds, departmentScope }) {
+  let query = `
+    SELECT 'blackout' as type, bp.id, bp.name, bp.reason, bp.start_date, bp.end_date,
+           bp.exempt_urgent_leave, d.name as department, lt.name as leave_type
+    FROM blackout_periods bp
+    LEFT JOIN departments d ON bp.department_id = d.id
+    LEFT JOIN leave_types lt ON bp.leave_type_id = lt.id
+    WHERE bp.is_active = true
+      AND bp.start_date <= (make_date($1::INTEGER, COALESCE($2::INTEGER, 12), 1) + INTERVAL '1 month' - INTERVAL '1 day')
+      AND bp.end_date >= make_date($1::INTEGER, COALESCE($2::INTEGER, 1), 1)
+  `;
+  const params = [year, month || null];
+
+  if (teamIds) {
+    query += ` AND (bp.department_id IS NULL OR bp.department_id IN (
+      SELECT department_id FROM employees WHERE id = $3 OR id = ANY($4)
+    ))`;
+    params.push(user.id, teamIds);
   }
-});
 
-// Team Calendar Route
-app.get('/api/team-calendar', authenticateToken, authorize(['manager', 'hr', 'admin']), async (req, res) => {
+  if (departmentScope) {
+    params.push(departmentScope);
+    query += ` AND (bp.department_id IS NULL OR bp.department_id = ANY($${params.length}))`;
+  }
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+app.get('/api/team-calendar', authenticateToken, requirePermission('leave.view_team', 'leave.view_all'), validate(TEAM_CALENDAR_SCHEMA), async (req, res) => {
   try {
     const { month, year = new Date().getFullYear() } = req.query;
+
+    const { teamIds, departmentScope } = await getCalendarVisibility(req.user, req.query.depth || null);
     
     let query = `
       SELECT 
+        'leave' as type,
         lr.start_date, 
         lr.end_date,
         lr.duration,
@@ -1101,32 +5821,278 @@ app.get('/api/team-calendar', authenticateToken, authorize(['manager', 'hr', 'ad
     if (month) {
       paramCount++;
       query += ` AND (
-        EXTRACT(MONTH FROM lr.start_date) = ${paramCount} OR
-        EXTRACT(MONTH FROM lr.end_date) = ${paramCount}
+        EXTRACT(MONTH FROM lr.start_date) = $${paramCount} OR
+        EXTRACT(MONTH FROM lr.end_date) = $${paramCount}
       )`;
       params.push(month);
     }
     
-    // Filter by manager's team if user is manager
-    if (req.user.role === 'manager') {
+    // Filter by manager's reporting line (and lines delegated to them) if user is manager
+    if (teamIds) {
       paramCount++;
-      query += ` AND e.manager_id = ${paramCount}`;
-      params.push(req.user.id);
+      query += ` AND lr.employee_id = ANY($${paramCount})`;
+      params.push(teamIds);
+    }
+
+    if (departmentScope) {
+      paramCount++;
+      query += ` AND e.department_id = ANY($${paramCount})`;
+      params.push(departmentScope);
     }
     
     query += ` ORDER BY lr.start_date`;
     
     const result = await pool.query(query, params);
-    
+
+    // Blackouts are opt-in so existing consumers keep getting only leave
+    if (req.query.include === 'blackouts') {
+      const blackouts = await getCalendarBlackouts(req.user, { year, month, teamIds, departmentScope });
+      const entries = [...result.rows, ...blackouts]
+        .sort((a, b) => a.start_date - b.start_date);
+      return res.json(entries);
+    }
+
     res.json(result.rows);
   } catch (error) {
     console.error('Get team calendar error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
+  }
+});
+
+// Calendar feeds
+// Calendar clients can't send a bearer token, so each user gets a long-lived
+// feed token embedded in the URL. Only its SHA-256 hash is stored; issuing a
+// new token revokes the old one.
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildFeedUrls(req, token) {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar/${token}`;
+  return {
+    personal: `${base}/personal.ics`,
+    team: `${base}/team.ics`,
+    holidays: `${base}/holidays.ics`
+  };
+}
+
+const authenticateFeedToken = async (req, res, next) => {
+  try {
+    const result = await pool.query(`
+      UPDATE calendar_feed_tokens cft
+      SET last_used_at = CURRENT_TIMESTAMP
+      FROM employees e
+      WHERE cft.employee_id = e.id
+        AND cft.token_hash = $1 AND cft.revoked_at IS NULL AND e.is_active = true
+      RETURNING e.id, e.email, e.role, e.employee_id, e.department_id, ${ROLE_PERMISSIONS_SQL} as permissions
+    `, [hashFeedToken(req.params.token)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    req.user = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Calendar feed auth error:', error);
+    respondWithError(res, error);
+  }
+};
+
+function describeLeaveDuration(duration) {
+  return isHalfDayDuration(duration) ? ` (${duration.replace(/-/g, ' ')})` : '';
+}
+
+function sendICalendar(res, filename, name, events) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`
+  });
+  res.send(buildICalendar(name, events));
+}
+
+const FEED_LEAVE_COLUMNS = `
+  lr.id, lr.duration, lr.total_days,
+  TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_date,
+  TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_date,
+  lt.name as leave_type
+`;
+
+// Only leave that ended within the last year is published to keep feeds small
+const FEED_LEAVE_WINDOW = `lr.end_date >= CURRENT_DATE - INTERVAL '1 year'`;
+
+app.get('/api/calendar-feeds', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, created_at, last_used_at FROM calendar_feed_tokens
+      WHERE employee_id = $1 AND revoked_at IS NULL
+    `, [req.user.id]);
+
+    res.json({ active: result.rows.length > 0, token: result.rows[0] || null });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.post('/api/calendar-feeds', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await withTransaction(async (client) => {
+      await client.query(`
+        UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE employee_id = $1 AND revoked_at IS NULL
+      `, [req.user.id]);
+
+      await client.query(`
+        INSERT INTO calendar_feed_tokens (employee_id, token_hash) VALUES ($1, $2)
+      `, [req.user.id, hashFeedToken(token)]);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource, resource_id)
+        VALUES ($1, 'CREATE', 'calendar_feed', $1)
+      `, [req.user.id]);
+    });
+
+    res.status(201).json({ token, urls: buildFeedUrls(req, token) });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.delete('/api/calendar-feeds', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE employee_id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No active calendar feed' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'REVOKE', 'calendar_feed', $1)
+    `, [req.user.id]);
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    respondWithError(res, error);
+  }
+});
+
+const FEED_SCHEMA = {
+  params: Joi.object({ token: Joi.string().hex().length(64).required() })
+};
+
+app.get('/api/calendar/:token/personal.ics', authenticateFeedToken, validate(FEED_SCHEMA), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${FEED_LEAVE_COLUMNS}
+      FROM leave_requests lr
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      WHERE lr.employee_id = $1 AND lr.status = 'approved'
+        AND ${FEED_LEAVE_WINDOW}
+      ORDER BY lr.start_date
+    `, [req.user.id]);
+
+    const events = result.rows.map(leave => ({
+      uid: `leave-${leave.id}`,
+      start_date: leave.start_date,
+      end_date: leave.end_date,
+      summary: `${leave.leave_type}${describeLeaveDuration(leave.duration)}`,
+      description: `${leave.total_days} day(s)`
+    }));
+
+    sendICalendar(res, 'my-leave.ics', 'My Leave', events);
+  } catch (error) {
+    console.error('Personal calendar feed error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Same visibility as GET /api/team-calendar
+app.get('/api/calendar/:token/team.ics', authenticateFeedToken, requirePermission('leave.view_team', 'leave.view_all'), validate({ params: FEED_SCHEMA.params, query: Joi.object({ depth: depthQuery }) }), async (req, res) => {
+  try {
+    let query = `
+      SELECT ${FEED_LEAVE_COLUMNS},
+             e.first_name || ' ' || e.last_name as employee_name,
+             d.name as department
+      FROM leave_requests lr
+      JOIN employees e ON lr.employee_id = e.id
+      JOIN departments d ON e.department_id = d.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      WHERE lr.status = 'approved'
+        AND ${FEED_LEAVE_WINDOW}
+    `;
+    const params = [];
+
+    const { teamIds, departmentScope } = await getCalendarVisibility(req.user, req.query.depth || null);
+    if (teamIds) {
+      params.push(teamIds);
+      query += ` AND lr.employee_id = ANY($${params.length})`;
+    }
+    if (departmentScope) {
+      params.push(departmentScope);
+      query += ` AND e.department_id = ANY($${params.length})`;
+    }
+
+    query += ` ORDER BY lr.start_date`;
+
+    const result = await pool.query(query, params);
+
+    const events = result.rows.map(leave => ({
+      uid: `team-leave-${leave.id}`,
+      start_date: leave.start_date,
+      end_date: leave.end_date,
+      summary: `${leave.employee_name} - ${leave.leave_type}${describeLeaveDuration(leave.duration)}`,
+      description: `${leave.department}, ${leave.total_days} day(s)`
+    }));
+
+    sendICalendar(res, 'team-leave.ics', 'Team Leave', events);
+  } catch (error) {
+    console.error('Team calendar feed error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.get('/api/calendar/:token/holidays.ics', authenticateFeedToken, validate(FEED_SCHEMA), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, description, is_recurring, TO_CHAR(date, 'YYYY-MM-DD') as date
+      FROM holidays
+      WHERE is_active = true
+      ORDER BY date
+    `);
+
+    const events = result.rows.map(holiday => ({
+      uid: `holiday-${holiday.id}`,
+      start_date: holiday.date,
+      end_date: holiday.date,
+      summary: holiday.name,
+      description: holiday.description,
+      rrule: holiday.is_recurring ? 'FREQ=YEARLY' : null
+    }));
+
+    sendICalendar(res, 'holidays.ics', 'Company Holidays', events);
+  } catch (error) {
+    console.error('Holiday calendar feed error:', error);
+    respondWithError(res, error);
   }
 });
 
 // File download route
-app.get('/api/files/:filename', authenticateToken, (req, res) => {
+// Stored upload names only: no directories and no leading dot
+const FILE_SCHEMA = {
+  params: Joi.object({ filename: Joi.string().pattern(/^[\w-][\w.-]*$/).max(255).required() })
+};
+
+app.get('/api/files/:filename', authenticateToken, validate(FILE_SCHEMA), (req, res) => {
   try {
     const filename = req.params.filename;
     const filepath = path.join(__dirname, 'uploads', filename);
@@ -1139,19 +6105,309 @@ app.get('/api/files/:filename', authenticateToken, (req, res) => {
     res.download(filepath);
   } catch (error) {
     console.error('File download error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
+  }
+});
+
+// Email notifications
+// Messages go through the outbox in lib/email-outbox.js. Without EMAIL_HOST
+// they simply stay queued. For local testing point EMAIL_HOST/EMAIL_PORT at an
+// SMTP sink such as MailHog (localhost:1025).
+const mailTransporter = process.env.EMAIL_HOST
+  ? nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+      secure: process.env.EMAIL_PORT === '465',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+        : undefined
+    })
+  : null;
+
+const { processEmailOutbox, queueEmail } = createEmailOutbox(pool, mailTransporter);
+
+async function getLeaveNotificationDetails(leaveRequestId) {
+  const result = await pool.query(`
+    SELECT lr.id, lr.employee_id, lr.approval_chain_id, lr.current_stage, lr.total_days,
+           lr.reason, lr.rejection_reason,
+           TO_CHAR(lr.start_date, 'YYYY-MM-DD') as start_date,
+           TO_CHAR(lr.end_date, 'YYYY-MM-DD') as end_date,
+           e.email, e.first_name, e.first_name || ' ' || e.last_name as employee_name,
+           e.manager_id, e.department_id, d.head_id as department_head_id, lt.name as leave_type
+    FROM leave_requests lr
+    JOIN employees e ON lr.employee_id = e.id
+    LEFT JOIN departments d ON e.department_id = d.id
+    JOIN leave_types lt ON lr.leave_type_id = lt.id
+    WHERE lr.id = $1
+  `, [leaveRequestId]);
+
+  return result.rows[0] || null;
+}
+
+// Tell whoever can act on the request's current stage, including anyone
+// holding a delegation from them today. Runs after the change it reports has
+// committed, so failures are logged rather than failing the request.
+async function notifyLeaveApprovers(leaveRequestId) {
+  try {
+    await queueApproverEmails(leaveRequestId);
+  } catch (error) {
+    console.error('Notify leave approvers error:', error);
+  }
+}
+
+async function queueApproverEmails(leaveRequestId) {
+  const details = await getLeaveNotificationDetails(leaveRequestId);
+  if (!details) return;
+
+  const stages = await getApprovalStages(details.approval_chain_id);
+  const stage = stages[details.current_stage - 1] || stages[stages.length - 1];
+
+  // Without a named approver, anyone holding the approving permission for the
+  // employee's department is told
+  let approverIds = [];
+  let approverPermission = null;
+  if (stage.approver === 'line_manager' && details.manager_id) {
+    approverIds = [details.manager_id];
+  } else if (stage.approver === 'department_head' && details.department_head_id) {
+    approverIds = [details.department_head_id];
+  } else {
+    approverPermission = stage.approver === 'admin' ? 'leave.approve_any' : 'leave.approve';
+  }
+
+  const approvers = await pool.query(`
+    SELECT DISTINCT e.email, e.first_name
+    FROM employees e
+    WHERE e.is_active = true AND e.id <> $1
+      AND (
+        e.id = ANY($2::INTEGER[])
+        OR e.role IN (
+          SELECT r.name FROM roles r
+          JOIN role_permissions rp ON rp.role_id = r.id
+          WHERE rp.permission = $3 AND (rp.department_ids IS NULL OR $4 = ANY(rp.department_ids))
+        )
+        OR e.id IN (
+          SELECT ad.delegate_id FROM approval_delegations ad
+          WHERE ad.manager_id = ANY($2::INTEGER[]) AND ad.is_active = true
+            AND CURRENT_DATE BETWEEN ad.start_date AND ad.end_date
+        )
+      )
+  `, [details.employee_id, approverIds, approverPermission, details.department_id]);
+
+  for (const approver of approvers.rows) {
+    await queueEmail('leave_submitted', approver.email, {
+      ...details,
+      recipient_name: approver.first_name
+    });
+  }
+}
+
+async function notifyLeaveEmployee(template, leaveRequestId) {
+  try {
+    const details = await getLeaveNotificationDetails(leaveRequestId);
+    if (details) {
+      await queueEmail(template, details.email, details);
+    }
+  } catch (error) {
+    console.error('Notify leave employee error:', error);
+  }
+}
+
+const EMAIL_OUTBOX_SCHEMA = {
+  query: Joi.object({
+    ...paginationQuery,
+    limit: paginationQuery.limit.default(50),
+    status: Joi.string().valid('pending', 'sending', 'sent', 'failed')
+  })
+};
+
+app.get('/api/email-outbox', authenticateToken, requirePermission('email.manage'), validate(EMAIL_OUTBOX_SCHEMA), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    let query = `
+      SELECT id, template, recipient, subject, status, attempts, last_error,
+             next_attempt_at, sent_at, created_at, updated_at
+      FROM email_outbox
+    `;
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      query += ` WHERE status = $1`;
+    }
+
+    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(limit, (page - 1) * limit);
+
+    const result = await pool.query(query, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get email outbox error:', error);
+    respondWithError(res, error);
+  }
+});
+
+app.post('/api/email-outbox/:id/retry', authenticateToken, requirePermission('email.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      UPDATE email_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'failed' AND body IS NOT NULL
+      RETURNING id, template, recipient, subject, status, attempts, last_error,
+                next_attempt_at, sent_at, created_at, updated_at
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Failed email not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource, resource_id)
+      VALUES ($1, 'RETRY', 'email', $2)
+    `, [req.user.id, id]);
+
+    const summary = await processEmailOutbox();
+
+    res.json({ ...result.rows[0], delivery: summary });
+  } catch (error) {
+    console.error('Retry email error:', error);
+    respondWithError(res, error);
+  }
+});
+
+// Password policy
+// See lib/account-security.js for the complexity, expiry and lockout rules.
+async function isRecentPassword(user, password, db = pool) {
+  if (PASSWORD_POLICY.historyCount <= 0) {
+    return false;
+  }
+
+  const history = await db.query(`
+    SELECT password_hash FROM password_history
+    WHERE employee_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `, [user.id, PASSWORD_POLICY.historyCount - 1]);
+
+  for (const hash of [user.password, ...history.rows.map(row => row.password_hash)]) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Returns the 400 response body for an unacceptable new password, or null
+async function checkNewPassword(user, password, db = pool) {
+  const errors = passwordPolicyErrors(password, user);
+  if (errors.length > 0) {
+    return {
+      error: 'Password does not meet the password policy',
+      code: 'password_policy',
+      details: errors.map(message => ({ field: 'new_password', message }))
+    };
+  }
+
+  if (await isRecentPassword(user, password, db)) {
+    return {
+      error: 'Password was used recently',
+      code: 'password_reused',
+      details: [{ field: 'new_password', message: `Password must differ from your last ${PASSWORD_POLICY.historyCount} passwords` }]
+    };
+  }
+
+  return null;
+}
+
+// Keeps the outgoing hash in password_history and trims it to what the
+// policy needs.
+async function updatePassword(employeeId, newPassword, db = pool) {
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  await db.query(`
+    INSERT INTO password_history (employee_id, password_hash)
+    SELECT id, password FROM employees WHERE id = $1
+  `, [employeeId]);
+
+  await db.query(`
+    UPDATE employees 
+    SET password = $1, 
+        password_changed_at = CURRENT_TIMESTAMP,
+        must_change_password = false,
+        password_reset_token = NULL, 
+        password_reset_expires = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [hashedPassword, employeeId]);
+
+  await db.query(`
+    DELETE FROM password_history
+    WHERE employee_id = $1 AND id NOT IN (
+      SELECT id FROM password_history
+      WHERE employee_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    )
+  `, [employeeId, Math.max(PASSWORD_POLICY.historyCount - 1, 0)]);
+}
+
+// Counts a failed password or 2FA code. Reaching the limit locks the account
+// for baseMinutes, doubling with each consecutive lockout up to maxMinutes.
+// One conditional UPDATE, so concurrent failures can't skip the lock.
+// Returns the lock expiry when this attempt triggered a lockout.
+async function recordFailedLogin(user) {
+  const result = await pool.query(`
+    UPDATE employees 
+    SET failed_login_attempts = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+          THEN 0 ELSE COALESCE(failed_login_attempts, 0) + 1 END,
+        lockout_count = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+          THEN COALESCE(lockout_count, 0) + 1 ELSE lockout_count END,
+        locked_until = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+          THEN CURRENT_TIMESTAMP + LEAST($3 * POWER(2, COALESCE(lockout_count, 0)), $4) * INTERVAL '1 minute'
+          ELSE locked_until END
+    WHERE id = $1
+    RETURNING failed_login_attempts = 0 as locked, locked_until, lockout_count
+  `, [user.id, LOCKOUT_POLICY.maxAttempts, LOCKOUT_POLICY.baseMinutes, LOCKOUT_POLICY.maxMinutes]);
+
+  const { locked, locked_until, lockout_count } = result.rows[0];
+  if (!locked) {
+    return null;
   }
+
+  const minutes = Math.min(LOCKOUT_POLICY.baseMinutes * 2 ** (lockout_count - 1), LOCKOUT_POLICY.maxMinutes);
+  await pool.query(`
+    INSERT INTO audit_logs (user_id, action, resource, resource_id, details)
+    VALUES ($1, 'ACCOUNT_LOCKED', 'employee', $1, $2)
+  `, [user.id, JSON.stringify({ minutes, lockout_count })]);
+
+  return locked_until;
+}
+
+async function clearFailedLogins(employeeId) {
+  await pool.query(`
+    UPDATE employees SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+    WHERE id = $1 AND (failed_login_attempts > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)
+  `, [employeeId]);
+}
+
+app.get('/api/auth/password-policy', (req, res) => {
+  res.json({
+    min_length: PASSWORD_POLICY.minLength,
+    require_complexity: PASSWORD_POLICY.requireComplexity,
+    history_count: PASSWORD_POLICY.historyCount,
+    max_age_days: PASSWORD_POLICY.maxAgeDays,
+    expiring_roles: PASSWORD_POLICY.expiringRoles
+  });
 });
 
 // Password reset routes
-app.post('/api/auth/forgot-password', async (req, res) => {
+app.post('/api/auth/forgot-password', validate({ body: Joi.object({ email: Joi.string().trim().lowercase().max(255).required() }) }), async (req, res) => {
   try {
     const { email } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-    
     const user = await pool.query(`
       SELECT id, email, first_name, last_name FROM employees WHERE email = $1 AND is_active = true
     `, [email]);
@@ -1161,40 +6417,33 @@ app.post('/api/auth/forgot-password', async (req, res) => {
       return res.json({ message: 'If the email exists, a reset link will be sent.' });
     }
     
-    // Generate reset token (in production, use crypto.randomBytes)
-    const resetToken = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-    const resetExpiry = new Date(Date.now() + 3600000); // 1 hour from now
-    
-    await pool.query(`
-      UPDATE employees 
-      SET password_reset_token = $1, password_reset_expires = $2
-      WHERE id = $3
-    `, [resetToken, resetExpiry, user.rows[0].id]);
-    
-    // In production, send email with reset link
-    console.log(`Password reset token for ${email}: ${resetToken}`);
+    // The reset token is created when the email is sent
+    await queueEmail('password_reset', user.rows[0].email, {
+      first_name: user.rows[0].first_name
+    }, user.rows[0].id);
     
     res.json({ message: 'If the email exists, a reset link will be sent.' });
   } catch (error) {
     console.error('Forgot password error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
   }
 });
 
-app.post('/api/auth/reset-password', async (req, res) => {
+const newPassword = () => Joi.string().max(1024).required();
+
+const RESET_PASSWORD_SCHEMA = {
+  body: Joi.object({
+    token: Joi.string().required(),
+    new_password: newPassword()
+  })
+};
+
+app.post('/api/auth/reset-password', validate(RESET_PASSWORD_SCHEMA), async (req, res) => {
   try {
     const { token, new_password } = req.body;
     
-    if (!token || !new_password) {
-      return res.status(400).json({ error: 'Token and new password are required' });
-    }
-    
-    if (new_password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
-    }
-    
     const user = await pool.query(`
-      SELECT id FROM employees 
+      SELECT id, email, password FROM employees 
       WHERE password_reset_token = $1 
         AND password_reset_expires > CURRENT_TIMESTAMP
         AND is_active = true
@@ -1204,16 +6453,16 @@ app.post('/api/auth/reset-password', async (req, res) => {
       return res.status(400).json({ error: 'Invalid or expired reset token' });
     }
     
-    const hashedPassword = await bcrypt.hash(new_password, 10);
+    const rejected = await checkNewPassword(user.rows[0], new_password);
+    if (rejected) {
+      return res.status(400).json(rejected);
+    }
+    
+    await withTransaction(client => updatePassword(user.rows[0].id, new_password, client));
     
-    await pool.query(`
-      UPDATE employees 
-      SET password = $1, 
-          password_reset_token = NULL, 
-          password_reset_expires = NULL,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `, [hashedPassword, user.rows[0].id]);
+    // Proving ownership of the mailbox also lifts a lockout
+    await clearFailedLogins(user.rows[0].id);
+    await revokeSessions(user.rows[0].id, 'password_reset');
     
     // Log action
     await pool.query(`
@@ -1224,26 +6473,28 @@ app.post('/api/auth/reset-password', async (req, res) => {
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
   }
 });
 
 // Change password route
-app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+// Also finishes a login that stopped for a forced password change, when
+// called with the password_change_token instead of an access token.
+const CHANGE_PASSWORD_SCHEMA = {
+  body: Joi.object({
+    password_change_token: Joi.string(),
+    current_password: Joi.string().max(1024).required(),
+    new_password: newPassword()
+  })
+};
+
+app.post('/api/auth/change-password', authenticateTokenOrLoginStep('password_change_token', 'password_change'), validate(CHANGE_PASSWORD_SCHEMA), async (req, res) => {
   try {
     const { current_password, new_password } = req.body;
     
-    if (!current_password || !new_password) {
-      return res.status(400).json({ error: 'Current and new password are required' });
-    }
-    
-    if (new_password.length < 8) {
-      return res.status(400).json({ error: 'New password must be at least 8 characters long' });
-    }
-    
     // Get current password hash
     const user = await pool.query(`
-      SELECT password FROM employees WHERE id = $1
+      SELECT id, email, password FROM employees WHERE id = $1 AND is_active = true
     `, [req.user.id]);
     
     if (user.rows.length === 0) {
@@ -1256,26 +6507,35 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Current password is incorrect' });
     }
     
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(new_password, 10);
+    const rejected = await checkNewPassword(user.rows[0], new_password);
+    if (rejected) {
+      return res.status(400).json(rejected);
+    }
+    
+    await withTransaction(client => updatePassword(req.user.id, new_password, client));
     
-    // Update password
-    await pool.query(`
-      UPDATE employees 
-      SET password = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `, [hashedPassword, req.user.id]);
+    await revokeSessions(req.user.id, 'password_changed', { exceptSessionId: req.user.session_id });
     
     // Log action
     await pool.query(`
       INSERT INTO audit_logs (user_id, action, resource, details)
       VALUES ($1, 'PASSWORD_CHANGE', 'auth', $2)
-    `, [req.user.id, JSON.stringify({ method: 'user_initiated' })]);
+    `, [req.user.id, JSON.stringify({ method: req.loginStep ? 'forced_at_login' : 'user_initiated' })]);
+    
+    if (req.loginStep) {
+      const refreshed = await pool.query(`
+        SELECT e.*, d.name as department_name 
+        FROM employees e 
+        LEFT JOIN departments d ON e.department_id = d.id 
+        WHERE e.id = $1
+      `, [req.user.id]);
+      return res.json({ message: 'Password changed successfully', ...await completeLogin(refreshed.rows[0], req) });
+    }
     
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    respondWithError(res, error);
   }
 });
 
@@ -1285,11 +6545,28 @@ app.use((error, req, res, next) => {
   
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 5MB.' });
+      return res.status(400).json({
+        error: 'File too large. Maximum size is 5MB.',
+        code: 'file_too_large',
+        details: [{ field: error.field, message: 'File too large. Maximum size is 5MB.' }]
+      });
     }
+    return res.status(400).json({ error: error.message, details: [{ field: error.field, message: error.message }] });
   }
-  
-  res.status(500).json({ error: 'Internal server error' });
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+
+  // Client errors raised by upload filters and the body parser
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      error: error.message,
+      details: error.field ? [{ field: error.field, message: error.message }] : []
+    });
+  }
+
+  respondWithError(res, error);
 });
 
 // 404 handler
@@ -1297,23 +6574,35 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  await pool.end();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully');
-  await pool.end();
-  process.exit(0);
-});
-
 // Start server
 async function startServer() {
   try {
-    await initDatabase();
+    // Tables are created by migrations, not here, so running against an
+    // out-of-date database would fail in confusing ways
+    const { pending } = await getMigrationStatus(pool);
+    if (pending.length > 0) {
+      console.error(`❌ ${pending.length} database migration(s) pending: ${pending.map(migration => migration.name).join(', ')}`);
+      console.error('Run "npm run migrate" before starting the server');
+      process.exit(1);
+    }
+    await syncAdminPermissions();
+
+    // Expire carried-forward days once at startup and then daily
+    const runExpiry = () => expireCarriedForwardDays()
+      .catch(error => console.error('Carry forward expiry error:', error));
+    runExpiry();
+    setInterval(runExpiry, 24 * 60 * 60 * 1000).unref();
+
+    // Retry queued emails every minute
+    if (!mailTransporter) {
+      console.log('📧 EMAIL_HOST not set; emails will stay queued in the outbox');
+    }
+    if (!hasEncryptionKey()) {
+      console.log('🔐 MFA_ENCRYPTION_KEY not set; 2FA cannot be set up or used');
+    }
+    setInterval(() => {
+      processEmailOutbox().catch(error => console.error('Email outbox error:', error));
+    }, 60 * 1000).unref();
     
     app.listen(PORT, () => {
       console.log(`🚀 Leave Management API Server running on port ${PORT}`);
@@ -1326,4 +6615,22 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Only listen when run directly, so tests can require the app
+if (require.main === module) {
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    await pool.end();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    console.log('SIGINT received, shutting down gracefully');
+    await pool.end();
+    process.exit(0);
+  });
+
+  startServer();
+}
+
+module.exports = app;
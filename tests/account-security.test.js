@@ -0,0 +1,100 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server');
+const { createPool } = require('../db');
+const { isAccountLocked, passwordChangeReason, passwordPolicyErrors } = require('../lib/account-security');
+
+describe('Account security', () => {
+  test('passwordPolicyErrors - should require length and complexity', () => {
+    expect(passwordPolicyErrors('Ab1!', { email: 'ann@trevi.com' })).toEqual(['Password must be at least 8 characters long']);
+    expect(passwordPolicyErrors('alllowercase', { email: 'ann@trevi.com' })).toEqual([
+      'Password must contain an uppercase letter',
+      'Password must contain a number',
+      'Password must contain a symbol'
+    ]);
+    expect(passwordPolicyErrors('Str0ng!Passw0rd#', { email: 'ann@trevi.com' })).toEqual([]);
+  });
+
+  test('passwordPolicyErrors - should reject passwords containing the email name', () => {
+    expect(passwordPolicyErrors('Jsmith!2025x', { email: 'jsmith@trevi.com' })).toEqual(['Password must not contain your email address']);
+  });
+
+  test('passwordChangeReason - should require a change for temporary and expired passwords', () => {
+    const longAgo = new Date(Date.now() - 365 * 86400000).toISOString();
+
+    expect(passwordChangeReason({ must_change_password: true, role: 'employee' })).toBe('temporary_password');
+    expect(passwordChangeReason({ role: 'admin', password_changed_at: longAgo })).toBe('expired');
+    expect(passwordChangeReason({ role: 'employee', password_changed_at: longAgo })).toBeNull();
+    expect(passwordChangeReason({ role: 'admin', password_changed_at: new Date().toISOString() })).toBeNull();
+  });
+
+  test('isAccountLocked - should only count locks that have not expired', () => {
+    expect(isAccountLocked({ locked_until: new Date(Date.now() + 60000) })).toBe(true);
+    expect(isAccountLocked({ locked_until: new Date(Date.now() - 60000) })).toBe(false);
+    expect(isAccountLocked({ locked_until: null })).toBe(false);
+  });
+
+  describe('POST /api/auth/login', () => {
+    const db = createPool();
+    const suffix = Date.now() % 1000000;
+    const email = `lockout${suffix}@trevi.com`;
+    const password = 'L0ckout!Passw0rd';
+    let employeeId;
+
+    const login = attempt => request(app).post('/api/auth/login').send({ email, password: attempt });
+
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+
+      const created = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${admin.body.token}`)
+        .send({ employee_id: `LK${suffix}`, email, first_name: 'Lockout', last_name: 'Test', hire_date: '2024-01-01' });
+      employeeId = created.body.employee.id;
+
+      await db.query(`
+        UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+      `, [await bcrypt.hash(password, 10), employeeId]);
+    });
+
+    afterAll(async () => {
+      await db.end();
+    });
+
+    async function lockState() {
+      const result = await db.query(`
+        SELECT failed_login_attempts, lockout_count, locked_until FROM employees WHERE id = $1
+      `, [employeeId]);
+      return result.rows[0];
+    }
+
+    test('should count failed attempts and lock the account at the limit', async () => {
+      for (let attempt = 1; attempt < 5; attempt++) {
+        expect((await login('Wr0ng!Passw0rd')).status).toBe(401);
+      }
+      expect(await lockState()).toMatchObject({ failed_login_attempts: 4, lockout_count: 0, locked_until: null });
+
+      expect((await login('Wr0ng!Passw0rd')).status).toBe(401);
+
+      const state = await lockState();
+      expect(state).toMatchObject({ failed_login_attempts: 0, lockout_count: 1 });
+      expect(state.locked_until.getTime()).toBeGreaterThan(Date.now() + 14 * 60000);
+    });
+
+    test('should refuse the right password while locked and audit the lockout', async () => {
+      const response = await login(password);
+
+      expect(response.status).toBe(401);
+      expect(response.body).not.toHaveProperty('token');
+      const audit = await db.query(`
+        SELECT details FROM audit_logs WHERE action = 'ACCOUNT_LOCKED' AND resource_id = $1
+      `, [employeeId]);
+      expect(audit.rows).toEqual([{ details: { minutes: 15, lockout_count: 1 } }]);
+    });
+  });
+});
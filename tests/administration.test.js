@@ -0,0 +1,66 @@
+const request = require('supertest');
+const app = require('../server');
+
+describe('Department and leave type administration', () => {
+  const suffix = Date.now();
+  let token;
+
+  const api = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+
+    token = response.body.token;
+  });
+
+  test('departments - should refuse cycles and only deactivate empty departments', async () => {
+    const parent = await api('post', '/api/departments').send({ name: `Operations ${suffix}` });
+    const child = await api('post', '/api/departments').send({ name: `Field Ops ${suffix}`, parent_id: parent.body.id });
+    expect(parent.status).toBe(201);
+    expect(child.status).toBe(201);
+
+    const cycle = await api('put', `/api/departments/${parent.body.id}`).send({ parent_id: child.body.id });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.error).toBe('A department cannot sit under itself or one of its sub-departments');
+
+    const parentInUse = await api('delete', `/api/departments/${parent.body.id}`);
+    expect(parentInUse.status).toBe(409);
+    expect(parentInUse.body.sub_departments).toBe(1);
+
+    expect((await api('delete', `/api/departments/${child.body.id}`)).status).toBe(200);
+    const deactivated = await api('delete', `/api/departments/${parent.body.id}`);
+    expect(deactivated.status).toBe(200);
+    expect(deactivated.body.is_active).toBe(false);
+  });
+
+  test('departments - should reject duplicate names', async () => {
+    await api('post', '/api/departments').send({ name: `Logistics ${suffix}` });
+
+    const duplicate = await api('post', '/api/departments').send({ name: `Logistics ${suffix}` });
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toBe('A department with this name already exists');
+  });
+
+  test('leave types - should validate, update and delete unused types', async () => {
+    const invalid = await api('post', '/api/leave-types').send({ name: `Study ${suffix}`, carry_forward_expiry: '13-01' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0].message).toBe('carry_forward_expiry must be in MM-DD format');
+
+    const created = await api('post', '/api/leave-types').send({ name: `Study ${suffix}`, max_days: 5 });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ requires_approval: true, accrual_method: 'annual', is_blackout_exempt: false });
+
+    const updated = await api('put', `/api/leave-types/${created.body.id}`).send({ max_days: 10 });
+    expect(updated.body.max_days).toBe(10);
+
+    const deleted = await api('delete', `/api/leave-types/${created.body.id}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.deleted).toBe(true);
+  });
+});
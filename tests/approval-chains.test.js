@@ -0,0 +1,103 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server');
+const { createPool } = require('../db');
+const { canActOnApprovalStage } = require('../lib/approval-chains');
+
+const leaveRequest = {
+  id: 11,
+  employee_id: 7,
+  leave_type_id: 2,
+  total_days: '3',
+  manager_id: 5,
+  department_id: 1,
+  department_head_id: 6,
+  approval_chain_id: 4
+};
+
+const hrUser = { id: 9, permissions: { 'leave.approve': null } };
+
+describe('Approval chains', () => {
+  test('canActOnApprovalStage - should let only the named approver act on each stage', () => {
+    expect(canActOnApprovalStage({ id: 5, permissions: {} }, { approver: 'line_manager' }, leaveRequest)).toBe(true);
+    expect(canActOnApprovalStage({ id: 6, permissions: {} }, { approver: 'line_manager' }, leaveRequest)).toBe(false);
+    expect(canActOnApprovalStage({ id: 6, permissions: {} }, { approver: 'department_head' }, leaveRequest)).toBe(true);
+    expect(canActOnApprovalStage(hrUser, { approver: 'line_manager' }, leaveRequest)).toBe(false);
+    expect(canActOnApprovalStage(hrUser, { approver: 'hr' }, leaveRequest)).toBe(true);
+  });
+
+  test('canActOnApprovalStage - should fall back to HR when a stage has no named approver', () => {
+    const noHead = { ...leaveRequest, manager_id: null, department_head_id: null };
+
+    expect(canActOnApprovalStage(hrUser, { approver: 'line_manager' }, noHead)).toBe(true);
+    expect(canActOnApprovalStage(hrUser, { approver: 'department_head' }, noHead)).toBe(true);
+  });
+
+  test('canActOnApprovalStage - should never let employees approve their own leave', () => {
+    const admin = { id: 7, permissions: { 'leave.approve_any': null } };
+
+    expect(canActOnApprovalStage(admin, { approver: 'hr' }, leaveRequest)).toBe(false);
+  });
+
+  describe('PATCH /api/leave-requests/:id/approve', () => {
+    const db = createPool();
+    const suffix = Date.now() % 1000000;
+    const email = `approval${suffix}@trevi.com`;
+    const password = 'Appr0val!Passw0rd';
+    let adminAuth;
+    let employeeAuth;
+
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+      adminAuth = { Authorization: `Bearer ${admin.body.token}` };
+
+      const created = await request(app)
+        .post('/api/employees')
+        .set(adminAuth)
+        .send({ employee_id: `AP${suffix}`, email, first_name: 'Approval', last_name: 'Test', hire_date: '2020-01-01' });
+
+      await db.query(`
+        UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+      `, [await bcrypt.hash(password, 10), created.body.employee.id]);
+
+      const employee = await request(app).post('/api/auth/login').send({ email, password });
+      employeeAuth = { Authorization: `Bearer ${employee.body.token}` };
+    });
+
+    afterAll(async () => {
+      await db.end();
+    });
+
+    test('should approve and deduct the balance together, once', async () => {
+      const annualLeave = await db.query(`SELECT id FROM leave_types WHERE name = 'Annual Leave'`);
+      const submitted = await request(app)
+        .post('/api/leave-requests')
+        .set(employeeAuth)
+        .send({ leave_type_id: annualLeave.rows[0].id, start_date: '2031-04-07', end_date: '2031-04-09', reason: 'Approval test' });
+      const approve = () => request(app)
+        .patch(`/api/leave-requests/${submitted.body.id}/approve`)
+        .set(adminAuth)
+        .send({ comments: 'Enjoy' });
+
+      const approved = await approve();
+      const again = await approve();
+
+      expect(approved.status).toBe(200);
+      expect(approved.body.status).toBe('approved');
+      expect(again.status).toBe(404);
+      const entries = await db.query(`
+        SELECT entry_type, days::FLOAT as days FROM leave_ledger_entries WHERE leave_request_id = $1
+      `, [submitted.body.id]);
+      expect(entries.rows).toEqual([{ entry_type: 'approval_deduction', days: -3 }]);
+      const decisions = await db.query(`
+        SELECT stage, approver, decision FROM leave_request_approvals WHERE leave_request_id = $1
+      `, [submitted.body.id]);
+      expect(decisions.rows).toEqual([{ stage: 1, approver: 'line_manager', decision: 'approved' }]);
+    });
+  });
+});
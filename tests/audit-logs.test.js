@@ -0,0 +1,53 @@
+const request = require('supertest');
+const app = require('../server');
+const { createPool } = require('../db');
+
+describe('Audit Log', () => {
+  let token;
+  const db = createPool();
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('GET /api/audit-logs/verify - should report an intact chain', async () => {
+    const response = await request(app)
+      .get('/api/audit-logs/verify')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(true);
+    expect(response.body.first_broken_link).toBeNull();
+  });
+
+  test('audit_log_hash - should no longer match an edited entry', async () => {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE audit_logs SET details = '{"edited": true}'
+        WHERE sequence_number = (SELECT MAX(sequence_number) FROM audit_logs)
+      `);
+      const result = await client.query(`
+        SELECT hash = audit_log_hash(al) as intact FROM audit_logs al
+        WHERE sequence_number = (SELECT MAX(sequence_number) FROM audit_logs)
+      `);
+
+      expect(result.rows[0].intact).toBe(false);
+    } finally {
+      await client.query('ROLLBACK');
+      client.release();
+    }
+  });
+});
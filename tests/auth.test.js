@@ -1,7 +1,14 @@
 const request = require('supertest');
 const app = require('../server');
+const { createPool } = require('../db');
 
 describe('Authentication', () => {
+  const db = createPool();
+
+  afterAll(async () => {
+    await db.end();
+  });
+
   test('POST /api/auth/login - should login with valid credentials', async () => {
     const response = await request(app)
       .post('/api/auth/login')
@@ -15,6 +22,17 @@ describe('Authentication', () => {
     expect(response.body).toHaveProperty('user');
   });
 
+  test('POST /api/auth/login - should match the email in any case', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: ' Admin@Trevi.com',
+        password: 'admin123'
+      });
+
+    expect(response.status).toBe(200);
+  });
+
   test('POST /api/auth/login - should fail with invalid credentials', async () => {
     const response = await request(app)
       .post('/api/auth/login')
@@ -26,4 +44,21 @@ describe('Authentication', () => {
     expect(response.status).toBe(401);
     expect(response.body).toHaveProperty('error');
   });
-});
\ No newline at end of file
+
+  test('POST /api/auth/login - should not reveal that an account is locked', async () => {
+    await db.query(`UPDATE employees SET locked_until = CURRENT_TIMESTAMP + INTERVAL '1 hour' WHERE email = 'admin@trevi.com'`);
+    try {
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@trevi.com', password: 'admin123' });
+      const unknown = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@trevi.com', password: 'admin123' });
+
+      expect(locked.status).toBe(401);
+      expect(locked.body).toEqual(unknown.body);
+    } finally {
+      await db.query(`UPDATE employees SET locked_until = NULL WHERE email = 'admin@trevi.com'`);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server');
+const { createPool } = require('../db');
+
+describe('Blackout periods', () => {
+  const db = createPool();
+  const suffix = Date.now() % 1000000;
+  const email = `blackout${suffix}@trevi.com`;
+  const password = 'Bl4ckout!Passw0rd';
+  let employeeAuth;
+  let leaveTypes;
+
+  const submit = (leaveType, startDate, endDate) => request(app)
+    .post('/api/leave-requests')
+    .set(employeeAuth)
+    .send({ leave_type_id: leaveTypes[leaveType], start_date: startDate, end_date: endDate, reason: 'Blackout test' });
+
+  // A department of its own, so the periods block nobody else
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+    const adminAuth = { Authorization: `Bearer ${admin.body.token}` };
+
+    const department = await request(app)
+      .post('/api/departments')
+      .set(adminAuth)
+      .send({ name: `Blackout ${suffix}` });
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set(adminAuth)
+      .send({
+        employee_id: `B${suffix}`, email, first_name: 'Blackout', last_name: 'Test',
+        hire_date: '2020-01-01', department_id: department.body.id
+      });
+
+    await db.query(`
+      UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+    `, [await bcrypt.hash(password, 10), created.body.employee.id]);
+
+    const employee = await request(app).post('/api/auth/login').send({ email, password });
+    employeeAuth = { Authorization: `Bearer ${employee.body.token}` };
+
+    for (const period of [
+      { name: 'Mid-year close', start_date: '2032-06-01', end_date: '2032-06-30' },
+      { name: 'Audit', start_date: '2032-07-01', end_date: '2032-07-31', exempt_urgent_leave: false }
+    ]) {
+      await request(app)
+        .post('/api/blackout-periods')
+        .set(adminAuth)
+        .send({ ...period, department_id: department.body.id });
+    }
+
+    const types = await db.query(`SELECT id, name FROM leave_types WHERE name IN ('Annual Leave', 'Emergency Leave')`);
+    leaveTypes = Object.fromEntries(types.rows.map(type => [type.name, type.id]));
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('POST /api/leave-requests - should refuse leave that overlaps a blackout period', async () => {
+    const response = await submit('Annual Leave', '2032-05-31', '2032-06-01');
+
+    expect(response.status).toBe(400);
+    expect(response.body.blackout_period).toMatchObject({ name: 'Mid-year close', start_day: '2032-06-01', end_day: '2032-06-30' });
+  });
+
+  test('POST /api/leave-requests - should exempt leave types flagged as blackout exempt', async () => {
+    const response = await submit('Emergency Leave', '2032-06-08', '2032-06-09');
+
+    expect(response.status).toBe(201);
+  });
+
+  test('POST /api/leave-requests - should not exempt any leave type when the period says so', async () => {
+    const response = await submit('Emergency Leave', '2032-07-06', '2032-07-07');
+
+    expect(response.status).toBe(400);
+    expect(response.body.blackout_period.name).toBe('Audit');
+  });
+});
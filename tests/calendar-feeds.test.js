@@ -0,0 +1,41 @@
+const { buildICalendar, escapeICalText, foldICalLine, redactFeedToken } = require('../lib/calendar-feeds');
+
+describe('Calendar feeds', () => {
+  test('escapeICalText - should escape separators and line breaks', () => {
+    expect(escapeICalText('Sales; Ops, back\\office\r\nfloor 2')).toBe('Sales\\; Ops\\, back\\\\office\\nfloor 2');
+    expect(escapeICalText(null)).toBe('');
+  });
+
+  test('foldICalLine - should fold lines longer than 75 octets', () => {
+    const folded = foldICalLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  test('buildICalendar - should publish all-day events ending the day after the last day', () => {
+    const calendar = buildICalendar('My Leave', [{
+      uid: 'leave-7',
+      start_date: '2025-12-30',
+      end_date: '2025-12-31',
+      summary: 'Annual Leave',
+      description: '2 day(s)'
+    }]);
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar).toContain('UID:leave-7@trevi-leave-management\r\n');
+    expect(calendar).toContain('DTSTART;VALUE=DATE:20251230\r\n');
+    expect(calendar).toContain('DTEND;VALUE=DATE:20260101\r\n');
+    expect(calendar).toContain('DESCRIPTION:2 day(s)\r\n');
+  });
+
+  test('redactFeedToken - should keep feed tokens out of the access log', () => {
+    const token = 'a'.repeat(64);
+
+    expect(redactFeedToken(`/api/calendar/${token}/team.ics?depth=2`)).toBe('/api/calendar/[redacted]/team.ics?depth=2');
+    expect(redactFeedToken('/api/calendar-feeds')).toBe('/api/calendar-feeds');
+  });
+});
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const app = require('../server');
+const { isLeaveApprover } = require('../lib/approval-chains');
+
+describe('Approval delegation', () => {
+  const leaveRequest = { employee_id: 12, manager_id: 5, department_id: 3 };
+
+  test('isLeaveApprover - should let delegates approve for the managers they cover', () => {
+    const delegate = { id: 9, permissions: {} };
+
+    expect(isLeaveApprover(delegate, leaveRequest)).toBe(false);
+    expect(isLeaveApprover(delegate, leaveRequest, [5])).toBe(true);
+    expect(isLeaveApprover({ id: 5, permissions: {} }, leaveRequest)).toBe(true);
+  });
+
+  test('isLeaveApprover - should never let employees approve their own leave', () => {
+    const approver = { id: 12, permissions: { 'leave.approve_any': null } };
+
+    expect(isLeaveApprover(approver, leaveRequest, [5])).toBe(false);
+  });
+
+  test('isLeaveApprover - should respect department-limited approval grants', () => {
+    expect(isLeaveApprover({ id: 1, permissions: { 'leave.approve': [3] } }, leaveRequest)).toBe(true);
+    expect(isLeaveApprover({ id: 1, permissions: { 'leave.approve': [4] } }, leaveRequest)).toBe(false);
+  });
+
+  describe('POST /api/delegations', () => {
+    let token;
+    let userId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+
+      token = response.body.token;
+      userId = response.body.user.id;
+    });
+
+    test('should reject delegating to yourself', async () => {
+      const response = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ delegate_id: userId, start_date: '2030-01-06', end_date: '2030-01-10' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A manager cannot delegate to themselves');
+    });
+
+    test('should reject a start date after the end date', async () => {
+      const response = await request(app)
+        .post('/api/delegations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ delegate_id: userId + 1, start_date: '2030-01-10', end_date: '2030-01-06' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Start date cannot be after end date');
+    });
+  });
+});
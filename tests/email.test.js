@@ -0,0 +1,126 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const nodemailer = require('nodemailer');
+const app = require('../server');
+const { createPool } = require('../db');
+const { RESET_LINK, createEmailOutbox } = require('../lib/email-outbox');
+
+describe('Email notifications', () => {
+  const db = createPool();
+  const { processEmailOutbox } = createEmailOutbox(db, null);
+  const suffix = Date.now() % 1000000;
+  const email = `mail${suffix}@trevi.com`;
+  const password = 'M4il!Passw0rd';
+  let adminAuth;
+  let employeeId;
+
+  async function welcomeMessage() {
+    const result = await db.query(`
+      SELECT id, status, body, attempts, last_error FROM email_outbox
+      WHERE employee_id = $1 AND template = 'welcome'
+    `, [employeeId]);
+    return result.rows[0];
+  }
+
+  // Other suites queue mail too, so keep going until nothing is due
+  async function drainOutbox(transport) {
+    let summary;
+    do {
+      summary = await processEmailOutbox(transport);
+    } while (summary.sent + summary.failed > 0);
+  }
+
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+    adminAuth = { Authorization: `Bearer ${admin.body.token}` };
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set(adminAuth)
+      .send({ employee_id: `M${suffix}`, email, first_name: 'Mail', last_name: `Test${suffix}`, hire_date: '2020-01-01' });
+    employeeId = created.body.employee.id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('POST /api/employees - should queue a welcome email with a reset link placeholder instead of credentials', async () => {
+    const message = await welcomeMessage();
+
+    expect(message.status).toBe('pending');
+    expect(message.body).toContain(RESET_LINK);
+    expect(message.body).not.toMatch(/password:/i);
+  });
+
+  test('processEmailOutbox - should back off and retry when delivery fails', async () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail').mockRejectedValue(new Error('connection refused'));
+
+    await drainOutbox(transport);
+
+    expect(await welcomeMessage()).toMatchObject({ status: 'pending', attempts: 1, last_error: 'connection refused' });
+  });
+
+  test('processEmailOutbox - should mint the reset link at send time and clear the body once sent', async () => {
+    await db.query(`UPDATE email_outbox SET next_attempt_at = CURRENT_TIMESTAMP WHERE id = $1`, [(await welcomeMessage()).id]);
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const sendMail = jest.spyOn(transport, 'sendMail');
+
+    await drainOutbox(transport);
+
+    const sent = await Promise.all(sendMail.mock.results.map(result => result.value));
+    const welcome = sent.map(info => JSON.parse(info.message)).find(message => message.to[0].address === email);
+    const account = await db.query(`SELECT password_reset_token FROM employees WHERE id = $1`, [employeeId]);
+    expect(welcome.text).toContain(`/reset-password?token=${account.rows[0].password_reset_token}`);
+    expect(await welcomeMessage()).toMatchObject({ status: 'sent', body: null });
+  });
+
+  test('POST /api/leave-requests - should still submit the request when the approver email cannot be queued', async () => {
+    await db.query(`
+      UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+    `, [await bcrypt.hash(password, 10), employeeId]);
+    const employee = await request(app).post('/api/auth/login').send({ email, password });
+    const annualLeave = await db.query(`SELECT id FROM leave_types WHERE name = 'Annual Leave'`);
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Fail approver notifications about this employee only
+    const trigger = `fail_outbox_${suffix}`;
+    await db.query(`
+      CREATE FUNCTION ${trigger}() RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'outbox unavailable';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER ${trigger} BEFORE INSERT ON email_outbox
+        FOR EACH ROW WHEN (NEW.template = 'leave_submitted' AND NEW.body LIKE '%Test${suffix}%')
+        EXECUTE FUNCTION ${trigger}();
+    `);
+
+    let response;
+    try {
+      response = await request(app)
+        .post('/api/leave-requests')
+        .set({ Authorization: `Bearer ${employee.body.token}` })
+        .send({ leave_type_id: annualLeave.rows[0].id, start_date: '2031-05-05', end_date: '2031-05-06', reason: 'Email test' });
+    } finally {
+      await db.query(`
+        DROP TRIGGER ${trigger} ON email_outbox;
+        DROP FUNCTION ${trigger}();
+      `);
+    }
+
+    expect(response.status).toBe(201);
+    expect(logged).toHaveBeenCalledWith('Queue email error:', expect.any(Error));
+  });
+});
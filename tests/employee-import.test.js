@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../server');
+const { importManagerChainLoops, parseCsv, readEmployeeImportRows } = require('../lib/employee-import');
+
+describe('Employee import', () => {
+  test('parseCsv - should handle quoted commas, doubled quotes and line breaks', () => {
+    const rows = parseCsv('name,notes\r\n"Doe, Jane","said ""hi""\nthen left"\n\n');
+
+    expect(rows).toEqual([
+      ['name', 'notes'],
+      ['Doe, Jane', 'said "hi"\nthen left']
+    ]);
+  });
+
+  test('parseCsv - should keep a last row without a trailing newline', () => {
+    expect(parseCsv('a,b\n1,')).toEqual([['a', 'b'], ['1', '']]);
+  });
+
+  test('readEmployeeImportRows - should normalise headers and number rows like the spreadsheet', () => {
+    const records = readEmployeeImportRows('\ufeffEmployee ID,Email,Manager Email,Department Name\nE1, Ann@Trevi.com ,BOSS@trevi.com,Sales\n');
+
+    expect(records).toEqual([expect.objectContaining({
+      row: 2,
+      employee_id: 'E1',
+      email: 'ann@trevi.com',
+      manager_email: 'boss@trevi.com',
+      department: 'Sales',
+      role: 'employee'
+    })]);
+  });
+
+  test('importManagerChainLoops - should detect reporting loops within the file', () => {
+    const fileManagers = new Map([
+      ['a@trevi.com', 'b@trevi.com'],
+      ['b@trevi.com', 'a@trevi.com'],
+      ['c@trevi.com', 'existing@trevi.com']
+    ]);
+
+    expect(importManagerChainLoops({ email: 'a@trevi.com', manager_email: 'b@trevi.com' }, fileManagers)).toBe(true);
+    expect(importManagerChainLoops({ email: 'c@trevi.com', manager_email: 'existing@trevi.com' }, fileManagers)).toBe(false);
+  });
+
+  describe('POST /api/employees/import', () => {
+    const suffix = Date.now() % 1000000;
+    let auth;
+
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+      auth = { Authorization: `Bearer ${admin.body.token}` };
+    });
+
+    test('should check rows against the same field rules as creating an employee', async () => {
+      const csv = [
+        'employee_id,email,first_name,last_name,hire_date',
+        `${'X'.repeat(21)},import${suffix}@trevi,${'A'.repeat(51)},Test,2020-02-30`,
+        `IM${suffix},Import${suffix}@Trevi.com,Ann,Test,2020-01-01`
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/employees/import')
+        .set(auth)
+        .field('dry_run', 'true')
+        .attach('file', Buffer.from(csv), 'employees.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.rows[0].errors.map(error => error.field).sort()).toEqual(['email', 'employee_id', 'first_name', 'hire_date']);
+      expect(response.body.rows[1]).toMatchObject({ email: `import${suffix}@trevi.com`, errors: [] });
+    });
+  });
+});
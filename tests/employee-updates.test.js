@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../server');
+const { createPool } = require('../db');
+
+const { diffRecordFields } = require('../lib/audit');
+
+describe('Employee updates', () => {
+  test('diffRecordFields - should only report fields whose value changes', () => {
+    const current = { first_name: 'Ada', department_id: 3, manager_id: null };
+
+    const changes = diffRecordFields(current, { first_name: 'Ada', department_id: '3', manager_id: '' });
+
+    expect(changes).toEqual({});
+  });
+
+  test('diffRecordFields - should record the old and new value', () => {
+    const changes = diffRecordFields({ role: 'employee', manager_id: 7 }, { role: 'manager', manager_id: '' });
+
+    expect(changes).toEqual({
+      role: { from: 'employee', to: 'manager' },
+      manager_id: { from: 7, to: null }
+    });
+  });
+
+  describe('PUT /api/employees/:id', () => {
+    const db = createPool();
+    const suffix = Date.now() % 1000000;
+    let auth;
+    let employeeId;
+
+    async function individualEntitlements() {
+      const result = await db.query(`
+        SELECT lt.name as leave_type, lp.base_days::FLOAT as base_days
+        FROM leave_policies lp
+        JOIN leave_types lt ON lp.leave_type_id = lt.id
+        WHERE lp.employee_id = $1 AND lp.is_active = true
+        ORDER BY lt.name
+      `, [employeeId]);
+      return result.rows;
+    }
+
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+      auth = { Authorization: `Bearer ${admin.body.token}` };
+
+      const created = await request(app)
+        .post('/api/employees')
+        .set(auth)
+        .send({ employee_id: `EU${suffix}`, email: `update${suffix}@trevi.com`, first_name: 'Update', last_name: 'Test', hire_date: '2020-01-01' });
+      employeeId = created.body.employee.id;
+    });
+
+    afterAll(async () => {
+      await db.end();
+    });
+
+    test('should turn legacy entitlement fields into individual entitlements', async () => {
+      const response = await request(app)
+        .put(`/api/employees/${employeeId}`)
+        .set(auth)
+        .send({ annual_leave_entitlement: 25, sick_leave_entitlement: 12 });
+
+      expect(response.status).toBe(200);
+      expect(await individualEntitlements()).toEqual([
+        { leave_type: 'Annual Leave', base_days: 25 },
+        { leave_type: 'Sick Leave', base_days: 12 }
+      ]);
+    });
+
+    test('should leave entitlements alone when the fields are not sent', async () => {
+      const response = await request(app)
+        .put(`/api/employees/${employeeId}`)
+        .set(auth)
+        .send({ first_name: 'Ada' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.entitlements).toEqual([]);
+      expect(await individualEntitlements()).toEqual([
+        { leave_type: 'Annual Leave', base_days: 25 },
+        { leave_type: 'Sick Leave', base_days: 12 }
+      ]);
+    });
+  });
+
+  describe('POST /api/employees', () => {
+    const db = createPool();
+    const suffix = Date.now() % 1000000;
+    let auth;
+    let annualLeaveId;
+
+    const create = (employeeId, email = `${employeeId.toLowerCase()}@trevi.com`) => request(app)
+      .post('/api/employees')
+      .set(auth)
+      .send({
+        employee_id: employeeId, email, first_name: 'Create', last_name: 'Test',
+        hire_date: '2020-01-01', entitlements: [{ leave_type_id: annualLeaveId, days: 30 }]
+      });
+
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+      auth = { Authorization: `Bearer ${admin.body.token}` };
+
+      const annualLeave = await db.query(`SELECT id FROM leave_types WHERE name = 'Annual Leave'`);
+      annualLeaveId = annualLeave.rows[0].id;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+      await db.end();
+    });
+
+    test('should not return a password', async () => {
+      const response = await create(`EC${suffix}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ employee: expect.objectContaining({ employee_id: `EC${suffix}` }) });
+    });
+
+    test('should store the email lowercase and treat it as taken in any case', async () => {
+      const employeeId = `EM${suffix}`;
+      const response = await create(employeeId, `Mixed.Case${suffix}@Trevi.com`);
+      const again = await create(`EN${suffix}`, `mixed.case${suffix}@trevi.com`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.employee.email).toBe(`mixed.case${suffix}@trevi.com`);
+      expect(again.status).toBe(409);
+    });
+
+    test('should create nothing when opening the leave balances fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const employeeId = `EF${suffix}`;
+
+      // Fail balances for this employee only; the new row is visible to the
+      // trigger because it runs in the same transaction
+      const trigger = `fail_balance_${suffix}`;
+      await db.query(`
+        CREATE FUNCTION ${trigger}() RETURNS TRIGGER AS $$
+        BEGIN
+          IF (SELECT employee_id FROM employees WHERE id = NEW.employee_id) = '${employeeId}' THEN
+            RAISE EXCEPTION 'balance write failed';
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        CREATE TRIGGER ${trigger} BEFORE INSERT ON leave_balances
+          FOR EACH ROW EXECUTE FUNCTION ${trigger}();
+      `);
+
+      let response;
+      try {
+        response = await create(employeeId);
+      } finally {
+        await db.query(`
+          DROP TRIGGER ${trigger} ON leave_balances;
+          DROP FUNCTION ${trigger}();
+        `);
+      }
+
+      expect(response.status).toBe(500);
+      const stored = await db.query(`SELECT 1 FROM employees WHERE employee_id = $1`, [employeeId]);
+      expect(stored.rows).toHaveLength(0);
+      const audited = await db.query(`
+        SELECT 1 FROM audit_logs WHERE action = 'CREATE' AND resource = 'employee' AND details->>'employee_id' = $1
+      `, [employeeId]);
+      expect(audited.rows).toHaveLength(0);
+    });
+  });
+});
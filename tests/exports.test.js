@@ -0,0 +1,31 @@
+const { formatExportValue, toCsvCell } = require('../lib/exports');
+
+describe('Exports', () => {
+  test('toCsvCell - should quote separators, quotes and line breaks', () => {
+    expect(toCsvCell(null)).toBe('');
+    expect(toCsvCell('Doe, Jane')).toBe('"Doe, Jane"');
+    expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(toCsvCell('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('toCsvCell - should stop spreadsheet apps evaluating formulas', () => {
+    expect(toCsvCell('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(toCsvCell('+1')).toBe("'+1");
+    expect(toCsvCell('-1')).toBe("'-1");
+    expect(toCsvCell('@cmd')).toBe("'@cmd");
+    expect(toCsvCell('\t=1')).toBe("'\t=1");
+    expect(toCsvCell('\r=1')).toBe("\"'\r=1\"");
+    expect(toCsvCell(-1)).toBe('-1');
+  });
+
+  test('formatExportValue - should format values by column type', () => {
+    const when = new Date(2025, 0, 5, 9, 7);
+
+    expect(formatExportValue(null, 'date')).toBeNull();
+    expect(formatExportValue('2.5', 'number')).toBe(2.5);
+    expect(formatExportValue(when, 'date')).toBe('2025-01-05');
+    expect(formatExportValue(when, 'datetime')).toBe('2025-01-05 09:07');
+    expect(formatExportValue(false, 'boolean')).toBe('No');
+    expect(formatExportValue({ days: 2 })).toBe('{"days":2}');
+  });
+});
@@ -0,0 +1,39 @@
+const { calculateAccruedDays, calculateAllocatedDays, getAvailableLeaveDays, monthsOfServiceInYear } = require('../lib/leave-accrual');
+
+describe('Leave accrual', () => {
+  const march2025 = new Date(Date.UTC(2025, 2, 10));
+  const monthlyBalance = {
+    allocated_days: '24',
+    remaining_days: '24',
+    accrual_method: 'monthly',
+    max_advance_days: '2',
+    hire_day: '2020-01-01',
+    year: 2025
+  };
+
+  test('monthsOfServiceInYear - should count from the hire month', () => {
+    expect(monthsOfServiceInYear('2025-04-15', 2025)).toBe(9);
+    expect(monthsOfServiceInYear('2025-04-15', 2025, 6)).toBe(3);
+    expect(monthsOfServiceInYear('2020-01-01', 2025)).toBe(12);
+    expect(monthsOfServiceInYear('2026-01-01', 2025)).toBe(0);
+  });
+
+  test('calculateAllocatedDays - should pro-rate time-based entitlements for joiners', () => {
+    expect(calculateAllocatedDays(24, 'pro_rata', '2025-04-15', 2025)).toBe(18);
+    expect(calculateAllocatedDays(20, 'monthly', '2025-08-01', 2025)).toBe(8.5);
+    expect(calculateAllocatedDays(24, 'annual', '2025-04-15', 2025)).toBe(24);
+  });
+
+  test('calculateAccruedDays - should accrue monthly entitlements month by month', () => {
+    expect(calculateAccruedDays(monthlyBalance, march2025)).toBe(6);
+    expect(calculateAccruedDays({ ...monthlyBalance, year: 2024 }, march2025)).toBe(24);
+    expect(calculateAccruedDays({ ...monthlyBalance, year: 2026 }, march2025)).toBe(0);
+    expect(calculateAccruedDays({ ...monthlyBalance, accrual_method: 'pro_rata' }, march2025)).toBe(24);
+  });
+
+  test('getAvailableLeaveDays - should allow borrowing up to the advance limit', () => {
+    expect(getAvailableLeaveDays(monthlyBalance, march2025)).toBe(8);
+    expect(getAvailableLeaveDays({ ...monthlyBalance, max_advance_days: null }, march2025)).toBe(6);
+    expect(getAvailableLeaveDays({ ...monthlyBalance, accrual_method: 'annual' }, march2025)).toBe(24);
+  });
+});
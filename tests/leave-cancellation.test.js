@@ -0,0 +1,167 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server');
+const { createPool } = require('../db');
+
+function isoDate(offsetDays) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date.toISOString().slice(0, 10);
+}
+
+describe('Leave cancellation', () => {
+  const db = createPool();
+  const suffix = Date.now() % 1000000;
+  const email = `cancel${suffix}@trevi.com`;
+  const password = 'Canc3l!Passw0rd';
+  let adminAuth;
+  let employeeAuth;
+  let annualLeaveId;
+
+  // Submitted by the employee and approved by admin
+  async function approvedLeave(startDate, endDate) {
+    const submitted = await request(app)
+      .post('/api/leave-requests')
+      .set(employeeAuth)
+      .send({ leave_type_id: annualLeaveId, start_date: startDate, end_date: endDate, reason: 'Cancellation test' });
+    expect(submitted.status).toBe(201);
+
+    const approved = await request(app)
+      .patch(`/api/leave-requests/${submitted.body.id}/approve`)
+      .set(adminAuth)
+      .send({});
+    expect(approved.status).toBe(200);
+    return approved.body;
+  }
+
+  const cancel = id => request(app)
+    .patch(`/api/leave-requests/${id}/cancel`)
+    .set(adminAuth)
+    .send({ reason: 'Plans changed' });
+
+  async function ledgerEntries(leaveRequestId) {
+    const result = await db.query(`
+      SELECT entry_type, year, days::FLOAT as days FROM leave_ledger_entries
+      WHERE leave_request_id = $1
+      ORDER BY id
+    `, [leaveRequestId]);
+    return result.rows;
+  }
+
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+    adminAuth = { Authorization: `Bearer ${admin.body.token}` };
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set(adminAuth)
+      .send({ employee_id: `C${suffix}`, email, first_name: 'Cancel', last_name: 'Test', hire_date: '2020-01-01' });
+
+    await db.query(`
+      UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+    `, [await bcrypt.hash(password, 10), created.body.employee.id]);
+
+    const employee = await request(app).post('/api/auth/login').send({ email, password });
+    employeeAuth = { Authorization: `Bearer ${employee.body.token}` };
+
+    const annualLeave = await db.query(`SELECT id FROM leave_types WHERE name = 'Annual Leave'`);
+    annualLeaveId = annualLeave.rows[0].id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('PATCH /api/leave-requests/:id/cancel - should refund every day of leave that has not started', async () => {
+    const leave = await approvedLeave('2031-03-03', '2031-03-05');
+
+    const response = await cancel(leave.id);
+
+    expect(response.status).toBe(200);
+    expect(response.body.refunded_days).toBe(3);
+    expect(response.body.leave_request.status).toBe('cancelled');
+    expect(await ledgerEntries(leave.id)).toEqual([
+      { entry_type: 'approval_deduction', year: 2031, days: -3 },
+      { entry_type: 'cancellation_refund', year: 2031, days: 3 }
+    ]);
+  });
+
+  test('PATCH /api/leave-requests/:id/cancel - should charge and refund leave over New Year to both years', async () => {
+    const workingDays = async (startDate, endDate) => (await request(app)
+      .get('/api/leave-requests/working-days')
+      .set(adminAuth)
+      .query({ start_date: startDate, end_date: endDate })).body.total_days;
+    const firstYearDays = await workingDays('2031-12-29', '2031-12-31');
+    const secondYearDays = await workingDays('2032-01-01', '2032-01-02');
+    const leave = await approvedLeave('2031-12-29', '2032-01-02');
+
+    const response = await cancel(leave.id);
+
+    expect(response.status).toBe(200);
+    expect(await ledgerEntries(leave.id)).toEqual([
+      { entry_type: 'approval_deduction', year: 2031, days: -firstYearDays },
+      { entry_type: 'approval_deduction', year: 2032, days: -secondYearDays },
+      { entry_type: 'cancellation_refund', year: 2031, days: firstYearDays },
+      { entry_type: 'cancellation_refund', year: 2032, days: secondYearDays }
+    ]);
+  });
+
+  test('PATCH /api/leave-requests/:id/cancel - should only refund unused days of leave in progress', async () => {
+    const leave = await approvedLeave(isoDate(-3), isoDate(3));
+    const taken = await request(app)
+      .get('/api/leave-requests/working-days')
+      .set(adminAuth)
+      .query({ start_date: isoDate(-3), end_date: isoDate(0) });
+    const unusedDays = parseFloat(leave.total_days) - taken.body.total_days;
+
+    const response = await cancel(leave.id);
+
+    expect(response.status).toBe(200);
+    expect(response.body.refunded_days).toBe(unusedDays);
+    expect(response.body.leave_request).toMatchObject({ status: 'approved', total_days: taken.body.total_days.toFixed(1) });
+    expect((await ledgerEntries(leave.id)).pop()).toMatchObject({ entry_type: 'cancellation_refund', days: unusedDays });
+  });
+
+  test('PATCH /api/leave-requests/:id/cancel - should roll back the cancellation when the refund fails', async () => {
+    const leave = await approvedLeave('2031-03-10', '2031-03-11');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Fail the refund for this request only
+    const trigger = `fail_refund_${suffix}`;
+    await db.query(`
+      CREATE FUNCTION ${trigger}() RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'refund failed';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER ${trigger} BEFORE INSERT ON leave_ledger_entries
+        FOR EACH ROW WHEN (NEW.leave_request_id = ${leave.id} AND NEW.entry_type = 'cancellation_refund')
+        EXECUTE FUNCTION ${trigger}();
+    `);
+
+    let response;
+    try {
+      response = await cancel(leave.id);
+    } finally {
+      await db.query(`
+        DROP TRIGGER ${trigger} ON leave_ledger_entries;
+        DROP FUNCTION ${trigger}();
+      `);
+    }
+
+    expect(response.status).toBe(500);
+    const stored = await db.query(`SELECT status, cancelled_by FROM leave_requests WHERE id = $1`, [leave.id]);
+    expect(stored.rows[0]).toEqual({ status: 'approved', cancelled_by: null });
+    expect(await ledgerEntries(leave.id)).toEqual([{ entry_type: 'approval_deduction', year: 2031, days: -2 }]);
+  });
+});
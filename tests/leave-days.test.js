@@ -0,0 +1,43 @@
+const { buildLeaveDayBreakdown, chargedDaysByYear, parseDateOnly } = require('../lib/leave-days');
+
+describe('Leave day calculation', () => {
+  test('parseDateOnly - should reject impossible dates', () => {
+    expect(parseDateOnly('2025-02-28').toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(parseDateOnly('2025-02-30')).toBeNull();
+    expect(parseDateOnly('28/02/2025')).toBeNull();
+  });
+
+  test('buildLeaveDayBreakdown - should not charge weekends', () => {
+    const result = buildLeaveDayBreakdown(parseDateOnly('2025-10-17'), parseDateOnly('2025-10-20'), 'full-day', []);
+
+    expect(result.total_days).toBe(2);
+    expect(result.days.map(day => day.excluded_reason)).toEqual([null, 'weekend', 'weekend', null]);
+  });
+
+  test('buildLeaveDayBreakdown - should charge half days', () => {
+    const result = buildLeaveDayBreakdown(parseDateOnly('2025-10-20'), parseDateOnly('2025-10-21'), 'half-day-morning', []);
+
+    expect(result.total_days).toBe(1);
+    expect(result.days[0].charged_days).toBe(0.5);
+  });
+
+  test('buildLeaveDayBreakdown - should apply recurring holidays only from the year they were entered', () => {
+    const holidays = [{ name: 'Christmas Day', date: '2025-12-25', is_recurring: true }];
+
+    const before = buildLeaveDayBreakdown(parseDateOnly('2024-12-25'), parseDateOnly('2024-12-25'), 'full-day', holidays);
+    const after = buildLeaveDayBreakdown(parseDateOnly('2030-12-25'), parseDateOnly('2030-12-25'), 'full-day', holidays);
+
+    expect(before.total_days).toBe(1);
+    expect(after.total_days).toBe(0);
+    expect(after.days[0]).toMatchObject({ excluded_reason: 'holiday', holiday_name: 'Christmas Day' });
+  });
+
+  test('chargedDaysByYear - should split leave across the years its days fall in', () => {
+    const result = buildLeaveDayBreakdown(parseDateOnly('2031-12-30'), parseDateOnly('2032-01-02'), 'full-day', []);
+
+    expect(chargedDaysByYear(result.days, result.total_days)).toEqual([
+      { year: 2031, days: 2 },
+      { year: 2032, days: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,52 @@
+const request = require('supertest');
+const app = require('../server');
+const { formatLetterDate, leaveReferenceNumber } = require('../lib/leave-documents');
+
+describe('Leave documents', () => {
+  test('leaveReferenceNumber - should combine the leave year and request id', () => {
+    expect(leaveReferenceNumber({ id: 42, start_date: '2025-12-29' })).toBe('TLM-2025-000042');
+  });
+
+  test('formatLetterDate - should write dates out in full', () => {
+    expect(formatLetterDate(new Date(Date.UTC(2025, 9, 3)))).toBe('3 October 2025');
+  });
+
+  describe('PDF endpoints', () => {
+    let token;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+
+      token = response.body.token;
+    });
+
+    test('GET /api/leave-balances/statement - should return a PDF statement', async () => {
+      const response = await request(app)
+        .get('/api/leave-balances/statement')
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('GET /api/leave-requests/:id/approval-letter - should return 404 for unknown requests', async () => {
+      const response = await request(app)
+        .get('/api/leave-requests/999999/approval-letter')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
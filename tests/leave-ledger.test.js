@@ -0,0 +1,101 @@
+const request = require('supertest');
+const app = require('../server');
+const { createPool } = require('../db');
+
+describe('Leave ledger', () => {
+  const db = createPool();
+  const suffix = Date.now() % 1000000;
+  let auth;
+  let employeeId;
+  let leaveTypeId;
+
+  const adjust = (days, year = 2032) => request(app)
+    .post('/api/leave-balances/adjustments')
+    .set(auth)
+    .send({ employee_id: employeeId, leave_type_id: leaveTypeId, days, justification: 'Ledger test', year });
+
+  async function storedBalance(year) {
+    const result = await db.query(`
+      SELECT adjusted_days::FLOAT as adjusted_days, remaining_days::FLOAT as remaining_days
+      FROM leave_balances WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3
+    `, [employeeId, leaveTypeId, year]);
+    return result.rows[0];
+  }
+
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+    auth = { Authorization: `Bearer ${admin.body.token}` };
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set(auth)
+      .send({ employee_id: `LG${suffix}`, email: `ledger${suffix}@trevi.com`, first_name: 'Ledger', last_name: 'Test', hire_date: '2020-01-01' });
+    employeeId = created.body.employee.id;
+
+    const annualLeave = await db.query(`SELECT id FROM leave_types WHERE name = 'Annual Leave'`);
+    leaveTypeId = annualLeave.rows[0].id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('POST /api/leave-balances/adjustments - should post an entry and keep the balance in step with the ledger', async () => {
+    expect((await adjust(2)).status).toBe(201);
+    expect((await adjust(-0.5)).status).toBe(201);
+
+    const ledger = await request(app)
+      .get(`/api/employees/${employeeId}/leave-ledger`)
+      .set(auth)
+      .query({ year: 2032, leave_type_id: leaveTypeId });
+
+    expect(ledger.status).toBe(200);
+    expect(ledger.body.entries.map(entry => [entry.entry_type, parseFloat(entry.days), entry.reason])).toEqual([
+      ['manual_adjustment', 2, 'Ledger test'],
+      ['manual_adjustment', -0.5, 'Ledger test']
+    ]);
+    expect(parseFloat(ledger.body.balances[0].remaining_days)).toBe(1.5);
+    expect(await storedBalance(2032)).toEqual({ adjusted_days: 1.5, remaining_days: 1.5 });
+  });
+
+  test('POST /api/leave-balances/adjustments - should leave the balance untouched when the ledger write fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await adjust(3, 2033)).status).toBe(201);
+
+    // Fail ledger writes for this employee only
+    const trigger = `fail_ledger_${suffix}`;
+    await db.query(`
+      CREATE FUNCTION ${trigger}() RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'ledger write failed';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER ${trigger} BEFORE INSERT ON leave_ledger_entries
+        FOR EACH ROW WHEN (NEW.employee_id = ${employeeId})
+        EXECUTE FUNCTION ${trigger}();
+    `);
+
+    let response;
+    try {
+      response = await adjust(-1, 2033);
+    } finally {
+      await db.query(`
+        DROP TRIGGER ${trigger} ON leave_ledger_entries;
+        DROP FUNCTION ${trigger}();
+      `);
+    }
+
+    expect(response.status).toBe(500);
+    expect(await storedBalance(2033)).toEqual({ adjusted_days: 3, remaining_days: 3 });
+  });
+});
@@ -0,0 +1,58 @@
+const { buildLeaveEntitlements, calculatePolicyEntitlement, resolveLeavePolicy } = require('../lib/leave-policies');
+
+const policy = fields => ({
+  id: 1, leave_type_id: 1, name: 'Company default', employee_id: null, department_id: null, role: null,
+  min_service_years: 0, max_service_years: null, base_days: '20',
+  service_step_years: null, service_step_days: '0', max_days: null,
+  ...fields
+});
+
+describe('Leave policies', () => {
+  const employee = { id: 7, role: 'manager', department_id: 3, hire_day: '2019-06-01' };
+
+  test('resolveLeavePolicy - should prefer the most specific matching policy', () => {
+    const policies = [
+      policy({ id: 1 }),
+      policy({ id: 2, role: 'manager', base_days: '22' }),
+      policy({ id: 3, department_id: 3, base_days: '23' }),
+      policy({ id: 4, department_id: 4, base_days: '30' }),
+      policy({ id: 5, employee_id: 8, base_days: '40' })
+    ];
+
+    expect(resolveLeavePolicy(policies, employee, 5).id).toBe(3);
+    expect(resolveLeavePolicy([...policies, policy({ id: 6, employee_id: 7, base_days: '25' })], employee, 5).id).toBe(6);
+  });
+
+  test('resolveLeavePolicy - should respect service bands', () => {
+    const policies = [
+      policy({ id: 1, max_service_years: 5 }),
+      policy({ id: 2, min_service_years: 5, base_days: '25' })
+    ];
+
+    expect(resolveLeavePolicy(policies, employee, 4).id).toBe(1);
+    expect(resolveLeavePolicy(policies, employee, 5).id).toBe(2);
+    expect(resolveLeavePolicy([], employee, 5)).toBeNull();
+  });
+
+  test('calculatePolicyEntitlement - should add service steps up to the maximum', () => {
+    const stepped = policy({ service_step_years: 2, service_step_days: '1', max_days: '23' });
+
+    expect(calculatePolicyEntitlement(stepped, 1)).toBe(20);
+    expect(calculatePolicyEntitlement(stepped, 5)).toBe(22);
+    expect(calculatePolicyEntitlement(stepped, 10)).toBe(23);
+  });
+
+  test('buildLeaveEntitlements - should give leave types without a policy no days', () => {
+    const leaveTypes = [
+      { id: 1, name: 'Annual Leave', accrual_method: 'annual' },
+      { id: 2, name: 'Study Leave', accrual_method: 'annual' }
+    ];
+
+    const entitlements = buildLeaveEntitlements(employee, leaveTypes, [policy({ service_step_years: 1, service_step_days: '1' })], 2025);
+
+    expect(entitlements).toEqual([
+      expect.objectContaining({ leave_type_id: 1, policy_id: 1, service_years: 5, entitled_days: 25, allocated_days: 25 }),
+      expect.objectContaining({ leave_type_id: 2, policy_id: null, entitled_days: 0, allocated_days: 0 })
+    ]);
+  });
+});
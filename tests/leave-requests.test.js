@@ -0,0 +1,65 @@
+const request = require('supertest');
+const app = require('../server');
+
+describe('Leave Requests', () => {
+  let token;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+
+    token = response.body.token;
+  });
+
+  test('GET /api/leave-requests/working-days - should not charge weekends', async () => {
+    const response = await request(app)
+      .get('/api/leave-requests/working-days')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ start_date: '2025-10-17', end_date: '2025-10-20' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.total_days).toBe(2);
+    expect(response.body.days).toHaveLength(4);
+    expect(response.body.days[1]).toMatchObject({ weekday: 'Saturday', charged_days: 0, excluded_reason: 'weekend' });
+  });
+
+  test('GET /api/leave-requests/working-days - should not charge recurring holidays', async () => {
+    const response = await request(app)
+      .get('/api/leave-requests/working-days')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ start_date: '2030-12-23', end_date: '2030-12-27' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.total_days).toBe(3);
+    expect(response.body.days[2]).toMatchObject({ excluded_reason: 'holiday', holiday_name: 'Christmas Day' });
+  });
+
+  test('GET /api/leave-requests/working-days - should reject invalid dates', async () => {
+    const response = await request(app)
+      .get('/api/leave-requests/working-days')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ start_date: '2025-02-30', end_date: '2025-03-02' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error');
+  });
+
+  test('POST /api/leave-requests - should report each invalid field', async () => {
+    const response = await request(app)
+      .post('/api/leave-requests')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ leave_type_id: 'annual', start_date: '2025-02-30', end_date: '2025-03-02' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('validation_error');
+    expect(response.body.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'leave_type_id' }),
+      expect.objectContaining({ field: 'start_date' }),
+      expect.objectContaining({ field: 'reason' })
+    ]));
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../server');
+const { createPool } = require('../db');
+
+// Rolls 2040 over into 2041 so the years never collide with real balances
+const FROM_YEAR = 2040;
+
+describe('Leave rollover', () => {
+  const db = createPool();
+  const suffix = Date.now() % 1000000;
+  let auth;
+  let employeeId;
+  let bookedAheadId;
+  let bookedAheadLeave;
+  let leaveTypes;
+
+  const rollover = dryRun => request(app)
+    .post('/api/leave-balances/rollover')
+    .set(auth)
+    .send({ year: FROM_YEAR, dry_run: dryRun });
+
+  const linesFor = (report, id = employeeId) => report.lines.filter(line => line.employee_id === id);
+
+  const adjust = (id, leaveTypeId, days) => request(app)
+    .post('/api/leave-balances/adjustments')
+    .set(auth)
+    .send({ employee_id: id, leave_type_id: leaveTypeId, days, justification: 'Rollover test', year: FROM_YEAR });
+
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+    auth = { Authorization: `Bearer ${admin.body.token}` };
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set(auth)
+      .send({ employee_id: `RO${suffix}`, email: `rollover${suffix}@trevi.com`, first_name: 'Roll', last_name: 'Over', hire_date: '2020-01-01' });
+    employeeId = created.body.employee.id;
+
+    const types = await db.query(`SELECT id, name FROM leave_types WHERE name IN ('Annual Leave', 'Sick Leave')`);
+    leaveTypes = Object.fromEntries(types.rows.map(type => [type.name, type.id]));
+
+    // Unused days left over in the source year
+    for (const [name, days] of [['Annual Leave', 8], ['Sick Leave', 4]]) {
+      await adjust(employeeId, leaveTypes[name], days);
+    }
+
+    // Leave in the new year, booked and approved before the rollover runs
+    const email = `rolloverahead${suffix}@trevi.com`;
+    const password = 'R0llover!Passw0rd';
+    const bookedAhead = await request(app)
+      .post('/api/employees')
+      .set(auth)
+      .send({ employee_id: `ROA${suffix}`, email, first_name: 'Booked', last_name: 'Ahead', hire_date: '2020-01-01' });
+    bookedAheadId = bookedAhead.body.employee.id;
+    await db.query(`
+      UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+    `, [await bcrypt.hash(password, 10), bookedAheadId]);
+    await adjust(bookedAheadId, leaveTypes['Annual Leave'], 8);
+
+    const login = await request(app).post('/api/auth/login').send({ email, password });
+    const submitted = await request(app)
+      .post('/api/leave-requests')
+      .set({ Authorization: `Bearer ${login.body.token}` })
+      .send({ leave_type_id: leaveTypes['Annual Leave'], start_date: `${FROM_YEAR + 1}-01-07`, end_date: `${FROM_YEAR + 1}-01-08`, reason: 'Rollover test' });
+    const approved = await request(app)
+      .patch(`/api/leave-requests/${submitted.body.id}/approve`)
+      .set(auth)
+      .send({});
+    bookedAheadLeave = approved.body;
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('POST /api/leave-balances/rollover - should carry unused days up to the cap and forfeit the rest', async () => {
+    const response = await rollover(true);
+
+    expect(response.status).toBe(200);
+    expect(response.body.dry_run).toBe(true);
+    const lines = linesFor(response.body);
+    expect(lines).toEqual(expect.arrayContaining([
+      expect.objectContaining({ leave_type: 'Annual Leave', unused_days: 8, carried_forward_days: 5, forfeited_days: 3, carry_forward_expires_on: `${FROM_YEAR + 1}-03-31` }),
+      expect.objectContaining({ leave_type: 'Sick Leave', unused_days: 4, carried_forward_days: 0, forfeited_days: 4, carry_forward_expires_on: null })
+    ]));
+    // Leave booked into the new year doesn't count against the old one
+    expect(linesFor(response.body, bookedAheadId)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ leave_type: 'Annual Leave', unused_days: 8, carried_forward_days: 5 })
+    ]));
+
+    const opened = await db.query(`SELECT 1 FROM leave_balances WHERE employee_id = $1 AND year = $2`, [employeeId, FROM_YEAR + 1]);
+    expect(opened.rows).toHaveLength(0);
+  });
+
+  test('POST /api/leave-balances/rollover - should post carry-forward entries and mark the old balance when applied', async () => {
+    const response = await rollover(false);
+
+    expect(response.status).toBe(200);
+    const entries = await db.query(`
+      SELECT entry_type, days::FLOAT as days FROM leave_ledger_entries
+      WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3
+      ORDER BY id
+    `, [employeeId, leaveTypes['Annual Leave'], FROM_YEAR + 1]);
+    const allocated = linesFor(response.body).find(line => line.leave_type === 'Annual Leave').allocated_days;
+    expect(entries.rows).toEqual([
+      { entry_type: 'accrual', days: allocated },
+      { entry_type: 'carry_forward', days: 5 }
+    ]);
+
+    const balance = await db.query(`
+      SELECT remaining_days::FLOAT as remaining_days, TO_CHAR(carry_forward_expires_on, 'YYYY-MM-DD') as expires_on
+      FROM leave_balances WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3
+    `, [employeeId, leaveTypes['Annual Leave'], FROM_YEAR + 1]);
+    expect(balance.rows[0]).toEqual({ remaining_days: allocated + 5, expires_on: `${FROM_YEAR + 1}-03-31` });
+
+    const source = await db.query(`
+      SELECT rolled_over_at FROM leave_balances WHERE employee_id = $1 AND year = $2
+    `, [employeeId, FROM_YEAR]);
+    expect(source.rows.every(row => row.rolled_over_at !== null)).toBe(true);
+  });
+
+  test('POST /api/leave-balances/rollover - should carry forward on top of a new-year balance that already has leave taken from it', async () => {
+    expect(bookedAheadLeave.status).toBe('approved');
+
+    const entries = await db.query(`
+      SELECT entry_type, days::FLOAT as days FROM leave_ledger_entries
+      WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3
+      ORDER BY id
+    `, [bookedAheadId, leaveTypes['Annual Leave'], FROM_YEAR + 1]);
+    const leaveDays = parseFloat(bookedAheadLeave.total_days);
+    const allocated = entries.rows[0].days;
+    expect(entries.rows).toEqual([
+      { entry_type: 'accrual', days: allocated },
+      { entry_type: 'approval_deduction', days: -leaveDays },
+      { entry_type: 'carry_forward', days: 5 }
+    ]);
+
+    const balance = await db.query(`
+      SELECT remaining_days::FLOAT as remaining_days, carried_forward_days::FLOAT as carried_forward_days
+      FROM leave_balances WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3
+    `, [bookedAheadId, leaveTypes['Annual Leave'], FROM_YEAR + 1]);
+    expect(balance.rows[0]).toEqual({ remaining_days: allocated - leaveDays + 5, carried_forward_days: 5 });
+  });
+
+  test('POST /api/leave-balances/rollover - should skip balances that were already rolled over', async () => {
+    const response = await rollover(false);
+
+    expect(response.status).toBe(200);
+    expect(linesFor(response.body)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ leave_type: 'Annual Leave', status: 'already_rolled_over' }),
+      expect.objectContaining({ leave_type: 'Sick Leave', status: 'already_rolled_over' })
+    ]));
+
+    const carried = await db.query(`
+      SELECT COUNT(*)::INTEGER as count FROM leave_ledger_entries
+      WHERE employee_id = $1 AND year = $2 AND entry_type = 'carry_forward'
+    `, [employeeId, FROM_YEAR + 1]);
+    expect(carried.rows[0].count).toBe(1);
+  });
+});
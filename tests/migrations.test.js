@@ -0,0 +1,72 @@
+const path = require('path');
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown } = require('../migrations/migrate');
+
+// A pool whose single client records statements and tracks schema_migrations
+function fakePool(appliedVersions) {
+  const migrations = loadMigrations();
+  let applied = migrations
+    .filter(migration => appliedVersions.includes(migration.version))
+    .map(({ version, name }) => ({ version, name, applied_at: new Date() }));
+  const statements = [];
+
+  const client = {
+    statements,
+    release: jest.fn(),
+    query: jest.fn(async (text, params) => {
+      statements.push(text.trim().split('\n')[0]);
+      if (/pg_try_advisory_lock/.test(text)) return { rows: [{ locked: true }] };
+      if (/to_regclass/.test(text)) return { rows: [{ name: 'schema_migrations' }] };
+      if (/SELECT version, name/.test(text)) return { rows: applied };
+      if (/INSERT INTO schema_migrations/.test(text)) applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+      if (/DELETE FROM schema_migrations/.test(text)) applied = applied.filter(row => row.version !== params[0]);
+      return { rows: [] };
+    })
+  };
+  return { client, connect: async () => client, query: client.query };
+}
+
+describe('Migrations', () => {
+  test('loadMigrations - should list numbered files in version order', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations[0]).toMatchObject({ version: 1, name: '001_initial_schema', file: '001_initial_schema.js' });
+    expect(migrations.map(m => m.version)).toEqual([...migrations.map(m => m.version)].sort((a, b) => a - b));
+    for (const migration of migrations) {
+      const { up, down } = require(path.join(__dirname, '../migrations', migration.file));
+      expect(typeof up).toBe('function');
+      expect(typeof down).toBe('function');
+    }
+  });
+
+  test('getMigrationStatus - should report everything pending before the table exists', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ name: null }] }) };
+
+    const status = await getMigrationStatus(db);
+
+    expect(status.applied).toEqual([]);
+    expect(status.pending).toHaveLength(loadMigrations().length);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('migrateUp - should apply only pending migrations, each in its own transaction, under the lock', async () => {
+    const pool = fakePool([1]);
+    const up = jest.spyOn(require('../migrations/002_default_data'), 'up');
+
+    const applied = await migrateUp(pool);
+
+    expect(applied.map(m => m.version)).toEqual(loadMigrations().map(m => m.version).filter(v => v > 1));
+    expect(up).toHaveBeenCalledWith(pool.client);
+    const { statements } = pool.client;
+    expect(statements[0]).toMatch(/pg_try_advisory_lock/);
+    expect(statements.filter(s => s === 'BEGIN')).toHaveLength(applied.length);
+    expect(statements[statements.length - 1]).toMatch(/pg_advisory_unlock/);
+    expect(pool.client.release).toHaveBeenCalled();
+  });
+
+  test('migrateDown - should refuse to revert the initial schema', async () => {
+    const pool = fakePool([1]);
+
+    await expect(migrateDown(pool)).rejects.toThrow('The initial schema cannot be reverted');
+    expect(pool.client.statements).toContain('ROLLBACK');
+  });
+});
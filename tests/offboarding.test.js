@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../server');
+const { createPool } = require('../db');
+const { buildFinalLeaveSettlement } = require('../lib/leave-accrual');
+
+describe('Offboarding', () => {
+  const balance = {
+    leave_type_id: 1,
+    leave_type_name: 'Annual Leave',
+    allocated_days: '24.0',
+    carried_forward_days: '2.0',
+    adjusted_days: '0',
+    used_days: '5.0',
+    expired_days: '0',
+    hire_day: '2020-03-01',
+    year: 2025
+  };
+
+  test('buildFinalLeaveSettlement - should keep annual entitlements whole', () => {
+    const [settlement] = buildFinalLeaveSettlement([{ ...balance, accrual_method: 'annual' }], '2025-03-31');
+
+    expect(settlement.earned_days).toBe(24);
+    expect(settlement.settlement_days).toBe(21);
+  });
+
+  test('buildFinalLeaveSettlement - should earn time-based entitlements up to the exit month', () => {
+    const [settlement] = buildFinalLeaveSettlement([{ ...balance, accrual_method: 'monthly' }], '2025-03-31');
+
+    expect(settlement.earned_days).toBe(6);
+    expect(settlement.settlement_days).toBe(3);
+  });
+
+  test('buildFinalLeaveSettlement - should settle negative when more leave was taken than earned', () => {
+    const hiredThisYear = { ...balance, accrual_method: 'pro_rata', allocated_days: '10.0', hire_day: '2025-07-15', carried_forward_days: '0', used_days: '4.0' };
+
+    const [settlement] = buildFinalLeaveSettlement([hiredThisYear], '2025-08-20');
+
+    expect(settlement.earned_days).toBe(3.5);
+    expect(settlement.settlement_days).toBe(-0.5);
+  });
+});
+
+describe('Offboarding an employee', () => {
+  const db = createPool();
+  const suffix = Date.now() % 1000000;
+  let auth;
+  let employeeId;
+
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+    auth = { Authorization: `Bearer ${admin.body.token}` };
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set(auth)
+      .send({ employee_id: `OB${suffix}`, email: `offboard${suffix}@trevi.com`, first_name: 'Off', last_name: 'Board', hire_date: '2020-01-01' });
+    employeeId = created.body.employee.id;
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('POST /api/employees/:id/offboard - should refuse an exit date in the future', async () => {
+    const response = await request(app)
+      .post(`/api/employees/${employeeId}/offboard`)
+      .set(auth)
+      .send({ exit_date: '2099-01-01' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Exit date cannot be in the future');
+    const employee = await db.query(`SELECT is_active FROM employees WHERE id = $1`, [employeeId]);
+    expect(employee.rows[0].is_active).toBe(true);
+  });
+
+  test('DELETE /api/employees/:id - should cancel pending requests that ended before the exit date', async () => {
+    const pending = await db.query(`
+      INSERT INTO leave_requests (employee_id, leave_type_id, start_date, end_date, total_days, reason)
+      SELECT $1, id, '2020-06-01', '2020-06-02', 2, 'Never decided' FROM leave_types WHERE name = 'Annual Leave'
+      RETURNING id
+    `, [employeeId]);
+
+    const response = await request(app)
+      .delete(`/api/employees/${employeeId}`)
+      .set(auth)
+      .send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.cancelled_leave).toEqual([{ id: pending.rows[0].id, status: 'pending', refunded_days: 0 }]);
+    const stored = await db.query(`SELECT status FROM leave_requests WHERE id = $1`, [pending.rows[0].id]);
+    expect(stored.rows[0].status).toBe('cancelled');
+  });
+});
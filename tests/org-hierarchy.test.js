@@ -0,0 +1,94 @@
+const request = require('supertest');
+const app = require('../server');
+const { createPool } = require('../db');
+const { buildOrgTree } = require('../lib/org-hierarchy');
+
+describe('Reporting hierarchy', () => {
+  test('buildOrgTree - should nest reports under their managers', () => {
+    const rows = [
+      { id: 1, manager_id: null },
+      { id: 2, manager_id: 1 },
+      { id: 3, manager_id: 2 },
+      { id: 4, manager_id: 99 }
+    ];
+
+    const tree = buildOrgTree(rows, [1]);
+
+    expect(tree.map(node => node.id)).toEqual([1, 4]);
+    expect(tree[0].reports[0].id).toBe(2);
+    expect(tree[0].reports[0].reports[0].id).toBe(3);
+  });
+
+  describe('API', () => {
+    const db = createPool();
+    const suffix = Date.now() % 1000000;
+    let auth;
+    let ids;
+
+    // manager -> lead -> engineer
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@trevi.com',
+          password: 'admin123'
+        });
+      auth = { Authorization: `Bearer ${admin.body.token}` };
+
+      ids = [];
+      for (const name of ['manager', 'lead', 'engineer']) {
+        const created = await request(app)
+          .post('/api/employees')
+          .set(auth)
+          .send({
+            employee_id: `ORG${suffix}${name[0]}`, email: `${name}.org${suffix}@trevi.com`,
+            first_name: name, last_name: 'Test', hire_date: '2024-01-01', manager_id: ids[ids.length - 1] || null
+          });
+        ids.push(created.body.employee.id);
+      }
+    });
+
+    afterAll(async () => {
+      await db.end();
+    });
+
+    test('GET /api/org-chart - should include indirect reports up to the depth', async () => {
+      const [manager, lead, engineer] = ids;
+
+      const all = await request(app).get('/api/org-chart').set(auth).query({ root_id: manager });
+      const direct = await request(app).get('/api/org-chart').set(auth).query({ root_id: manager, depth: 1 });
+
+      expect(all.status).toBe(200);
+      expect(all.body).toHaveLength(1);
+      expect(all.body[0]).toMatchObject({ id: manager, depth: 0 });
+      expect(all.body[0].reports[0]).toMatchObject({ id: lead, depth: 1 });
+      expect(all.body[0].reports[0].reports[0]).toMatchObject({ id: engineer, depth: 2 });
+      expect(direct.body[0].reports[0].reports).toEqual([]);
+    });
+
+    test('PUT /api/employees/:id - should refuse a manager from below', async () => {
+      const [manager, , engineer] = ids;
+
+      const response = await request(app)
+        .put(`/api/employees/${manager}`)
+        .set(auth)
+        .send({ manager_id: engineer });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('The new manager reports to this employee; this would create a reporting cycle');
+      const stored = await db.query(`SELECT manager_id FROM employees WHERE id = $1`, [manager]);
+      expect(stored.rows[0].manager_id).toBeNull();
+    });
+
+    test('PUT /api/employees/:id - should accept a manager from elsewhere in the tree', async () => {
+      const [manager, , engineer] = ids;
+
+      const response = await request(app)
+        .put(`/api/employees/${engineer}`)
+        .set(auth)
+        .send({ manager_id: manager });
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { coversGrant, hasPermission, requirePermission, roleAssignmentError } = require('../lib/permissions');
+
+describe('Permissions', () => {
+  const hrManager = {
+    permissions: {
+      'employees.view': null,
+      'employees.manage': [2, 3],
+      'leave.approve': [3]
+    }
+  };
+
+  test('hasPermission - should honour department-limited grants', () => {
+    expect(hasPermission(hrManager, 'employees.view', 9)).toBe(true);
+    expect(hasPermission(hrManager, 'employees.manage')).toBe(true);
+    expect(hasPermission(hrManager, 'employees.manage', '3')).toBe(true);
+    expect(hasPermission(hrManager, 'employees.manage', 4)).toBe(false);
+    expect(hasPermission(hrManager, 'roles.manage')).toBe(false);
+    expect(hasPermission({}, 'employees.view')).toBe(false);
+  });
+
+  test('coversGrant - should only cover grants no wider than your own', () => {
+    expect(coversGrant(hrManager, 'employees.manage', [2])).toBe(true);
+    expect(coversGrant(hrManager, 'employees.manage', [2, 4])).toBe(false);
+    expect(coversGrant(hrManager, 'employees.manage', null)).toBe(false);
+    expect(coversGrant(hrManager, 'employees.view', null)).toBe(true);
+    expect(coversGrant(hrManager, 'roles.manage', [2])).toBe(false);
+  });
+
+  test('roleAssignmentError - should refuse unknown roles and escalation', () => {
+    const assignable = new Map([['employee', true], ['admin', false]]);
+
+    expect(roleAssignmentError(assignable, 'employee')).toBeNull();
+    expect(roleAssignmentError(assignable, 'admin')).toBe('You cannot assign the admin role');
+    expect(roleAssignmentError(assignable, 'owner')).toBe('Unknown role "owner"');
+  });
+
+  test('requirePermission - should pass users holding any of the permissions', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    requirePermission('roles.manage', 'employees.view')({ user: hrManager }, res, next);
+    requirePermission('roles.manage')({ user: hrManager }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
+  });
+});
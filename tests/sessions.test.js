@@ -0,0 +1,87 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const app = require('../server');
+const { createPool } = require('../db');
+
+describe('Sessions', () => {
+  const db = createPool();
+  const suffix = Date.now() % 1000000;
+  const email = `session${suffix}@trevi.com`;
+  const password = 'Sess10n!Passw0rd';
+
+  const login = () => request(app).post('/api/auth/login').send({ email, password });
+  const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refresh_token: refreshToken });
+
+  beforeAll(async () => {
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+
+    const created = await request(app)
+      .post('/api/employees')
+      .set('Authorization', `Bearer ${admin.body.token}`)
+      .send({ employee_id: `S${suffix}`, email, first_name: 'Session', last_name: 'Test', hire_date: '2024-01-01' });
+
+    await db.query(`
+      UPDATE employees SET password = $1, must_change_password = false WHERE id = $2
+    `, [await bcrypt.hash(password, 10), created.body.employee.id]);
+  });
+
+  afterAll(async () => {
+    await db.end();
+  });
+
+  test('POST /api/auth/login - should store only a digest of the refresh token and tie the access token to the session', async () => {
+    const session = (await login()).body;
+
+    const { sid } = jwt.decode(session.token);
+    const stored = await db.query(`SELECT refresh_token_hash FROM user_sessions WHERE id = $1`, [sid]);
+    expect(stored.rows[0].refresh_token_hash).toBe(crypto.createHash('sha256').update(session.refresh_token).digest('hex'));
+  });
+
+  test('POST /api/auth/refresh - should rotate the refresh token', async () => {
+    const session = (await login()).body;
+
+    const renewed = await refresh(session.refresh_token);
+
+    expect(renewed.status).toBe(200);
+    expect(renewed.body.refresh_token).not.toBe(session.refresh_token);
+    const me = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${renewed.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  test('POST /api/auth/refresh - should end the session when an old refresh token is replayed', async () => {
+    const session = (await login()).body;
+    const renewed = (await refresh(session.refresh_token)).body;
+
+    const replayed = await refresh(session.refresh_token);
+
+    expect(replayed.status).toBe(401);
+    expect((await refresh(renewed.refresh_token)).status).toBe(401);
+  });
+
+  test('POST /api/auth/refresh - should keep the user\'s other sessions when a refresh token is replayed', async () => {
+    const other = (await login()).body;
+    const session = (await login()).body;
+    await refresh(session.refresh_token);
+
+    expect((await refresh(session.refresh_token)).status).toBe(401);
+
+    expect((await refresh(other.refresh_token)).status).toBe(200);
+  });
+
+  test('POST /api/auth/logout - should revoke the access token', async () => {
+    const session = (await login()).body;
+    const auth = { Authorization: `Bearer ${session.token}` };
+
+    expect((await request(app).post('/api/auth/logout').set(auth)).status).toBe(200);
+
+    const after = await request(app).get('/api/auth/sessions').set(auth);
+    expect(after.status).toBe(401);
+  });
+});
@@ -0,0 +1,35 @@
+const { findStaffingViolations } = require('../lib/staffing-rules');
+
+describe('Staffing rules', () => {
+  const days = ['2025-10-20', '2025-10-21', '2025-10-22'];
+  const absences = [
+    { employee_id: 2, start_day: '2025-10-21', end_day: '2025-10-24' },
+    { employee_id: 3, start_day: '2025-10-22', end_day: '2025-10-22' },
+    { employee_id: 9, start_day: '2025-10-20', end_day: '2025-10-22' }
+  ];
+
+  test('findStaffingViolations - should flag days below the minimum staff', () => {
+    const rule = { id: 1, name: 'Support desk', enforcement: 'block', min_staff: 2, max_concurrent_absences: null };
+
+    const violation = findStaffingViolations(rule, [1, 2, 3, 4], 1, absences, days);
+
+    expect(violation).toMatchObject({ rule_id: 1, enforcement: 'block' });
+    expect(violation.days).toEqual([
+      { date: '2025-10-22', absent_count: 3, available_staff: 1 }
+    ]);
+  });
+
+  test('findStaffingViolations - should flag too many people away at once', () => {
+    const rule = { id: 2, name: 'Site team', enforcement: 'warn', min_staff: null, max_concurrent_absences: 1 };
+
+    const violation = findStaffingViolations(rule, [1, 2, 3, 4], 1, absences, days);
+
+    expect(violation.days.map(day => day.date)).toEqual(['2025-10-21', '2025-10-22']);
+  });
+
+  test('findStaffingViolations - should ignore leave of people the rule does not cover', () => {
+    const rule = { id: 3, name: 'Pair', enforcement: 'block', min_staff: 1, max_concurrent_absences: null };
+
+    expect(findStaffingViolations(rule, [1, 4], 1, absences, days)).toBeNull();
+  });
+});
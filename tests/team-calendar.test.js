@@ -0,0 +1,65 @@
+const request = require('supertest');
+const app = require('../server');
+
+describe('Team Calendar', () => {
+  let token;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'admin@trevi.com',
+        password: 'admin123'
+      });
+
+    token = response.body.token;
+  });
+
+  test('GET /api/team-calendar - should return approved leave as an array', async () => {
+    const response = await request(app)
+      .get('/api/team-calendar')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ year: new Date().getFullYear() });
+
+    expect(response.status).toBe(200);
+    expect(Array.isArray(response.body)).toBe(true);
+  });
+
+  test('GET /api/team-calendar - should add blackout periods to the array when asked to', async () => {
+    const auth = { Authorization: `Bearer ${token}` };
+    const suffix = Date.now() % 1000000;
+    const department = await request(app)
+      .post('/api/departments')
+      .set(auth)
+      .send({ name: `Calendar ${suffix}` });
+    await request(app)
+      .post('/api/blackout-periods')
+      .set(auth)
+      .send({ name: `Stocktake ${suffix}`, start_date: '2034-03-06', end_date: '2034-03-10', department_id: department.body.id });
+
+    const withBlackouts = await request(app)
+      .get('/api/team-calendar')
+      .set(auth)
+      .query({ year: 2034, month: 3, include: 'blackouts' });
+    const withoutBlackouts = await request(app)
+      .get('/api/team-calendar')
+      .set(auth)
+      .query({ year: 2034, month: 3 });
+
+    expect(withBlackouts.status).toBe(200);
+    expect(withBlackouts.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'blackout', name: `Stocktake ${suffix}`, department: `Calendar ${suffix}` })
+    ]));
+    expect(withoutBlackouts.body.some(entry => entry.type === 'blackout')).toBe(false);
+  });
+
+  test('GET /api/blackout-periods - should list blackout periods separately', async () => {
+    const response = await request(app)
+      .get('/api/blackout-periods')
+      .set('Authorization', `Bearer ${token}`)
+      .query({ year: new Date().getFullYear() });
+
+    expect(response.status).toBe(200);
+    expect(Array.isArray(response.body)).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+const { authenticator } = require('otplib');
+const { decryptSecret, encryptSecret, isEncryptedSecret, matchTotpStep } = require('../lib/two-factor');
+
+describe('Two-factor authentication', () => {
+  const originalKey = process.env.MFA_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.MFA_ENCRYPTION_KEY = 'test-mfa-encryption-key';
+  });
+
+  afterEach(() => {
+    process.env.MFA_ENCRYPTION_KEY = originalKey;
+    if (originalKey === undefined) {
+      delete process.env.MFA_ENCRYPTION_KEY;
+    }
+  });
+
+  test('encryptSecret - should not store the secret in plaintext', () => {
+    const secret = authenticator.generateSecret();
+    const encrypted = encryptSecret(secret);
+
+    expect(isEncryptedSecret(encrypted)).toBe(true);
+    expect(encrypted).not.toContain(secret);
+    expect(encryptSecret(secret)).not.toBe(encrypted);
+    expect(decryptSecret(encrypted)).toBe(secret);
+  });
+
+  test('decryptSecret - should reject tampered secrets and other keys', () => {
+    const encrypted = encryptSecret(authenticator.generateSecret());
+    const [version, iv, authTag, ciphertext] = encrypted.split(':');
+    const tampered = [version, iv, authTag, Buffer.from('x'.repeat(16)).toString('base64')].join(':');
+
+    expect(() => decryptSecret(tampered)).toThrow();
+
+    process.env.MFA_ENCRYPTION_KEY = 'another-key';
+    expect(() => decryptSecret([version, iv, authTag, ciphertext].join(':'))).toThrow();
+  });
+
+  test('encryptSecret - should refuse to run without a key', () => {
+    delete process.env.MFA_ENCRYPTION_KEY;
+
+    expect(() => encryptSecret('JBSWY3DPEHPK3PXP')).toThrow('MFA_ENCRYPTION_KEY is not set');
+  });
+
+  test('matchTotpStep - should accept a current code only once', () => {
+    const secret = authenticator.generateSecret();
+    const code = authenticator.generate(secret);
+
+    const step = matchTotpStep(code, secret, null);
+
+    expect(step).not.toBeNull();
+    expect(matchTotpStep(code, secret, step)).toBeNull();
+  });
+});
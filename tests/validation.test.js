@@ -0,0 +1,39 @@
+const request = require('supertest');
+const app = require('../server');
+const { databaseErrorResponse } = require('../lib/errors');
+
+describe('Request validation', () => {
+  test('POST /api/auth/login - should list every invalid field', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ password: 42, remember_me: true });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('validation_error');
+    expect(response.body.details.map(detail => detail.field).sort()).toEqual(['email', 'password', 'remember_me']);
+  });
+
+  test('error responses - should derive a code from the status', async () => {
+    const response = await request(app).get('/api/employees');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'Access token required', code: 'unauthorized', details: [] });
+  });
+
+  test('databaseErrorResponse - should name the field behind a constraint error', () => {
+    const [status, body] = databaseErrorResponse({ code: '23505', detail: 'Key (email)=(ann@trevi.com) already exists.' });
+
+    expect(status).toBe(409);
+    expect(body).toMatchObject({ code: 'duplicate', details: [{ field: 'email', message: 'email already exists' }] });
+  });
+
+  test('databaseErrorResponse - should tell missing references from records in use', () => {
+    expect(databaseErrorResponse({ code: '23503', detail: 'Key (department_id)=(99) is not present in table "departments".' })[0]).toBe(400);
+    expect(databaseErrorResponse({ code: '23503', detail: 'Key (id)=(3) is still referenced from table "employees".' })[1].code).toBe('in_use');
+    expect(databaseErrorResponse({ code: '22P02', message: 'invalid input syntax for type integer' })[1].code).toBe('invalid_input');
+  });
+
+  test('databaseErrorResponse - should leave other errors to the 500 handler', () => {
+    expect(databaseErrorResponse(new Error('connection refused'))).toBeNull();
+  });
+});